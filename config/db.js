@@ -1,9 +1,15 @@
 const mongoose = require('mongoose');
+const { supportsTransactions } = require('../utils/transactions');
 
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI);
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Registration and patient creation save several documents together
+    if (!(await supportsTransactions())) {
+      console.warn('MongoDB is not a replica set: multi-document writes run without transactions and are undone by hand on failure. Use a replica set in production.');
+    }
   } catch (error) {
     console.error(`Error: ${error.message}`);
     process.exit(1);
@@ -0,0 +1,39 @@
+// Drug classes that allergies are commonly recorded against, with the
+// medicines (generic names, lowercase) that belong to each. An allergy to a
+// class, or to one member, conflicts with every member.
+//
+// Not a formulary: extend it as prescribing needs grow.
+const DRUG_CLASSES = {
+  penicillins: ['penicillin', 'amoxicillin', 'ampicillin', 'cloxacillin', 'flucloxacillin', 'piperacillin', 'co-amoxiclav', 'augmentin'],
+  cephalosporins: ['cephalexin', 'cefalexin', 'cefuroxime', 'ceftriaxone', 'cefixime', 'cefotaxime', 'cefazolin', 'cefepime', 'cefadroxil'],
+  sulfonamides: ['sulfamethoxazole', 'co-trimoxazole', 'trimethoprim-sulfamethoxazole', 'sulfasalazine', 'sulfadiazine'],
+  macrolides: ['erythromycin', 'azithromycin', 'clarithromycin'],
+  fluoroquinolones: ['ciprofloxacin', 'levofloxacin', 'moxifloxacin', 'ofloxacin'],
+  tetracyclines: ['tetracycline', 'doxycycline', 'minocycline'],
+  nsaids: ['aspirin', 'ibuprofen', 'diclofenac', 'naproxen', 'mefenamic acid', 'ketorolac', 'indomethacin', 'celecoxib', 'piroxicam'],
+  opioids: ['morphine', 'codeine', 'tramadol', 'oxycodone', 'hydrocodone', 'fentanyl', 'pethidine', 'nalbuphine'],
+  'ace-inhibitors': ['captopril', 'enalapril', 'lisinopril', 'ramipril', 'perindopril'],
+  statins: ['atorvastatin', 'simvastatin', 'rosuvastatin', 'pravastatin', 'lovastatin'],
+  anticonvulsants: ['carbamazepine', 'phenytoin', 'lamotrigine', 'oxcarbazepine', 'phenobarbital'],
+  'iodinated-contrast': ['iohexol', 'iopamidol', 'iodixanol'],
+};
+
+const normalize = (value) => String(value || '').toLowerCase().trim();
+
+// Drug class a medicine name or class name belongs to, or null. Matches
+// names like "Amoxicillin 500mg" by their leading words.
+const drugClassOf = (name) => {
+  const value = normalize(name);
+  if (!value) return null;
+  if (DRUG_CLASSES[value]) return value;
+
+  const found = Object.entries(DRUG_CLASSES).find(([, members]) =>
+    members.some((member) => value === member || value.startsWith(`${member} `))
+  );
+  return found ? found[0] : null;
+};
+
+module.exports = {
+  DRUG_CLASSES,
+  drugClassOf,
+};
@@ -0,0 +1,41 @@
+// What a patient profile needs before the patient can use patient features.
+// PROFILE_PLACEHOLDER is what bulk imports record for demographics the old
+// system didn't have, so it counts as missing too.
+
+const REQUIRED_PROFILE_FIELDS = ['age', 'gender', 'bloodGroup', 'contact', 'address', 'emergencyContact'];
+
+// Asked for during onboarding, but not required
+const RECOMMENDED_PROFILE_FIELDS = ['cnic'];
+
+const PROFILE_PLACEHOLDER = 'Unknown';
+
+const isFilled = (value) =>
+  value !== undefined && value !== null && String(value).trim() !== '' && value !== PROFILE_PLACEHOLDER;
+
+// Fields from `fields` the patient (or profile input) hasn't filled in.
+// With no patient at all, every field is missing.
+const missingProfileFields = (patient, fields = REQUIRED_PROFILE_FIELDS) =>
+  fields.filter((field) => !patient || !isFilled(patient[field]));
+
+const profileCompleteness = (patient) => {
+  const missing = missingProfileFields(patient);
+  const recommended = missingProfileFields(patient, RECOMMENDED_PROFILE_FIELDS);
+  const total = REQUIRED_PROFILE_FIELDS.length + RECOMMENDED_PROFILE_FIELDS.length;
+
+  return {
+    exists: Boolean(patient),
+    complete: Boolean(patient) && missing.length === 0,
+    percent: Math.round(((total - missing.length - recommended.length) / total) * 100),
+    missing,
+    recommended,
+    completedAt: (patient && patient.profileCompletedAt) || null,
+  };
+};
+
+module.exports = {
+  REQUIRED_PROFILE_FIELDS,
+  RECOMMENDED_PROFILE_FIELDS,
+  PROFILE_PLACEHOLDER,
+  missingProfileFields,
+  profileCompleteness,
+};
@@ -0,0 +1,193 @@
+// Central permission registry. Every authorization decision goes through
+// `hasPermission`, either directly in a controller or via the `can`
+// middleware.
+//
+// A permission is `<resource>:<action>`. Granting `<permission>:own` allows
+// the action only when the caller owns the resource; the caller decides what
+// owning means (the patient's account for chart data, the prescribing doctor
+// for prescription edits) by passing `ownerId`.
+
+const ROLES = [
+  'patient',
+  'doctor',
+  'nurse',
+  'labTechnician',
+  'pharmacist',
+  'receptionist',
+  'admin',
+];
+
+const STAFF_ROLES = ROLES.filter((role) => role !== 'patient');
+
+// Parts of a patient's chart an access grant can cover, and the permission
+// each one also needs
+const ACCESS_SCOPES = ['profile', 'appointments', 'prescriptions', 'labReports', 'documents'];
+
+const SCOPE_PERMISSIONS = {
+  profile: 'patient:read',
+  appointments: 'appointment:read',
+  prescriptions: 'prescription:read',
+  labReports: 'labReport:read',
+  documents: 'document:read',
+};
+
+// Roles whose chart reads also need an active access grant for the patient
+// (see utils/accessGrants.js); other roles go by permissions alone. Doctors
+// get grants from appointments and referrals; everyone here can be given one
+// by the patient or an admin.
+const GRANT_SCOPED_ROLES = ['doctor', 'nurse', 'labTechnician', 'pharmacist'];
+
+// Granted to no role but admin (through '*')
+const ADMIN_ONLY_PERMISSIONS = [
+  'user:manage',
+  'invitation:manage',
+  'apiKey:manage',
+  'hospital:manage',
+  'patient:merge',
+  'patient:purge',
+  'patient:import',
+  'guardian:manage',
+  'export:manage',
+  'emergencyAccess:review',
+  'appointment:reassign',
+  'labReport:delete',
+];
+
+const ROLE_PERMISSIONS = {
+  // Everything, including ADMIN_ONLY_PERMISSIONS
+  admin: ['*'],
+
+  doctor: [
+    'dashboard:view',
+    'patient:list',
+    'patient:read',
+    'patient:create',
+    'patient:update',
+    'patient:archive',
+    'patient:refer',
+    'patient:emergencyAccess',
+    'patient:export',
+    'medicalHistory:write',
+    'vitals:record',
+    'document:read',
+    'document:upload',
+    'document:delete',
+    'document:process',
+    'appointment:read',
+    'appointment:create',
+    'appointment:update',
+    'appointment:delete',
+    'prescription:read',
+    'prescription:create',
+    'prescription:update:own',
+    'prescription:delete:own',
+    'prescription:overrideAllergy',
+    'labReport:read',
+    'labReport:create',
+    'labReport:update:own',
+    'labReport:enterResults',
+    'medicine:read',
+  ],
+
+  nurse: [
+    'dashboard:view',
+    'patient:list',
+    'patient:read',
+    'patient:update',
+    'medicalHistory:write',
+    'vitals:record',
+    'document:read',
+    'document:upload',
+    'appointment:read',
+    'appointment:update',
+    'prescription:read',
+    'labReport:read',
+    'medicine:read',
+  ],
+
+  labTechnician: [
+    'patient:read',
+    'document:upload',
+    'labReport:read',
+    'labReport:enterResults',
+  ],
+
+  pharmacist: [
+    'patient:read',
+    'prescription:read',
+    'medicine:read',
+    'medicine:manage',
+    'medicine:dispense',
+  ],
+
+  receptionist: [
+    'dashboard:view',
+    'patient:list',
+    'patient:create',
+    'patient:update',
+    'appointment:listAll',
+    'appointment:read',
+    'appointment:create',
+    'appointment:update',
+    'appointment:delete',
+  ],
+
+  patient: [
+    'patient:onboard',
+    'patient:read:own',
+    'patient:update:own',
+    'patient:manageAccess:own',
+    'patient:export:own',
+    'dependent:create',
+    'document:read:own',
+    'document:upload:own',
+    'appointment:read:own',
+    'appointment:create:own',
+    'prescription:read:own',
+    'labReport:read:own',
+  ],
+};
+
+// Every concrete permission, without `:own` scoping
+const PERMISSIONS = [...new Set([
+  ...Object.values(ROLE_PERMISSIONS)
+    .flat()
+    .filter((permission) => permission !== '*')
+    .map((permission) => permission.replace(/:own$/, '')),
+  ...ADMIN_ONLY_PERMISSIONS,
+])].sort();
+
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+// True when `user` may perform `permission`. Without `ownerId`, only an
+// unscoped grant counts; with it, an `:own` grant counts when it matches.
+// API-key principals carry their own permission list instead of a role.
+const hasPermission = (user, permission, { ownerId } = {}) => {
+  if (!user) return false;
+
+  const granted = user.apiKey ? user.apiKey.permissions : permissionsFor(user.role);
+
+  if (granted.includes('*') || granted.includes(permission)) {
+    return true;
+  }
+
+  if (ownerId && granted.includes(`${permission}:own`)) {
+    // Guardians own the dependents they manage as well as themselves
+    const owners = [user._id, ...(user.managedUserIds || [])];
+    return owners.some((id) => id.toString() === ownerId.toString());
+  }
+
+  return false;
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  ACCESS_SCOPES,
+  SCOPE_PERMISSIONS,
+  GRANT_SCOPED_ROLES,
+  ROLE_PERMISSIONS,
+  PERMISSIONS,
+  permissionsFor,
+  hasPermission,
+};
@@ -0,0 +1,116 @@
+// Vital sign definitions. `limits` are the physiologically possible range,
+// outside which a reading is rejected as an entry error. `reference` is the
+// adult normal range and `critical` the range beyond which a reading needs
+// urgent attention; readings outside either are flagged.
+
+const VITAL_METRICS = {
+  systolic: {
+    label: 'Systolic blood pressure',
+    unit: 'mmHg',
+    limits: [50, 300],
+    reference: [90, 139],
+    critical: [70, 180],
+  },
+  diastolic: {
+    label: 'Diastolic blood pressure',
+    unit: 'mmHg',
+    limits: [20, 200],
+    reference: [60, 89],
+    critical: [40, 120],
+  },
+  pulse: {
+    label: 'Pulse',
+    unit: 'bpm',
+    limits: [20, 300],
+    reference: [60, 100],
+    critical: [40, 130],
+  },
+  temperature: {
+    label: 'Temperature',
+    unit: '°C',
+    limits: [30, 45],
+    reference: [36.1, 37.8],
+    critical: [35, 40],
+  },
+  weight: {
+    label: 'Weight',
+    unit: 'kg',
+    limits: [0.3, 500],
+  },
+  height: {
+    label: 'Height',
+    unit: 'cm',
+    limits: [20, 280],
+  },
+  bmi: {
+    label: 'BMI',
+    unit: 'kg/m²',
+    reference: [18.5, 24.9],
+    critical: [15, 40],
+  },
+  spo2: {
+    label: 'Oxygen saturation',
+    unit: '%',
+    limits: [50, 100],
+    reference: [95, 100],
+    critical: [90, 100],
+  },
+  bloodGlucose: {
+    label: 'Blood glucose',
+    unit: 'mg/dL',
+    limits: [10, 1000],
+    // Fasting range; random and post-meal readings allow up to 139/179
+    reference: [70, 99],
+    critical: [54, 300],
+  },
+};
+
+// Upper normal glucose by measurement context
+const GLUCOSE_REFERENCE_MAX = {
+  fasting: 99,
+  random: 139,
+  postprandial: 179,
+};
+
+// Trend metrics accepted by the trends endpoint, and the fields each charts
+const TREND_METRICS = {
+  bp: ['systolic', 'diastolic'],
+  pulse: ['pulse'],
+  temperature: ['temperature'],
+  weight: ['weight'],
+  height: ['height'],
+  bmi: ['bmi'],
+  spo2: ['spo2'],
+  glucose: ['bloodGlucose'],
+};
+
+// Reference range for a reading, adjusted for glucose measurement context
+const referenceRange = (metric, { glucoseContext } = {}) => {
+  const { reference } = VITAL_METRICS[metric];
+  if (!reference) return null;
+
+  if (metric === 'bloodGlucose' && GLUCOSE_REFERENCE_MAX[glucoseContext]) {
+    return [reference[0], GLUCOSE_REFERENCE_MAX[glucoseContext]];
+  }
+  return reference;
+};
+
+// Flag for one reading: null when normal, otherwise low/high, critical or not
+const flagReading = (metric, value, context) => {
+  const definition = VITAL_METRICS[metric];
+  const reference = referenceRange(metric, context);
+  if (value === undefined || value === null || !reference) return null;
+
+  if (definition.critical && value < definition.critical[0]) return 'critical-low';
+  if (definition.critical && value > definition.critical[1]) return 'critical-high';
+  if (value < reference[0]) return 'low';
+  if (value > reference[1]) return 'high';
+  return null;
+};
+
+module.exports = {
+  VITAL_METRICS,
+  TREND_METRICS,
+  referenceRange,
+  flagReading,
+};
@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const AccessGrant = require('../models/AccessGrant');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const { ACCESS_SCOPES, GRANT_SCOPED_ROLES } = require('../config/permissions');
+const { readableScopes, grantReferralAccess } = require('../utils/accessGrants');
+
+const formatGrant = (grant) => ({
+  id: grant._id,
+  grantee: grant.grantee && grant.grantee.firstName
+    ? {
+      id: grant.grantee._id,
+      name: `${grant.grantee.firstName} ${grant.grantee.lastName}`,
+      role: grant.grantee.role,
+      specialty: grant.grantee.specialty,
+    }
+    : grant.grantee,
+  source: grant.source,
+  scopes: grant.scopes,
+  expiresAt: grant.expiresAt || null,
+  note: grant.note,
+  active: grant.isActive(),
+  revokedAt: grant.revokedAt || null,
+  createdAt: grant.createdAt,
+});
+
+// Returns an error message, or null when `scopes` is absent or valid
+const invalidScopes = (scopes) => {
+  if (scopes === undefined) return null;
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+  const unknown = scopes.filter((scope) => !ACCESS_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')}. Valid scopes are ${ACCESS_SCOPES.join(', ')}`;
+  }
+  return null;
+};
+
+// Returns { expiresAt } or { error } for an optional expiry date
+const parseExpiry = (value) => {
+  if (value === undefined) return {};
+  if (value === null) return { expiresAt: null };
+
+  const expiresAt = new Date(value);
+  if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+    return { error: 'expiresAt must be a date in the future' };
+  }
+  return { expiresAt };
+};
+
+// Staff account in one of `roles` that may be given access, or null
+const findGrantee = async (userId, roles = GRANT_SCOPED_ROLES) => {
+  if (!mongoose.isValidObjectId(userId)) return null;
+  return User.findOne({ _id: userId, role: { $in: roles }, active: { $ne: false } });
+};
+
+// The grant named in the URL, if it belongs to the patient in the URL
+const findPatientGrant = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.grantId)) return null;
+
+  const patient = await Patient.findOne({ patientId: req.params.patientId }).select('_id');
+  if (!patient) return null;
+
+  return AccessGrant.findOne({ _id: req.params.grantId, patient: patient._id })
+    .populate('grantee', 'firstName lastName role specialty');
+};
+
+// @desc    List who has access to a patient's chart
+// @route   GET /api/patients/:patientId/access
+// @access  Private (Patient themselves/Admin)
+const getPatientAccess = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId }).select('_id');
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const grants = await AccessGrant.find({ patient: patient._id })
+      .populate('grantee', 'firstName lastName role specialty')
+      .sort({ createdAt: -1 });
+
+    res.json({ scopes: ACCESS_SCOPES, grants: grants.map(formatGrant) });
+  } catch (error) {
+    console.error('Error getting patient access:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Give a doctor, nurse, lab technician or pharmacist access to a patient's chart
+// @route   POST /api/patients/:patientId/access
+// @access  Private (Patient themselves/Admin)
+const grantPatientAccess = async (req, res) => {
+  try {
+    // doctorId is the older name for granteeId
+    const { granteeId, doctorId, scopes, note } = req.body;
+
+    const scopeError = invalidScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({ message: scopeError });
+    }
+
+    const { expiresAt, error } = parseExpiry(req.body.expiresAt);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const patient = await Patient.findOne({ patientId: req.params.patientId }).select('_id');
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const grantee = await findGrantee(granteeId || doctorId);
+
+    if (!grantee) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    const grant = await AccessGrant.findOneAndUpdate(
+      { patient: patient._id, grantee: grantee._id, source: 'patient' },
+      {
+        $set: {
+          scopes: scopes || ACCESS_SCOPES,
+          expiresAt: expiresAt || null,
+          grantedBy: req.user._id,
+          note: note || '',
+        },
+        $unset: { revokedAt: 1, revokedBy: 1 },
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).populate('grantee', 'firstName lastName role specialty');
+
+    res.status(201).json({ message: 'Access granted', grant: formatGrant(grant) });
+  } catch (error) {
+    console.error('Error granting patient access:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Change the scopes or expiry of an access grant
+// @route   PUT /api/patients/:patientId/access/:grantId
+// @access  Private (Patient themselves/Admin)
+const updatePatientAccess = async (req, res) => {
+  try {
+    const { scopes } = req.body;
+
+    const scopeError = invalidScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({ message: scopeError });
+    }
+
+    const { expiresAt, error } = parseExpiry(req.body.expiresAt);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const grant = await findPatientGrant(req);
+
+    if (!grant) {
+      return res.status(404).json({ message: 'Access grant not found' });
+    }
+
+    if (scopes) grant.scopes = scopes;
+    if (expiresAt !== undefined) grant.expiresAt = expiresAt;
+    await grant.save();
+
+    res.json({ message: 'Access updated', grant: formatGrant(grant) });
+  } catch (error) {
+    console.error('Error updating patient access:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Revoke an access grant
+// @route   DELETE /api/patients/:patientId/access/:grantId
+// @access  Private (Patient themselves/Admin)
+const revokePatientAccess = async (req, res) => {
+  try {
+    const grant = await findPatientGrant(req);
+
+    if (!grant) {
+      return res.status(404).json({ message: 'Access grant not found' });
+    }
+
+    if (!grant.revokedAt) {
+      grant.revokedAt = new Date();
+      grant.revokedBy = req.user._id;
+      await grant.save();
+    }
+
+    res.json({ message: 'Access revoked', grant: formatGrant(grant) });
+  } catch (error) {
+    console.error('Error revoking patient access:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Refer a patient to another doctor, giving them access
+// @route   POST /api/patients/:patientId/referrals
+// @access  Private/Doctor/Admin
+const referPatient = async (req, res) => {
+  try {
+    const { doctorId, note, scopes } = req.body;
+
+    const scopeError = invalidScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({ message: scopeError });
+    }
+
+    const patient = await Patient.findOne({ patientId: req.params.patientId }).select('user');
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    // Only a doctor treating the patient can refer them on, and only with
+    // the parts of the chart they can see themselves
+    const readable = await readableScopes(req.user, patient);
+    if (!readable.includes('profile')) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const grantee = await findGrantee(doctorId, ['doctor']);
+
+    if (!grantee) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    if (grantee._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Cannot refer a patient to yourself' });
+    }
+
+    const shared = (scopes || ACCESS_SCOPES).filter((scope) => readable.includes(scope));
+    if (shared.length === 0) {
+      return res.status(403).json({ message: `You can only share scopes you can read: ${readable.join(', ')}` });
+    }
+
+    const grant = await grantReferralAccess({
+      patient: patient._id,
+      grantee: grantee._id,
+      referredBy: req.user._id,
+      scopes: shared,
+      note,
+    });
+
+    if (!grant) {
+      return res.status(409).json({ message: 'The patient has revoked this doctor\'s access; only the patient can restore it' });
+    }
+    await grant.populate('grantee', 'firstName lastName role specialty');
+
+    res.status(201).json({ message: 'Patient referred', grant: formatGrant(grant) });
+  } catch (error) {
+    console.error('Error referring patient:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getPatientAccess,
+  grantPatientAccess,
+  updatePatientAccess,
+  revokePatientAccess,
+  referPatient,
+};
@@ -0,0 +1,316 @@
+const User = require('../models/User');
+const SecurityLog = require('../models/SecurityLog');
+const { unlockAccount, isAccountLocked } = require('../utils/loginThrottle');
+const { revokeUserSessions } = require('../utils/refreshTokens');
+const { sendPasswordResetEmail } = require('../utils/accountEmails');
+const { logSecurityEvent } = require('../utils/securityLog');
+const escapeRegex = require('../utils/escapeRegex');
+
+const formatUser = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  name: `${user.firstName} ${user.lastName}`,
+  email: user.email,
+  role: user.role,
+  specialty: user.specialty,
+  patientId: user.patientId,
+  active: user.active,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor ? user.twoFactor.enabled : false,
+  passwordResetRequired: user.passwordResetRequired,
+  deactivatedAt: user.deactivatedAt,
+  createdAt: user.createdAt,
+});
+
+// Record an admin action against the affected user
+const logAdminAction = (event, req, user, details) => logSecurityEvent(event, {
+  user: user._id,
+  email: user.email,
+  ip: req.ip,
+  actor: req.user._id,
+  details,
+});
+
+// @desc    List users with search, role/status filters and pagination
+// @route   GET /api/admin/users
+// @access  Private/Admin
+const getUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { search, role, active } = req.query;
+
+    const query = {};
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (active === 'true' || active === 'false') {
+      query.active = active === 'true';
+    }
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { patientId: pattern },
+      ];
+    }
+
+    const total = await User.countDocuments(query);
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      users: users.map(formatUser),
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get a single user
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      ...formatUser(user),
+      locked: await isAccountLocked(user.email),
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Activate or deactivate a user
+// @route   PUT /api/admin/users/:id/status
+// @access  Private/Admin
+const updateUserStatus = async (req, res) => {
+  try {
+    const { active } = req.body;
+
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ message: 'active must be true or false' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot change the status of your own account' });
+    }
+
+    if (user.active === active) {
+      return res.json({ message: `User is already ${active ? 'active' : 'deactivated'}`, user: formatUser(user) });
+    }
+
+    user.active = active;
+    user.deactivatedAt = active ? undefined : new Date();
+    user.deactivatedBy = active ? undefined : req.user._id;
+    await user.save();
+
+    if (!active) {
+      await revokeUserSessions(user._id, 'deactivated');
+    }
+
+    await logAdminAction(active ? 'user.activated' : 'user.deactivated', req, user, {
+      reason: req.body.reason || '',
+    });
+
+    res.json({ message: `User ${active ? 'activated' : 'deactivated'}`, user: formatUser(user) });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async (req, res) => {
+  try {
+    const { role, specialty } = req.body;
+    const roles = User.schema.path('role').enumValues;
+
+    if (!roles.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${roles.join(', ')}` });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    if (role === 'doctor' && !specialty && !user.specialty) {
+      return res.status(400).json({ message: 'Specialty is required for doctors' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    if (specialty) user.specialty = specialty;
+    await user.save();
+
+    // Make the user log in again under the new role
+    await revokeUserSessions(user._id, 'role-changed');
+
+    await logAdminAction('user.role-changed', req, user, { from: previousRole, to: role });
+
+    res.json({ message: 'Role updated', user: formatUser(user) });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Log a user out of every session
+// @route   POST /api/admin/users/:id/logout
+// @access  Private/Admin
+const forceLogoutUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await revokeUserSessions(user._id, 'admin-logout');
+
+    await logAdminAction('user.forced-logout', req, user);
+
+    res.json({ message: 'User logged out of all sessions' });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Require a user to reset their password
+// @route   POST /api/admin/users/:id/force-password-reset
+// @access  Private/Admin
+const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password-reset-required');
+    await sendPasswordResetEmail(user, { forced: true });
+
+    await logAdminAction('user.password-reset-forced', req, user);
+
+    res.json({ message: 'User logged out and sent a password reset link' });
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Unlock an account locked by failed logins
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const wasLocked = await isAccountLocked(user.email);
+    await unlockAccount(user.email);
+
+    await logAdminAction('login.account-unlocked', req, user, { wasLocked });
+
+    res.json({
+      message: wasLocked ? 'Account unlocked' : 'Account was not locked, failed attempts cleared',
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Security and admin activity for a user
+// @route   GET /api/admin/users/:id/activity
+// @access  Private/Admin
+const getUserActivity = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const query = { user: req.params.id };
+    const total = await SecurityLog.countDocuments(query);
+
+    const events = await SecurityLog.find(query)
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      events: events.map((event) => ({
+        id: event._id,
+        event: event.event,
+        ip: event.ip,
+        actor: event.actor
+          ? { id: event.actor._id, name: `${event.actor.firstName} ${event.actor.lastName}`, email: event.actor.email }
+          : null,
+        details: event.details,
+        date: event.createdAt,
+      })),
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Get user activity error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUser,
+  updateUserStatus,
+  updateUserRole,
+  forceLogoutUser,
+  forcePasswordReset,
+  unlockUser,
+  getUserActivity,
+};
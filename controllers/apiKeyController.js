@@ -0,0 +1,162 @@
+const ApiKey = require('../models/ApiKey');
+const Hospital = require('../models/hospitalModel');
+const { generateApiKey } = require('../utils/apiKeys');
+const { logSecurityEvent } = require('../utils/securityLog');
+
+// Integrations read records and push results. Anything that records a user
+// as author (prescribing, ordering, uploading) or manages accounts stays
+// with people.
+const API_KEY_PERMISSIONS = [
+  'patient:list',
+  'patient:read',
+  'appointment:read',
+  'prescription:read',
+  'labReport:read',
+  'labReport:enterResults',
+  'medicine:read',
+  'medicine:dispense',
+];
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  permissions: apiKey.permissions,
+  hospital: apiKey.hospital && apiKey.hospital.name
+    ? { id: apiKey.hospital._id, name: apiKey.hospital.name }
+    : apiKey.hospital || null,
+  status: apiKey.revokedAt ? 'revoked' : apiKey.isUsable() ? 'active' : 'expired',
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  requestCount: apiKey.requestCount,
+  createdAt: apiKey.createdAt,
+});
+
+// @desc    Create an API key
+// @route   POST /api/admin/api-keys
+// @access  Private (apiKey:manage)
+const createApiKey = async (req, res) => {
+  try {
+    const { name, permissions, hospitalId, expiresAt } = req.body;
+
+    if (!name || !Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({ message: 'Name and at least one permission are required' });
+    }
+
+    const invalid = permissions.filter((permission) => !API_KEY_PERMISSIONS.includes(permission));
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: `Permissions not allowed for API keys: ${invalid.join(', ')}` });
+    }
+
+    if (hospitalId && !(await Hospital.exists({ _id: hospitalId }))) {
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : undefined;
+    if (expiry && (isNaN(expiry) || expiry <= new Date())) {
+      return res.status(400).json({ message: 'expiresAt must be a future date' });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash,
+      permissions,
+      hospital: hospitalId || undefined,
+      expiresAt: expiry,
+      createdBy: req.user._id,
+    });
+
+    await logSecurityEvent('apiKey.created', {
+      ip: req.ip,
+      actor: req.user._id,
+      details: { apiKey: apiKey._id, name, permissions, hospital: hospitalId },
+    });
+
+    res.status(201).json({
+      ...formatApiKey(apiKey),
+      key,
+      message: 'Store this key now, it will not be shown again',
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    List API keys
+// @route   GET /api/admin/api-keys
+// @access  Private (apiKey:manage)
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({})
+      .populate('hospital', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(apiKeys.map(formatApiKey));
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get an API key
+// @route   GET /api/admin/api-keys/:id
+// @access  Private (apiKey:manage)
+const getApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id).populate('hospital', 'name');
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    res.json(formatApiKey(apiKey));
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private (apiKey:manage)
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    await logSecurityEvent('apiKey.revoked', {
+      ip: req.ip,
+      actor: req.user._id,
+      details: { apiKey: apiKey._id, name: apiKey.name },
+    });
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  getApiKey,
+  revokeApiKey,
+};
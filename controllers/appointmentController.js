@@ -1,6 +1,22 @@
+const mongoose = require('mongoose');
 const Appointment = require('../models/Appointment');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
+const { grantAppointmentAccess, canReadChart, canReadRecord, grantedPatientIds, facilityFilter } = require('../utils/accessGrants');
+const { notArchived } = require('../utils/patientArchive');
+const { mergedAwayError } = require('../utils/patientMerge');
+
+// Active doctor account an appointment can be booked with, or null
+const findDoctor = async (userId) => {
+  if (!mongoose.isValidObjectId(userId)) return null;
+  return User.findOne({ _id: userId, role: 'doctor', active: { $ne: false } }).select('_id');
+};
+
+// Booking only opens the doctor's access to the chart when the caller can
+// already see the patient's appointments: the patient (or their guardian),
+// front-desk staff, or a doctor who has been granted access
+const mayOpenAccess = (user, patient) => canReadChart(user, patient, 'appointments');
 
 // @desc    Get all appointments with pagination
 // @route   GET /api/appointments
@@ -10,10 +26,13 @@ const getAllAppointments = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
+
+    // Hospital-bound API keys only list their facility's appointments
+    const query = { ...notArchived(), ...facilityFilter(req.user) };
     
-    const total = await Appointment.countDocuments();
+    const total = await Appointment.countDocuments(query);
     
-    const appointments = await Appointment.find()
+    const appointments = await Appointment.find(query)
       .populate({
         path: 'patient',
         populate: { path: 'user', select: 'firstName lastName' }
@@ -71,7 +90,9 @@ const getTodayAppointments = async (req, res) => {
       date: {
         $gte: today,
         $lt: tomorrow
-      }
+      },
+      ...notArchived(),
+      ...facilityFilter(req.user),
     };
     
     if (req.user.role === 'doctor') {
@@ -138,6 +159,10 @@ const createAppointment = async (req, res) => {
     
     // Handle manual entry mode
     if (manualEntry === true) {
+      if (!hasPermission(req.user, 'appointment:create')) {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+
       if (!patientName) {
         return res.status(400).json({ message: 'Patient name is required for manual entry' });
       }
@@ -180,9 +205,28 @@ const createAppointment = async (req, res) => {
       return res.status(404).json({ message: 'Patient not found' });
     }
     
+    if (!hasPermission(req.user, 'appointment:create', { ownerId: patientDoc.user })) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (patientDoc.archivedAt) {
+      return res.status(409).json({ message: 'Patient is archived. Restore them before adding records' });
+    }
+
+    const merged = await mergedAwayError(patientDoc);
+    if (merged) {
+      return res.status(409).json(merged);
+    }
+
+    const doctorDoc = await findDoctor(doctor || req.user._id);
+
+    if (!doctorDoc) {
+      return res.status(400).json({ message: doctor ? 'Doctor not found' : 'Please choose a doctor' });
+    }
+    
     const appointment = new Appointment({
       patient: patientDoc._id,
-      doctor: doctor || req.user._id,
+      doctor: doctorDoc._id,
       date: new Date(date),
       time,
       purpose,
@@ -192,6 +236,11 @@ const createAppointment = async (req, res) => {
     });
     
     await appointment.save();
+
+    // Booking opens the doctor's access to the patient's chart
+    if (await mayOpenAccess(req.user, patientDoc)) {
+      await grantAppointmentAccess(appointment);
+    }
     
     res.status(201).json({
       id: appointment._id,
@@ -251,17 +300,42 @@ const updateAppointment = async (req, res) => {
       
       if (patient) {
         const patientDoc = await Patient.findOne({ patientId: patient });
-        if (patientDoc) {
+
+        // Moving a visit onto a chart needs access to that chart
+        if (patientDoc && !patientDoc._id.equals(appointment.patient)) {
+          if (!(await canReadChart(req.user, patientDoc, 'appointments'))) {
+            return res.status(403).json({ message: 'Not authorized' });
+          }
+          if (patientDoc.archivedAt) {
+            return res.status(409).json({ message: 'Patient is archived. Restore them before adding records' });
+          }
+          const merged = await mergedAwayError(patientDoc);
+          if (merged) {
+            return res.status(409).json(merged);
+          }
           appointment.patient = patientDoc._id;
         }
       }
     }
     
-    if (doctor && req.user.role === 'admin') {
-      appointment.doctor = doctor;
+    if (doctor && hasPermission(req.user, 'appointment:reassign')) {
+      const doctorDoc = await findDoctor(doctor);
+      if (!doctorDoc) {
+        return res.status(400).json({ message: 'Doctor not found' });
+      }
+      appointment.doctor = doctorDoc._id;
     }
     
+    appointment.$locals.changedBy = req.user._id;
     await appointment.save();
+
+    // Keep the treating doctor's access in line with a moved or reassigned visit
+    if (!appointment.manualEntry) {
+      const patientDoc = await Patient.findById(appointment.patient).select('user');
+      if (patientDoc && await mayOpenAccess(req.user, patientDoc)) {
+        await grantAppointmentAccess(appointment);
+      }
+    }
     
     res.json(appointment);
   } catch (error) {
@@ -285,6 +359,11 @@ const getAppointment = async (req, res) => {
     if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found' });
     }
+
+    // Other than the treating doctor, reading it needs access to the chart
+    if (appointment.patient && !(await canReadRecord(req.user, appointment.patient, 'appointments', appointment.doctor))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
     
     res.json(appointment);
   } catch (error) {
@@ -305,6 +384,10 @@ const getPatientAppointments = async (req, res) => {
     if (!patient) {
       return res.status(404).json({ message: 'Patient not found' });
     }
+
+    if (!(await canReadChart(req.user, patient, 'appointments'))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
     
     const appointments = await Appointment.find({ patient: patient._id })
       .populate('doctor', 'firstName lastName specialty')
@@ -334,7 +417,9 @@ const getAppointmentsByDate = async (req, res) => {
       date: {
         $gte: startDate,
         $lte: endDate
-      }
+      },
+      ...notArchived(),
+      ...facilityFilter(req.user),
     };
     
     if (req.user.role === 'doctor') {
@@ -367,7 +452,7 @@ const searchAppointments = async (req, res) => {
       return res.status(400).json({ message: 'Search query is required' });
     }
     
-    const patients = await Patient.find()
+    const patients = await Patient.find(notArchived())
       .populate({
         path: 'user',
         match: {
@@ -381,15 +466,27 @@ const searchAppointments = async (req, res) => {
     const matchedPatients = patients.filter(patient => patient.user !== null);
     const patientIds = matchedPatients.map(patient => patient._id);
     
-    const appointments = await Appointment.find({
-      $or: [
-        { patient: { $in: patientIds } },
-        { purpose: { $regex: query, $options: 'i' } },
-        { notes: { $regex: query, $options: 'i' } },
-        { patientName: { $regex: query, $options: 'i' } },
-        { doctorName: { $regex: query, $options: 'i' } }
-      ]
-    })
+    const conditions = [
+      {
+        $or: [
+          { patient: { $in: patientIds } },
+          { purpose: { $regex: query, $options: 'i' } },
+          { notes: { $regex: query, $options: 'i' } },
+          { patientName: { $regex: query, $options: 'i' } },
+          { doctorName: { $regex: query, $options: 'i' } }
+        ],
+      },
+      notArchived(),
+      facilityFilter(req.user),
+    ];
+
+    // Doctors find their own appointments and those on charts they have access to
+    const grantedPatients = await grantedPatientIds(req.user, 'appointments');
+    if (grantedPatients) {
+      conditions.push({ $or: [{ doctor: req.user._id }, { patient: { $in: grantedPatients } }] });
+    }
+
+    const appointments = await Appointment.find({ $and: conditions })
       .populate({
         path: 'patient',
         populate: { path: 'user', select: 'firstName lastName' }
@@ -2,6 +2,7 @@ const Appointment = require('../models/Appointment');
 const Patient = require('../models/Patient');
 const Prescription = require('../models/Prescription');
 const LabReport = require('../models/LabReport');
+const { notArchived } = require('../utils/patientArchive');
 
 // @desc    Get dashboard stats
 // @route   GET /api/dashboard/stats
@@ -14,11 +15,11 @@ const getDashboardStats = async (req, res) => {
     let totalPatients;
     if (req.user.role === 'doctor') {
       // Get unique patients from appointments
-      const patientIds = await Appointment.distinct('patient', { doctor: userId });
+      const patientIds = await Appointment.distinct('patient', { doctor: userId, ...notArchived() });
       totalPatients = patientIds.length;
     } else {
       // For admin, get all patients
-      totalPatients = await Patient.countDocuments();
+      totalPatients = await Patient.countDocuments({ mergedInto: null, ...notArchived() });
     }
     
     // Get today's appointments for this doctor/admin
@@ -29,7 +30,8 @@ const getDashboardStats = async (req, res) => {
       date: {
         $gte: today,
         $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
-      }
+      },
+      ...notArchived(),
     };
     
     if (req.user.role === 'doctor') {
@@ -46,18 +48,19 @@ const getDashboardStats = async (req, res) => {
     const remainingAppointments = await Appointment.countDocuments(remainingQuery);
     
     // Get total prescriptions
-    let prescriptionQuery = {};
+    let prescriptionQuery = notArchived();
     if (req.user.role === 'doctor') {
       prescriptionQuery.doctor = userId;
     }
     const prescriptions = await Prescription.countDocuments(prescriptionQuery);
     
     // Get total lab reports
-    const labReports = await LabReport.countDocuments();
+    const labReports = await LabReport.countDocuments(notArchived());
     
     // Get pending lab reports
     const pendingReports = await LabReport.countDocuments({
-      status: 'Pending'
+      status: 'Pending',
+      ...notArchived(),
     });
 
     res.json({
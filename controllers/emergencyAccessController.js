@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const { ACCESS_SCOPES } = require('../config/permissions');
+const { readableScopes } = require('../utils/accessGrants');
+const { openEmergencyAccess, MIN_REASON_LENGTH } = require('../utils/emergencyAccess');
+const { logSecurityEvent } = require('../utils/securityLog');
+
+const REVIEW_STATUSES = ['pending', 'justified', 'unjustified'];
+
+const personName = (user) => (user && user.firstName ? `${user.firstName} ${user.lastName}` : null);
+
+const formatEvent = (event) => ({
+  id: event._id,
+  patientId: event.patient && event.patient.patientId ? event.patient.patientId : event.patient,
+  patientName: event.patient ? personName(event.patient.user) : null,
+  user: event.user && event.user.firstName
+    ? { id: event.user._id, name: personName(event.user), role: event.user.role, email: event.user.email }
+    : event.user,
+  reason: event.reason,
+  ip: event.ip,
+  date: event.createdAt,
+  expiresAt: event.expiresAt,
+  patientNotified: !!event.patientNotifiedAt,
+  review: {
+    status: event.review.status,
+    reviewedBy: personName(event.review.reviewedBy) || event.review.reviewedBy || null,
+    reviewedAt: event.review.reviewedAt || null,
+    notes: event.review.notes,
+  },
+});
+
+// @desc    Break-the-glass: open a patient's chart in an emergency
+// @route   POST /api/patients/:patientId/emergency-access
+// @access  Private/Doctor
+const requestEmergencyAccess = async (req, res) => {
+  try {
+    const reason = String(req.body.reason || '').trim();
+
+    if (reason.length < MIN_REASON_LENGTH) {
+      return res.status(400).json({
+        message: `A written reason of at least ${MIN_REASON_LENGTH} characters is required`,
+      });
+    }
+
+    const patient = await Patient.findOne({ patientId: req.params.patientId })
+      .populate('user', 'firstName lastName email');
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    // No override (and no review) needed when the chart is already open
+    const scopes = await readableScopes(req.user, patient);
+    if (ACCESS_SCOPES.every((scope) => scopes.includes(scope))) {
+      return res.status(400).json({ message: 'You already have full access to this patient' });
+    }
+
+    const event = await openEmergencyAccess({ patient, user: req.user, reason, ip: req.ip });
+
+    res.status(201).json({
+      message: 'Emergency access granted. This access is logged and will be reviewed',
+      expiresAt: event.expiresAt,
+      patient: {
+        id: patient.patientId,
+        name: personName(patient.user),
+        age: patient.age,
+        gender: patient.gender,
+        bloodGroup: patient.bloodGroup,
+        // What a clinician needs first in an emergency: real allergies only
+        allergies: patient.allergies
+          .filter((allergy) => !['refuted', 'entered-in-error'].includes(allergy.verificationStatus))
+          .map(({ substance, reaction, severity, verificationStatus }) => ({
+            substance,
+            reaction,
+            severity,
+            verificationStatus,
+          })),
+        condition: patient.condition,
+      },
+    });
+  } catch (error) {
+    console.error('Error granting emergency access:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Break-the-glass events for compliance review
+// @route   GET /api/admin/emergency-access
+// @access  Private/Admin
+const getEmergencyAccessReport = async (req, res) => {
+  try {
+    const { status, userId, from, to } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const query = {};
+    if (status && REVIEW_STATUSES.includes(status)) query['review.status'] = status;
+    if (userId && mongoose.isValidObjectId(userId)) query.user = userId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [total, pendingReview, events] = await Promise.all([
+      EmergencyAccess.countDocuments(query),
+      EmergencyAccess.countDocuments({ 'review.status': 'pending' }),
+      EmergencyAccess.find(query)
+        .populate({ path: 'patient', select: 'patientId user', populate: { path: 'user', select: 'firstName lastName' } })
+        .populate('user', 'firstName lastName role email')
+        .populate('review.reviewedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    res.json({
+      events: events.map(formatEvent),
+      pendingReview,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Get emergency access report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Record the outcome of a break-the-glass review
+// @route   PUT /api/admin/emergency-access/:id/review
+// @access  Private/Admin
+const reviewEmergencyAccess = async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    if (!['justified', 'unjustified'].includes(status)) {
+      return res.status(400).json({ message: 'status must be justified or unjustified' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Emergency access event not found' });
+    }
+
+    const event = await EmergencyAccess.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Emergency access event not found' });
+    }
+
+    event.review = {
+      status,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      notes: notes || '',
+    };
+    await event.save();
+
+    await logSecurityEvent('patient.emergency-access-reviewed', {
+      user: event.user,
+      ip: req.ip,
+      actor: req.user._id,
+      details: { emergencyAccess: event._id, status },
+    });
+
+    res.json({ message: 'Review recorded', event: formatEvent(event) });
+  } catch (error) {
+    console.error('Review emergency access error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  requestEmergencyAccess,
+  getEmergencyAccessReport,
+  reviewEmergencyAccess,
+};
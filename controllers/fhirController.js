@@ -0,0 +1,387 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const LabReport = require('../models/LabReport');
+const Document = require('../models/Document');
+const { SCOPE_PERMISSIONS, hasPermission } = require('../config/permissions');
+const { readableScopes, canReadRecord, grantedPatientIds, facilityFilter } = require('../utils/accessGrants');
+const { notArchived } = require('../utils/patientArchive');
+const escapeRegex = require('../utils/escapeRegex');
+const {
+  FHIR_VERSION,
+  FHIR_CONTENT_TYPE,
+  IDENTIFIER_SYSTEMS,
+  internalStatuses,
+  toFhirPatient,
+  toFhirAppointment,
+  toFhirMedicationRequest,
+  toFhirObservation,
+  toFhirDiagnosticReport,
+  toFhirDocumentReference,
+  operationOutcome,
+  parseDateParam,
+  pagingParams,
+  searchBundle,
+} = require('../utils/fhir');
+
+const PATIENT_POPULATE = { path: 'patient', populate: { path: 'user', select: 'firstName lastName' } };
+
+const send = (res, status, body) => res.status(status).type(FHIR_CONTENT_TYPE).send(JSON.stringify(body));
+
+const notFound = (res, type, id) => send(res, 404, operationOutcome('error', 'not-found', `${type}/${id} not found`));
+const forbidden = (res) => send(res, 403, operationOutcome('error', 'forbidden', 'Not authorized'));
+const invalid = (res, message) => send(res, 400, operationOutcome('error', 'invalid', message));
+
+// Patients whose `scope` the caller may read: null for every patient, else
+// a list of IDs. Mirrors how the regular list endpoints narrow results.
+const readablePatientIds = async (user, scope) => {
+  const permission = SCOPE_PERMISSIONS[scope];
+
+  if (!hasPermission(user, permission)) {
+    // Their own chart and their dependents', if they may read those at all
+    if (!hasPermission(user, permission, { ownerId: user._id })) return [];
+    const patients = await Patient.find({ user: { $in: [user._id, ...(user.managedUserIds || [])] } }).select('_id');
+    return patients.map((patient) => patient._id);
+  }
+
+  // Grant-scoped staff; hospital-bound API keys are kept to their facility
+  // by the callers' facilityFilter
+  return grantedPatientIds(user, scope);
+};
+
+// The patient a `patient` search parameter names ("Patient/P-0000017" or
+// just the ID), or null when there's no such patient
+const searchedPatient = async (value) => {
+  const patientId = String(value).replace(/^Patient\//, '');
+  return Patient.findOne({ patientId, mergedInto: null, ...notArchived() }).select('_id');
+};
+
+// Mongo conditions for a record search: what the caller may read, plus the
+// patient, date and status parameters. `authorField` names the doctor who
+// wrote the record, who may always read it back. Returns { conditions } or
+// { error }.
+const recordSearchConditions = async (req, { scope, resourceType, authorField, dateField = 'date' }) => {
+  const { user, query } = req;
+  const conditions = [notArchived(), facilityFilter(user)];
+
+  const ids = await readablePatientIds(user, scope);
+  if (ids) {
+    const readable = { patient: { $in: ids } };
+    conditions.push(authorField && hasPermission(user, SCOPE_PERMISSIONS[scope])
+      ? { $or: [readable, { [authorField]: user._id }] }
+      : readable);
+  }
+
+  if (query.patient) {
+    const patient = await searchedPatient(query.patient);
+    conditions.push({ patient: patient ? patient._id : null });
+  }
+
+  if (query.date) {
+    const { condition, error } = parseDateParam(query.date);
+    if (error) return { error };
+    conditions.push({ [dateField]: condition });
+  }
+
+  if (query.status) {
+    // DocumentReference has no workflow status; all of ours are current
+    const statuses = resourceType === 'DocumentReference'
+      ? (String(query.status).split(',').includes('current') ? null : [])
+      : internalStatuses(resourceType, query.status);
+    if (statuses) conditions.push({ status: { $in: statuses } });
+  }
+
+  return { conditions };
+};
+
+// Search a collection of whole records, one resource per record
+const searchRecords = (Model, options) => async (req) => {
+  const { conditions, error } = await recordSearchConditions(req, options);
+  if (error) return { error };
+
+  const { count, offset } = pagingParams(req.query);
+  const query = { $and: conditions };
+
+  const [total, records] = await Promise.all([
+    Model.countDocuments(query),
+    options.populate(Model.find(query))
+      .sort({ [options.dateField || 'date']: -1, _id: 1 })
+      .skip(offset)
+      .limit(count),
+  ]);
+
+  return { total, count, offset, resources: records.map(options.toFhir) };
+};
+
+// Search resources that are array entries of a record (medications on a
+// prescription, results on a lab report), paged by entry
+const searchEntries = (Model, options) => async (req) => {
+  const { conditions, error } = await recordSearchConditions(req, options);
+  if (error) return { error };
+
+  const { count, offset } = pagingParams(req.query);
+
+  const [result] = await Model.aggregate([
+    { $match: { $and: conditions } },
+    { $unwind: `$${options.entries}` },
+    { $sort: { date: -1, _id: 1 } },
+    { $facet: { total: [{ $count: 'count' }], page: [{ $skip: offset }, { $limit: count }] } },
+  ]);
+
+  const records = await Model.populate(result.page, options.populatePaths);
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  return {
+    total,
+    count,
+    offset,
+    resources: records.map((record) => options.toFhir(record, record[options.entries])),
+  };
+};
+
+const searchPatientResources = async (req) => {
+  const { query } = req;
+  const conditions = [{ mergedInto: null }, notArchived(), facilityFilter(req.user, 'hospital')];
+
+  const ids = await readablePatientIds(req.user, 'profile');
+  if (ids) conditions.push({ _id: { $in: ids } });
+
+  if (query._id) conditions.push({ patientId: { $in: String(query._id).split(',') } });
+
+  if (query.identifier) {
+    // token search: "value" or "system|value"
+    const [system, value] = String(query.identifier).includes('|')
+      ? String(query.identifier).split('|')
+      : [null, String(query.identifier)];
+    if (system === IDENTIFIER_SYSTEMS.cnic) conditions.push({ cnic: value });
+    else if (system === IDENTIFIER_SYSTEMS.patientId) conditions.push({ patientId: value });
+    else if (system) conditions.push({ _id: null });
+    else conditions.push({ $or: [{ patientId: value }, { cnic: value }] });
+  }
+
+  if (query.name) {
+    // Every word must prefix-match a name word, like the patient list search
+    const terms = String(query.name).toLowerCase().split(/\s+/).filter(Boolean)
+      .map((term) => new RegExp(`^${escapeRegex(term)}`));
+    if (terms.length > 0) conditions.push({ searchTokens: { $all: terms } });
+  }
+
+  if (query.gender) {
+    const gender = String(query.gender).toLowerCase();
+    conditions.push({ gender: gender.charAt(0).toUpperCase() + gender.slice(1) });
+  }
+
+  const { count, offset } = pagingParams(query);
+  const filter = { $and: conditions };
+
+  const [total, patients] = await Promise.all([
+    Patient.countDocuments(filter),
+    Patient.find(filter)
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(offset)
+      .limit(count),
+  ]);
+
+  return { total, count, offset, resources: patients.map(toFhirPatient) };
+};
+
+// Load the record behind a resource ID, or null. Entry resources use
+// "<recordId>-<entryId>" IDs.
+const findEntry = async (Model, id, entries, populatePaths) => {
+  const [recordId, entryId] = String(id).split('-');
+  if (!mongoose.isValidObjectId(recordId) || !mongoose.isValidObjectId(entryId)) return null;
+
+  const record = await Model.findById(recordId).populate(populatePaths);
+  const entry = record ? record[entries].id(entryId) : null;
+  return entry ? { record, entry } : null;
+};
+
+const findRecord = async (Model, id, populatePaths) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const record = await Model.findById(id).populate(populatePaths);
+  return record ? { record } : null;
+};
+
+const APPOINTMENT_PATHS = [PATIENT_POPULATE, { path: 'doctor', select: 'firstName lastName' }];
+const PRESCRIPTION_PATHS = [PATIENT_POPULATE, { path: 'doctor', select: 'firstName lastName' }];
+const LAB_REPORT_PATHS = [PATIENT_POPULATE, { path: 'requestedBy', select: 'firstName lastName' }];
+const DOCUMENT_PATHS = [PATIENT_POPULATE, { path: 'uploadedBy', select: 'firstName lastName' }];
+
+// Each resource type: the chart scope it belongs to, how to search it, how
+// to load one by ID, who authored it and how to map it
+const FHIR_RESOURCES = {
+  Patient: {
+    scope: 'profile',
+    searchParams: ['_id', 'identifier', 'name', 'gender'],
+    search: searchPatientResources,
+    find: async (id) => {
+      const patient = await Patient.findOne({ patientId: id }).populate('user', 'firstName lastName email');
+      return patient ? { record: patient, patient } : null;
+    },
+    toFhir: ({ record }) => toFhirPatient(record),
+  },
+  Appointment: {
+    scope: 'appointments',
+    searchParams: ['patient', 'date', 'status'],
+    search: searchRecords(Appointment, {
+      scope: 'appointments',
+      resourceType: 'Appointment',
+      populate: (query) => query.populate(APPOINTMENT_PATHS),
+      toFhir: toFhirAppointment,
+    }),
+    find: (id) => findRecord(Appointment, id, APPOINTMENT_PATHS),
+    toFhir: ({ record }) => toFhirAppointment(record),
+  },
+  MedicationRequest: {
+    scope: 'prescriptions',
+    author: 'doctor',
+    searchParams: ['patient', 'date', 'status'],
+    search: searchEntries(Prescription, {
+      scope: 'prescriptions',
+      resourceType: 'MedicationRequest',
+      authorField: 'doctor',
+      entries: 'medications',
+      populatePaths: PRESCRIPTION_PATHS,
+      toFhir: toFhirMedicationRequest,
+    }),
+    find: (id) => findEntry(Prescription, id, 'medications', PRESCRIPTION_PATHS),
+    toFhir: ({ record, entry }) => toFhirMedicationRequest(record, entry),
+  },
+  Observation: {
+    scope: 'labReports',
+    author: 'requestedBy',
+    searchParams: ['patient', 'date', 'status'],
+    search: searchEntries(LabReport, {
+      scope: 'labReports',
+      resourceType: 'Observation',
+      authorField: 'requestedBy',
+      entries: 'results',
+      populatePaths: LAB_REPORT_PATHS,
+      toFhir: toFhirObservation,
+    }),
+    find: (id) => findEntry(LabReport, id, 'results', LAB_REPORT_PATHS),
+    toFhir: ({ record, entry }) => toFhirObservation(record, entry),
+  },
+  DiagnosticReport: {
+    scope: 'labReports',
+    author: 'requestedBy',
+    searchParams: ['patient', 'date', 'status'],
+    search: searchRecords(LabReport, {
+      scope: 'labReports',
+      resourceType: 'DiagnosticReport',
+      authorField: 'requestedBy',
+      populate: (query) => query.populate(LAB_REPORT_PATHS),
+      toFhir: toFhirDiagnosticReport,
+    }),
+    find: (id) => findRecord(LabReport, id, LAB_REPORT_PATHS),
+    toFhir: ({ record }) => toFhirDiagnosticReport(record),
+  },
+  DocumentReference: {
+    scope: 'documents',
+    searchParams: ['patient', 'date', 'status'],
+    search: searchRecords(Document, {
+      scope: 'documents',
+      resourceType: 'DocumentReference',
+      populate: (query) => query.populate(DOCUMENT_PATHS),
+      toFhir: toFhirDocumentReference,
+    }),
+    find: (id) => findRecord(Document, id, DOCUMENT_PATHS),
+    toFhir: ({ record }) => toFhirDocumentReference(record),
+  },
+};
+
+const SEARCH_PARAM_TYPES = {
+  _id: 'token',
+  identifier: 'token',
+  name: 'string',
+  gender: 'token',
+  patient: 'reference',
+  date: 'date',
+  status: 'token',
+};
+
+// @desc    Search a resource type, e.g. MedicationRequest?patient=P-0000017&status=active
+// @route   GET /fhir/R4/:resourceType
+// @access  Private
+const searchResources = (resourceType) => async (req, res) => {
+  try {
+    const { total, count, offset, resources, error } = await FHIR_RESOURCES[resourceType].search(req);
+    if (error) return invalid(res, error);
+
+    send(res, 200, searchBundle(req, { resources, total, count, offset }));
+  } catch (error) {
+    console.error(`Error searching FHIR ${resourceType}:`, error);
+    send(res, 500, operationOutcome('fatal', 'exception', 'Server error'));
+  }
+};
+
+// @desc    Read one resource by ID
+// @route   GET /fhir/R4/:resourceType/:id
+// @access  Private
+const readResource = (resourceType) => async (req, res) => {
+  const definition = FHIR_RESOURCES[resourceType];
+
+  try {
+    const found = await definition.find(req.params.id);
+    if (!found) return notFound(res, resourceType, req.params.id);
+
+    // Both checks go through readableScopes, which also keeps hospital-bound
+    // API keys to their own facility's patients
+    const patient = found.patient || found.record.patient;
+    if (!patient) return notFound(res, resourceType, req.params.id);
+
+    const allowed = resourceType === 'Patient'
+      ? (await readableScopes(req.user, patient)).includes('profile')
+      : await canReadRecord(req.user, patient, definition.scope, definition.author && found.record[definition.author]);
+
+    if (!allowed) return forbidden(res);
+
+    send(res, 200, definition.toFhir(found));
+  } catch (error) {
+    console.error(`Error reading FHIR ${resourceType}:`, error);
+    send(res, 500, operationOutcome('fatal', 'exception', 'Server error'));
+  }
+};
+
+// @desc    What this server supports
+// @route   GET /fhir/R4/metadata
+// @access  Public
+const getCapabilityStatement = (req, res) => {
+  send(res, 200, {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    software: { name: 'SehatNama API' },
+    implementation: {
+      description: 'SehatNama FHIR R4 read API',
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}`,
+    },
+    fhirVersion: FHIR_VERSION,
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      security: {
+        description: 'Send a bearer access token or an X-API-Key header. Results are limited to what the caller may read in the regular API.',
+      },
+      resource: Object.entries(FHIR_RESOURCES).map(([type, definition]) => ({
+        type,
+        interaction: [{ code: 'read' }, { code: 'search-type' }],
+        searchParam: [
+          ...definition.searchParams.map((name) => ({ name, type: SEARCH_PARAM_TYPES[name] })),
+          { name: '_count', type: 'number' },
+          { name: '_offset', type: 'number' },
+        ],
+      })),
+    }],
+  });
+};
+
+module.exports = {
+  FHIR_RESOURCES,
+  searchResources,
+  readResource,
+  getCapabilityStatement,
+};
@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const Guardianship = require('../models/Guardianship');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const Hospital = require('../models/hospitalModel');
+const { hasPermission } = require('../config/permissions');
+const { generatePatientId } = require('../utils/patientIds');
+const { managedPatientsFor, majorityDate } = require('../utils/guardianships');
+const { toAllergyEntries } = require('../utils/allergies');
+const { runInTransaction } = require('../utils/transactions');
+const { missingProfileFields } = require('../config/patientProfile');
+
+const RELATIONSHIPS = Guardianship.schema.path('relationship').enumValues;
+
+// Relationships whose dependents are minors and come of age
+const MINOR_RELATIONSHIPS = ['parent', 'legal-guardian'];
+
+const validationMessage = (error) => Object.values(error.errors).map((err) => err.message).join(', ');
+
+const formatGuardianship = (guardianship) => ({
+  id: guardianship._id,
+  guardian: guardianship.guardian && guardianship.guardian.firstName
+    ? {
+      id: guardianship.guardian._id,
+      name: `${guardianship.guardian.firstName} ${guardianship.guardian.lastName}`,
+      email: guardianship.guardian.email,
+    }
+    : guardianship.guardian,
+  relationship: guardianship.relationship,
+  consentDate: guardianship.consentDate,
+  consentSource: guardianship.consentSource || null,
+  consentNote: guardianship.consentNote || '',
+  endsAt: guardianship.endsAt || null,
+  active: guardianship.isActive(),
+  revokedAt: guardianship.revokedAt || null,
+});
+
+// Returns { consentDate, endsAt } or { error } from request body dates
+const parseDates = ({ consentDate, endsAt }) => {
+  const dates = {};
+
+  if (consentDate) {
+    dates.consentDate = new Date(consentDate);
+    if (isNaN(dates.consentDate.getTime())) return { error: 'consentDate must be a valid date' };
+  }
+
+  if (endsAt) {
+    dates.endsAt = new Date(endsAt);
+    if (isNaN(dates.endsAt.getTime())) return { error: 'endsAt must be a valid date' };
+    if (dates.endsAt <= (dates.consentDate || new Date())) {
+      return { error: 'endsAt must be after the consent date' };
+    }
+  }
+
+  return dates;
+};
+
+// @desc    Patient profiles the user can act for: their own and their dependents'
+// @route   GET /api/patients/dependents
+// @access  Private
+const getDependents = async (req, res) => {
+  try {
+    const own = await Patient.findOne({ user: req.user._id }).populate('user', 'firstName lastName');
+    const guardianships = await managedPatientsFor(req.user._id);
+
+    const profiles = guardianships.map((guardianship) => ({
+      id: guardianship.patient.patientId,
+      name: `${guardianship.patient.user.firstName} ${guardianship.patient.user.lastName}`,
+      age: guardianship.patient.age,
+      gender: guardianship.patient.gender,
+      relationship: guardianship.relationship,
+      endsAt: guardianship.endsAt || null,
+      self: false,
+    }));
+
+    if (own) {
+      profiles.unshift({
+        id: own.patientId,
+        name: `${own.user.firstName} ${own.user.lastName}`,
+        age: own.age,
+        gender: own.gender,
+        relationship: null,
+        endsAt: null,
+        self: true,
+      });
+    }
+
+    res.json(profiles);
+  } catch (error) {
+    console.error('Error getting dependents:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Create a patient profile for a dependent the user will manage
+// @route   POST /api/patients/dependents
+// @access  Private (Patient)
+const createDependent = async (req, res) => {
+  try {
+    const {
+      firstName,
+      lastName,
+      age,
+      gender,
+      bloodGroup,
+      contact,
+      cnic,
+      address,
+      emergencyContact,
+      condition,
+      allergies,
+      relationship,
+      hospitalId,
+    } = req.body;
+
+    if (!firstName || !lastName) {
+      return res.status(400).json({ message: 'First and last name are required' });
+    }
+
+    if (!RELATIONSHIPS.includes(relationship)) {
+      return res.status(400).json({ message: `relationship must be one of ${RELATIONSHIPS.join(', ')}` });
+    }
+
+    // A dependent's profile needs the same details as anyone else's
+    const missing = missingProfileFields(req.body);
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `Missing required profile fields: ${missing.join(', ')}`, missing });
+    }
+
+    const { consentDate, endsAt, error } = parseDates(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Only staff place a patient at a facility; a guardian's hospitalId is ignored
+    const hospital = hospitalId && hasPermission(req.user, 'patient:create') ? hospitalId : undefined;
+    if (hospital && !(mongoose.isValidObjectId(hospital) && await Hospital.exists({ _id: hospital }))) {
+      return res.status(400).json({ message: 'Hospital not found' });
+    }
+
+    const patientId = await generatePatientId({ hospitalId: hospital });
+
+    // The account, profile and guardianship only exist together
+    let user;
+    let patient;
+    let guardianship;
+    try {
+      ({ user, patient, guardianship } = await runInTransaction(async (session, created) => {
+        // Profile-only account; the dependent can't log in with it
+        const [account] = await User.create([{
+          firstName,
+          lastName,
+          role: 'patient',
+          managed: true,
+          patientId,
+        }], { session });
+        created(account);
+
+        const record = new Patient({
+          user: account._id,
+          patientId,
+          hospital,
+          age,
+          gender,
+          bloodGroup,
+          contact,
+          cnic,
+          address,
+          emergencyContact,
+          condition: condition || '',
+          allergies: toAllergyEntries(allergies || [], req.user._id),
+        });
+        record.setSearchFields(account);
+        created(await record.save({ session }));
+
+        const [link] = await Guardianship.create([{
+          guardian: req.user._id,
+          patient: record._id,
+          relationship,
+          consentDate: consentDate || new Date(),
+          consentSource: 'dependent',
+          // A minor's guardianship ends when they come of age unless told otherwise
+          endsAt: endsAt || (MINOR_RELATIONSHIPS.includes(relationship) ? majorityDate(age) : undefined),
+          createdBy: req.user._id,
+        }], { session });
+        created(link);
+
+        return { user: account, patient: record, guardianship: link };
+      }));
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+
+    res.status(201).json({
+      id: patient.patientId,
+      name: `${user.firstName} ${user.lastName}`,
+      guardianship: formatGuardianship(guardianship),
+      message: 'Dependent created successfully',
+    });
+  } catch (error) {
+    console.error('Error creating dependent:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    List a patient's guardians
+// @route   GET /api/patients/:patientId/guardians
+// @access  Private (Patient themselves/Guardian/Staff)
+const getGuardians = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId }).select('_id');
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const guardianships = await Guardianship.find({ patient: patient._id })
+      .populate('guardian', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json(guardianships.map(formatGuardianship));
+  } catch (error) {
+    console.error('Error getting guardians:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Give an existing account guardianship over a patient. Only the
+//          patient can consent to this themselves; an admin can record it
+//          with a note of the patient's documented consent.
+// @route   POST /api/patients/:patientId/guardians
+// @access  Private (Patient themselves/Admin)
+const addGuardian = async (req, res) => {
+  try {
+    const { guardianEmail, relationship, consentNote } = req.body;
+
+    if (!guardianEmail) {
+      return res.status(400).json({ message: 'guardianEmail is required' });
+    }
+
+    if (!RELATIONSHIPS.includes(relationship)) {
+      return res.status(400).json({ message: `relationship must be one of ${RELATIONSHIPS.join(', ')}` });
+    }
+
+    const { consentDate, endsAt, error } = parseDates(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const patient = await Patient.findOne({ patientId: req.params.patientId }).select('user');
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    // Not through a guardianship: a guardian can't add more guardians
+    const isPatient = req.user.role === 'patient' && patient.user.toString() === req.user._id.toString();
+
+    if (!isPatient && !hasPermission(req.user, 'guardian:manage')) {
+      return res.status(403).json({ message: 'Only the patient can add a guardian' });
+    }
+
+    if (!isPatient && !(consentNote && String(consentNote).trim())) {
+      return res.status(400).json({ message: 'consentNote is required: record how the patient gave consent' });
+    }
+
+    // Guardians act through a patient login
+    const guardian = await User.findOne({
+      email: String(guardianEmail).toLowerCase().trim(),
+      role: 'patient',
+      active: { $ne: false },
+    });
+
+    if (!guardian) {
+      return res.status(404).json({ message: 'No patient account found with that email' });
+    }
+
+    if (guardian._id.toString() === patient.user.toString()) {
+      return res.status(400).json({ message: 'A patient cannot be their own guardian' });
+    }
+
+    const guardianship = await Guardianship.findOneAndUpdate(
+      { guardian: guardian._id, patient: patient._id },
+      {
+        $set: {
+          relationship,
+          consentDate: consentDate || new Date(),
+          consentSource: isPatient ? 'patient' : 'documented',
+          consentNote: isPatient ? '' : String(consentNote).trim(),
+          endsAt: endsAt || null,
+          createdBy: req.user._id,
+        },
+        $unset: { revokedAt: 1, revokedBy: 1 },
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).populate('guardian', 'firstName lastName email');
+
+    res.status(201).json({ message: 'Guardian added', guardianship: formatGuardianship(guardianship) });
+  } catch (error) {
+    console.error('Error adding guardian:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    End a guardianship. The same people who can add one can end it,
+//          plus the guardian stepping down from their own link. A managed
+//          profile always keeps at least one guardian.
+// @route   DELETE /api/patients/:patientId/guardians/:guardianshipId
+// @access  Private (Patient themselves/Guardian themselves/Admin)
+const endGuardianship = async (req, res) => {
+  try {
+    const { patientId, guardianshipId } = req.params;
+
+    if (!mongoose.isValidObjectId(guardianshipId)) {
+      return res.status(404).json({ message: 'Guardianship not found' });
+    }
+
+    const patient = await Patient.findOne({ patientId }).select('user').populate('user', 'managed');
+    const guardianship = patient
+      ? await Guardianship.findOne({ _id: guardianshipId, patient: patient._id })
+        .populate('guardian', 'firstName lastName email')
+      : null;
+
+    if (!guardianship) {
+      return res.status(404).json({ message: 'Guardianship not found' });
+    }
+
+    const isPatient = req.user.role === 'patient' && patient.user._id.toString() === req.user._id.toString();
+    const isOwnLink = Boolean(guardianship.guardian) && guardianship.guardian._id.toString() === req.user._id.toString();
+
+    if (!isPatient && !isOwnLink && !hasPermission(req.user, 'guardian:manage')) {
+      return res.status(403).json({ message: 'Only the patient, the guardian themselves or an admin can end a guardianship' });
+    }
+
+    // Nobody else can act for a profile that can't log in
+    if (guardianship.isActive() && patient.user.managed) {
+      const others = await Guardianship.find({ patient: patient._id, _id: { $ne: guardianship._id }, revokedAt: null });
+      if (!others.some((other) => other.isActive())) {
+        return res.status(409).json({ message: 'This is the only guardian of a managed profile. Add another guardian before ending it' });
+      }
+    }
+
+    if (!guardianship.revokedAt) {
+      guardianship.revokedAt = new Date();
+      guardianship.revokedBy = req.user._id;
+      await guardianship.save();
+    }
+
+    res.json({ message: 'Guardianship ended', guardianship: formatGuardianship(guardianship) });
+  } catch (error) {
+    console.error('Error ending guardianship:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getDependents,
+  createDependent,
+  getGuardians,
+  addGuardian,
+  endGuardianship,
+};
@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const User = require('../models/User');
+const Hospital = require('../models/hospitalModel');
+const ImportJob = require('../models/ImportJob');
+const ImportRow = require('../models/ImportRow');
+const { CSV_FIELDS } = require('../utils/importSources');
+const {
+  IMPORT_DIR,
+  IMPORT_MAX_MB,
+  queueImportValidation,
+  startImportJob,
+  importSummary,
+  writeImportReport,
+} = require('../utils/patientImport');
+
+const importUpload = multer({
+  storage: multer.diskStorage({
+    destination: function(req, file, cb) {
+      fs.mkdirSync(IMPORT_DIR, { recursive: true });
+      cb(null, IMPORT_DIR);
+    },
+    filename: function(req, file, cb) {
+      cb(null, `import-${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(file.originalname).toLowerCase()}`);
+    },
+  }),
+  limits: { fileSize: IMPORT_MAX_MB * 1024 * 1024 },
+  fileFilter: function(req, file, cb) {
+    if (/\.(json|csv)$/i.test(file.originalname)) return cb(null, true);
+    cb('Upload a FHIR Bundle (.json) or a CSV file (.csv)');
+  },
+}).single('file');
+
+const ROW_STATUSES = ImportRow.schema.path('status').enumValues;
+
+const formatJob = async (job) => ({
+  id: job._id,
+  format: job.format,
+  source: job.source,
+  fileName: job.fileName,
+  status: job.status,
+  error: job.error || null,
+  createdAt: job.createdAt,
+  validatedAt: job.validatedAt || null,
+  startedAt: job.startedAt || null,
+  completedAt: job.completedAt || null,
+  rows: await importSummary(job._id),
+  reportUrl: `/api/admin/imports/${job._id}/report`,
+});
+
+const findJob = (id) => (mongoose.isValidObjectId(id) ? ImportJob.findById(id) : null);
+
+// @desc    Upload a FHIR transaction Bundle or CSV file and start its dry
+//          run. Nothing is created until the import is run.
+// @route   POST /api/admin/imports
+// @access  Private/Admin
+const createImport = (req, res) => {
+  importUpload(req, res, async function(err) {
+    if (err) {
+      return res.status(400).json({ message: err.message || err });
+    }
+
+    // Uploads that don't make it into a job are removed
+    const discard = () => req.file && fs.promises.unlink(req.file.path).catch(() => {});
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'Please upload a file' });
+      }
+
+      const { source, hospitalId, defaultDoctorEmail } = req.body;
+      const format = req.body.format || (/\.json$/i.test(req.file.originalname) ? 'fhir' : 'csv');
+
+      if (!source || !source.trim()) {
+        discard();
+        return res.status(400).json({ message: 'Name the source system, e.g. "clinic-emr", so re-imports are recognised' });
+      }
+
+      if (!['fhir', 'csv'].includes(format)) {
+        discard();
+        return res.status(400).json({ message: 'Format must be fhir or csv' });
+      }
+
+      let mapping = {};
+      if (req.body.mapping) {
+        try {
+          mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+        } catch (error) {
+          discard();
+          return res.status(400).json({ message: 'Mapping must be a JSON object of field name to column header' });
+        }
+
+        const unknown = Object.keys(mapping).filter((field) => !CSV_FIELDS.includes(field));
+        if (unknown.length > 0) {
+          discard();
+          return res.status(400).json({ message: `Unknown mapping fields: ${unknown.join(', ')}`, fields: CSV_FIELDS });
+        }
+      }
+
+      if (hospitalId && !(mongoose.isValidObjectId(hospitalId) && await Hospital.exists({ _id: hospitalId }))) {
+        discard();
+        return res.status(400).json({ message: 'Hospital not found' });
+      }
+
+      let defaultDoctor;
+      if (defaultDoctorEmail) {
+        defaultDoctor = await User.findOne({ email: defaultDoctorEmail.toLowerCase(), role: 'doctor' }).select('_id');
+        if (!defaultDoctor) {
+          discard();
+          return res.status(400).json({ message: `No doctor account with email ${defaultDoctorEmail}` });
+        }
+      }
+
+      const job = await ImportJob.create({
+        format,
+        source: source.trim(),
+        fileName: req.file.originalname,
+        filePath: req.file.path,
+        mapping,
+        hospital: hospitalId || undefined,
+        defaultDoctor: defaultDoctor ? defaultDoctor._id : undefined,
+        createdBy: req.user._id,
+      });
+
+      queueImportValidation(job);
+
+      res.status(202).json({
+        message: 'Import uploaded. Review the dry run report, then run the import',
+        job: await formatJob(job),
+        statusUrl: `/api/admin/imports/${job._id}`,
+      });
+    } catch (error) {
+      discard();
+      console.error('Error creating import:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+};
+
+// @desc    List imports, newest first
+// @route   GET /api/admin/imports
+// @access  Private/Admin
+const getImports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [total, jobs] = await Promise.all([
+      ImportJob.countDocuments(),
+      ImportJob.find()
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    res.json({
+      imports: await Promise.all(jobs.map(formatJob)),
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Error getting imports:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Import status with row counts
+// @route   GET /api/admin/imports/:id
+// @access  Private/Admin
+const getImport = async (req, res) => {
+  try {
+    const job = await findJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    res.json(await formatJob(job));
+  } catch (error) {
+    console.error('Error getting import:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    An import's rows, optionally by status or kind
+// @route   GET /api/admin/imports/:id/rows
+// @access  Private/Admin
+const getImportRows = async (req, res) => {
+  try {
+    const job = await findJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const query = { job: job._id };
+
+    if (req.query.status) {
+      if (!ROW_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: `Status must be one of: ${ROW_STATUSES.join(', ')}` });
+      }
+      query.status = req.query.status;
+    }
+    if (req.query.kind) query.kind = String(req.query.kind);
+
+    const [total, rows] = await Promise.all([
+      ImportRow.countDocuments(query),
+      ImportRow.find(query)
+        .sort({ index: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    res.json({
+      rows: rows.map((row) => ({
+        row: row.index + 1,
+        location: row.location,
+        kind: row.kind,
+        externalId: row.externalId,
+        patientExternalId: row.patientRef,
+        status: row.status,
+        errors: row.errorMessages,
+        warnings: row.warningMessages,
+        patientId: row.patientId,
+        record: row.record,
+        data: row.data,
+      })),
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Error getting import rows:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Download the per-row report as CSV (?problems=true for only
+//          rows with errors, warnings or skips)
+// @route   GET /api/admin/imports/:id/report
+// @access  Private/Admin
+const downloadImportReport = async (req, res) => {
+  try {
+    const job = await findJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    if (job.status === 'validating') {
+      return res.status(409).json({ message: 'The dry run is still in progress' });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="import-${job._id}-report.csv"`);
+    await writeImportReport(job, res, { onlyProblems: req.query.problems === 'true' });
+    res.end();
+  } catch (error) {
+    console.error('Error downloading import report:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Run a validated import, or resume one that was interrupted. Only
+//          rows not yet processed are imported.
+// @route   POST /api/admin/imports/:id/run
+// @access  Private/Admin
+const runImport = async (req, res) => {
+  try {
+    const job = await findJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const started = await startImportJob(job._id, { actor: req.user, ip: req.ip });
+
+    if (!started) {
+      const reasons = {
+        validating: 'The dry run is still in progress',
+        importing: 'The import is already running',
+        completed: 'The import has already completed',
+        failed: 'The dry run failed; upload the file again',
+      };
+      return res.status(409).json({ message: reasons[job.status] || 'The import cannot be run' });
+    }
+
+    res.status(202).json({
+      message: job.startedAt ? 'Import resumed' : 'Import started',
+      job: await formatJob(started),
+    });
+  } catch (error) {
+    console.error('Error running import:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  createImport,
+  getImports,
+  getImport,
+  getImportRows,
+  downloadImportReport,
+  runImport,
+};
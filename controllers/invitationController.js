@@ -0,0 +1,164 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { STAFF_ROLES } = require('../config/permissions');
+const { sendInvitation, INVITE_EXPIRES_DAYS } = require('../utils/invitations');
+const { logSecurityEvent } = require('../utils/securityLog');
+
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  specialty: invitation.specialty,
+  status: invitation.status,
+  expired: invitation.status === 'pending' && invitation.expiresAt <= new Date(),
+  expiresAt: invitation.expiresAt,
+  invitedBy: invitation.invitedBy && invitation.invitedBy.firstName
+    ? `${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName}`
+    : invitation.invitedBy,
+  lastSentAt: invitation.lastSentAt,
+  sendCount: invitation.sendCount,
+  createdAt: invitation.createdAt,
+});
+
+// @desc    Invite a staff member
+// @route   POST /api/admin/invitations
+// @access  Private/Admin
+const createInvitation = async (req, res) => {
+  try {
+    const { email, role, specialty, expiresInDays } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ message: 'Email and role are required' });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invitations are only for staff roles: ${STAFF_ROLES.join(', ')}` });
+    }
+
+    if (role === 'doctor' && !specialty) {
+      return res.status(400).json({ message: 'Specialty is required for doctors' });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    if (await Invitation.exists({ email: normalizedEmail, status: 'pending', expiresAt: { $gt: new Date() } })) {
+      return res.status(400).json({ message: 'A pending invitation already exists for this email' });
+    }
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      role,
+      specialty: role === 'doctor' ? specialty : undefined,
+      invitedBy: req.user._id,
+    });
+
+    await sendInvitation(invitation, parseInt(expiresInDays) || INVITE_EXPIRES_DAYS);
+
+    await logSecurityEvent('invitation.created', {
+      email: invitation.email,
+      ip: req.ip,
+      actor: req.user._id,
+      details: { invitation: invitation._id, role },
+    });
+
+    res.status(201).json(formatInvitation(invitation));
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    List invitations (pending by default)
+// @route   GET /api/admin/invitations
+// @access  Private/Admin
+const getInvitations = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const query = status === 'all' ? {} : { status };
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations.map(formatInvitation));
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Resend an invitation with a fresh link
+// @route   POST /api/admin/invitations/:id/resend
+// @access  Private/Admin
+const resendInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+    }
+
+    await sendInvitation(invitation, parseInt(req.body.expiresInDays) || INVITE_EXPIRES_DAYS);
+
+    await logSecurityEvent('invitation.resent', {
+      email: invitation.email,
+      ip: req.ip,
+      actor: req.user._id,
+      details: { invitation: invitation._id },
+    });
+
+    res.json(formatInvitation(invitation));
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/admin/invitations/:id
+// @access  Private/Admin
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user._id;
+    await invitation.save();
+
+    await logSecurityEvent('invitation.revoked', {
+      email: invitation.email,
+      ip: req.ip,
+      actor: req.user._id,
+      details: { invitation: invitation._id },
+    });
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+};
@@ -1,6 +1,17 @@
 const LabReport = require('../models/LabReport');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
+const { canWriteChart, canReadRecord, grantedPatientIds, facilityFilter } = require('../utils/accessGrants');
+const { resolveActingPatient } = require('../utils/guardianships');
+const { notArchived } = require('../utils/patientArchive');
+const { mergedAwayError } = require('../utils/patientMerge');
+
+// API keys bound to a facility may only touch that facility's reports
+const outsideHospitalScope = (req, labReport) => {
+  return !!req.user.hospital &&
+    (!labReport.hospital || labReport.hospital.toString() !== req.user.hospital.toString());
+};
 
 // @desc    Get all lab reports with filtering
 // @route   GET /api/lab-reports
@@ -8,17 +19,25 @@ const User = require('../models/User');
 const getAllLabReports = async (req, res) => {
   try {
     const { status, page = 1, limit = 10, search } = req.query;
-    let query = {};
+    let query = notArchived();
     
-    // If user is a patient, only show their reports
-    if (req.user.role === 'patient') {
-      const patient = await Patient.findOne({ user: req.user._id });
+    // Users who may only read their own reports only see those, or a
+    // dependent's when a guardian passes ?patientId=
+    if (!hasPermission(req.user, 'labReport:read')) {
+      const patient = await resolveActingPatient(req);
       if (!patient) {
         return res.status(404).json({ message: 'Patient profile not found' });
       }
       query.patient = patient._id;
     }
     
+    if (req.user.hospital) {
+      query.hospital = req.user.hospital;
+    }
+
+    // Hospital-bound API keys only list their facility's patients' reports
+    Object.assign(query, facilityFilter(req.user));
+    
     // Filter by status if provided
     if (status) {
       query.status = status;
@@ -40,6 +59,14 @@ const getAllLabReports = async (req, res) => {
       ];
     }
     
+    // Doctors see what they requested and the charts they have access to
+    const grantedPatients = await grantedPatientIds(req.user, 'labReports');
+    if (grantedPatients) {
+      query = {
+        $and: [query, { $or: [{ requestedBy: req.user._id }, { patient: { $in: grantedPatients } }] }],
+      };
+    }
+
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
@@ -98,17 +125,12 @@ const getLabReport = async (req, res) => {
       })
       .populate('requestedBy', 'firstName lastName');
     
-    if (!labReport) {
+    if (!labReport || outsideHospitalScope(req, labReport)) {
       return res.status(404).json({ message: 'Lab report not found' });
     }
     
     // Check if user has permission
-    const isDoctor = req.user.role === 'doctor';
-    const isAdmin = req.user.role === 'admin';
-    const isPatient = req.user.role === 'patient' && 
-                      req.user._id.toString() === labReport.patient.user._id.toString();
-    
-    if (!isDoctor && !isPatient && !isAdmin) {
+    if (!(await canReadRecord(req.user, labReport.patient, 'labReports', labReport.requestedBy))) {
       return res.status(403).json({ message: 'Not authorized' });
     }
     
@@ -141,7 +163,7 @@ const getLabReport = async (req, res) => {
 // @access  Private/Doctor
 const createLabReport = async (req, res) => {
   try {
-    const { patientId, type, lab, date, results, notes } = req.body;
+    const { patientId, type, lab, hospitalId, date, results, notes } = req.body;
     
     // Find the patient by patientId
     const patient = await Patient.findOne({ patientId });
@@ -149,6 +171,19 @@ const createLabReport = async (req, res) => {
     if (!patient) {
       return res.status(404).json({ message: 'Patient not found' });
     }
+
+    if (!(await canWriteChart(req.user, patient, 'labReports'))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (patient.archivedAt) {
+      return res.status(409).json({ message: 'Patient is archived. Restore them before adding records' });
+    }
+
+    const merged = await mergedAwayError(patient);
+    if (merged) {
+      return res.status(409).json(merged);
+    }
     
     // Create lab report
     const labReport = await LabReport.create({
@@ -156,6 +191,7 @@ const createLabReport = async (req, res) => {
       requestedBy: req.user._id,
       type,
       lab,
+      hospital: req.user.hospital || hospitalId || undefined,
       date: date ? new Date(date) : new Date(),
       results: results || [],
       notes: notes || '',
@@ -190,13 +226,12 @@ const updateLabReport = async (req, res) => {
     
     const labReport = await LabReport.findById(req.params.id);
     
-    if (!labReport) {
+    if (!labReport || outsideHospitalScope(req, labReport)) {
       return res.status(404).json({ message: 'Lab report not found' });
     }
     
-    // Check if user is the doctor who requested this report or admin
-    const isReporter = req.user._id.toString() === labReport.requestedBy.toString();
-    if (req.user.role !== 'admin' && !isReporter) {
+    // Check if user is the doctor who requested this report or may edit any
+    if (!hasPermission(req.user, 'labReport:update', { ownerId: labReport.requestedBy })) {
       return res.status(403).json({ message: 'Not authorized' });
     }
     
@@ -208,6 +243,7 @@ const updateLabReport = async (req, res) => {
     if (lab) labReport.lab = lab;
     if (date) labReport.date = date;
     
+    labReport.$locals.changedBy = req.user._id;
     await labReport.save();
     
     // Populate the updated report
@@ -224,6 +260,47 @@ const updateLabReport = async (req, res) => {
   }
 };
 
+// @desc    Enter lab report results
+// @route   PUT /api/lab-reports/:id/results
+// @access  Private (labReport:enterResults)
+const enterLabResults = async (req, res) => {
+  try {
+    const { results, status, notes } = req.body;
+    
+    if (!Array.isArray(results) || results.length === 0) {
+      return res.status(400).json({ message: 'Please provide at least one result' });
+    }
+    
+    const labReport = await LabReport.findById(req.params.id);
+    
+    if (!labReport || outsideHospitalScope(req, labReport)) {
+      return res.status(404).json({ message: 'Lab report not found' });
+    }
+    
+    if (labReport.status === 'Cancelled') {
+      return res.status(400).json({ message: 'Cannot enter results for a cancelled report' });
+    }
+    
+    labReport.results = results;
+    labReport.status = status || 'Completed';
+    if (notes) labReport.notes = notes;
+    
+    labReport.$locals.changedBy = req.user._id;
+    await labReport.save();
+    
+    const populatedReport = await LabReport.findById(labReport._id)
+      .populate([
+        { path: 'patient', populate: { path: 'user', select: 'firstName lastName' } },
+        { path: 'requestedBy', select: 'firstName lastName' }
+      ]);
+    
+    res.json(populatedReport);
+  } catch (error) {
+    console.error('Error entering lab results:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Delete lab report
 // @route   DELETE /api/lab-reports/:id
 // @access  Private/Admin
@@ -256,17 +333,12 @@ const downloadLabReport = async (req, res) => {
       })
       .populate('requestedBy', 'firstName lastName');
     
-    if (!labReport) {
+    if (!labReport || outsideHospitalScope(req, labReport)) {
       return res.status(404).json({ message: 'Lab report not found' });
     }
     
     // Check if user has permission
-    const isDoctor = req.user.role === 'doctor';
-    const isAdmin = req.user.role === 'admin';
-    const isPatient = req.user.role === 'patient' && 
-                      req.user._id.toString() === labReport.patient.user._id.toString();
-    
-    if (!isDoctor && !isPatient && !isAdmin) {
+    if (!(await canReadRecord(req.user, labReport.patient, 'labReports', labReport.requestedBy))) {
       return res.status(403).json({ message: 'Not authorized' });
     }
     
@@ -301,6 +373,7 @@ module.exports = {
   getLabReport,
   createLabReport,
   updateLabReport,
+  enterLabResults,
   deleteLabReport,
   downloadLabReport,
 };
\ No newline at end of file
@@ -0,0 +1,188 @@
+const {
+  HISTORY_SECTIONS,
+  SOCIAL_HISTORY_EDITABLE,
+  HISTORY_RECORDER_PATHS,
+  applyEditable,
+  formatHistoryEntry,
+} = require('../utils/medicalHistory');
+
+// Chart routes run behind canAccessChart('profile'), which loads req.patient
+
+// Save and answer with 400 for validation failures instead of a server error
+const saveChart = async (patient, res) => {
+  try {
+    await patient.save();
+    await patient.populate(HISTORY_RECORDER_PATHS);
+    return true;
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+
+    res.status(400).json({ message: Object.values(error.errors).map((err) => err.message).join(', ') });
+    return false;
+  }
+};
+
+// @desc    List a history section, e.g. the problem list
+// @route   GET /api/patients/:patientId/{allergies,problems,surgeries,family-history,immunizations}
+// @access  Private
+const listHistory = (section) => async (req, res) => {
+  const { field } = HISTORY_SECTIONS[section];
+
+  try {
+    const { patient } = req;
+
+    await patient.populate(HISTORY_RECORDER_PATHS);
+
+    res.json(patient[field].map(formatHistoryEntry));
+  } catch (error) {
+    console.error(`Error listing ${section}:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Add an entry to a history section
+// @route   POST /api/patients/:patientId/{allergies,problems,surgeries,family-history,immunizations}
+// @access  Private/Doctor/Nurse
+const addHistoryEntry = (section) => async (req, res) => {
+  const { field, label, editable, prepare } = HISTORY_SECTIONS[section];
+
+  try {
+    const { patient } = req;
+
+    const entry = { recordedBy: req.user._id, recordedAt: new Date() };
+    applyEditable(entry, req.body, editable);
+    if (prepare) prepare(entry);
+    patient[field].push(entry);
+
+    if (!(await saveChart(patient, res))) return;
+
+    res.status(201).json({
+      message: `${label} recorded`,
+      entry: formatHistoryEntry(patient[field][patient[field].length - 1]),
+    });
+  } catch (error) {
+    console.error(`Error adding to ${section}:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update a history entry
+// @route   PUT /api/patients/:patientId/{allergies,problems,surgeries,family-history,immunizations}/:entryId
+// @access  Private/Doctor/Nurse
+const updateHistoryEntry = (section) => async (req, res) => {
+  const { field, label, editable, prepare } = HISTORY_SECTIONS[section];
+
+  try {
+    const { patient } = req;
+
+    const entry = patient[field].id(req.params.entryId);
+
+    if (!entry) {
+      return res.status(404).json({ message: `${label} not found` });
+    }
+
+    applyEditable(entry, req.body, editable);
+    if (prepare) prepare(entry);
+    entry.updatedBy = req.user._id;
+    entry.updatedAt = new Date();
+
+    if (!(await saveChart(patient, res))) return;
+
+    res.json({ message: `${label} updated`, entry: formatHistoryEntry(entry) });
+  } catch (error) {
+    console.error(`Error updating ${section}:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Remove a history entry, e.g. one entered in error
+// @route   DELETE /api/patients/:patientId/{allergies,problems,surgeries,family-history,immunizations}/:entryId
+// @access  Private/Doctor/Nurse
+const deleteHistoryEntry = (section) => async (req, res) => {
+  const { field, label } = HISTORY_SECTIONS[section];
+
+  try {
+    const { patient } = req;
+
+    const entry = patient[field].id(req.params.entryId);
+
+    if (!entry) {
+      return res.status(404).json({ message: `${label} not found` });
+    }
+
+    entry.deleteOne();
+    await patient.save();
+
+    res.json({ message: `${label} removed` });
+  } catch (error) {
+    console.error(`Error deleting from ${section}:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get social history
+// @route   GET /api/patients/:patientId/social-history
+// @access  Private
+const getSocialHistory = async (req, res) => {
+  try {
+    const { patient } = req;
+
+    await patient.populate(HISTORY_RECORDER_PATHS);
+
+    res.json(formatHistoryEntry(patient.socialHistory));
+  } catch (error) {
+    console.error('Error getting social history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Record or update social history
+// @route   PUT /api/patients/:patientId/social-history
+// @access  Private/Doctor/Nurse
+const updateSocialHistory = async (req, res) => {
+  try {
+    const { patient } = req;
+
+    if (!patient.socialHistory) {
+      patient.socialHistory = { recordedBy: req.user._id, recordedAt: new Date() };
+    } else {
+      patient.socialHistory.updatedBy = req.user._id;
+      patient.socialHistory.updatedAt = new Date();
+    }
+    applyEditable(patient.socialHistory, req.body, SOCIAL_HISTORY_EDITABLE);
+
+    if (!(await saveChart(patient, res))) return;
+
+    res.json({ message: 'Social history updated', entry: formatHistoryEntry(patient.socialHistory) });
+  } catch (error) {
+    console.error('Error updating social history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Clear social history
+// @route   DELETE /api/patients/:patientId/social-history
+// @access  Private/Doctor/Nurse
+const deleteSocialHistory = async (req, res) => {
+  try {
+    const { patient } = req;
+
+    patient.socialHistory = undefined;
+    await patient.save();
+
+    res.json({ message: 'Social history removed' });
+  } catch (error) {
+    console.error('Error deleting social history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  listHistory,
+  addHistoryEntry,
+  updateHistoryEntry,
+  deleteHistoryEntry,
+  getSocialHistory,
+  updateSocialHistory,
+  deleteSocialHistory,
+};
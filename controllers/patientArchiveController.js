@@ -0,0 +1,162 @@
+const Patient = require('../models/Patient');
+const { canReadChart, grantedPatientIds, facilityFilter } = require('../utils/accessGrants');
+const {
+  RECORD_RETENTION_YEARS,
+  archivePatient,
+  restorePatient,
+  retentionEndsAt,
+  purgePatient,
+} = require('../utils/patientArchive');
+
+const personName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'Unknown');
+
+const formatArchivedPatient = async (patient) => ({
+  id: patient.patientId,
+  name: personName(patient.user),
+  age: patient.age,
+  gender: patient.gender,
+  archivedAt: patient.archivedAt,
+  archivedBy: patient.archivedBy && patient.archivedBy.firstName
+    ? personName(patient.archivedBy)
+    : patient.archivedBy,
+  archiveReason: patient.archiveReason,
+  purgeableFrom: await retentionEndsAt(patient),
+});
+
+// @desc    Archive a patient: hidden from lists, records kept
+// @route   DELETE /api/patients/:patientId
+// @access  Private/Doctor/Admin
+const archivePatientRecord = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId }).populate('user', 'firstName lastName');
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    // Only those with access to the chart can archive it
+    if (!(await canReadChart(req.user, patient, 'profile'))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (patient.archivedAt) {
+      return res.status(400).json({ message: 'Patient is already archived' });
+    }
+
+    await archivePatient({ patient, actor: req.user, reason: req.body && req.body.reason, ip: req.ip });
+
+    res.json({
+      message: 'Patient archived. Their records are kept and can be restored',
+      patient: await formatArchivedPatient(patient),
+    });
+  } catch (error) {
+    console.error('Error archiving patient:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Restore an archived patient
+// @route   POST /api/patients/:patientId/restore
+// @access  Private/Doctor/Admin
+const restorePatientRecord = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId }).populate('user', 'firstName lastName');
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    if (!(await canReadChart(req.user, patient, 'profile'))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!patient.archivedAt) {
+      return res.status(400).json({ message: 'Patient is not archived' });
+    }
+
+    await restorePatient({ patient, actor: req.user, ip: req.ip });
+
+    res.json({ message: 'Patient restored', id: patient.patientId });
+  } catch (error) {
+    console.error('Error restoring patient:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    List archived patients with when each may be purged
+// @route   GET /api/patients/archived
+// @access  Private/Doctor/Admin
+const getArchivedPatients = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = { archivedAt: { $ne: null }, ...facilityFilter(req.user, 'hospital') };
+
+    // Doctors only see patients whose charts they have access to, and
+    // hospital-bound API keys their own facility's
+    const grantedPatients = await grantedPatientIds(req.user, 'profile');
+    if (grantedPatients) query._id = { $in: grantedPatients };
+
+    const [total, patients] = await Promise.all([
+      Patient.countDocuments(query),
+      Patient.find(query)
+        .populate('user', 'firstName lastName')
+        .populate('archivedBy', 'firstName lastName')
+        .sort({ archivedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    res.json({
+      patients: await Promise.all(patients.map(formatArchivedPatient)),
+      retentionYears: RECORD_RETENTION_YEARS,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Error getting archived patients:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Permanently delete an archived patient past the retention period
+// @route   DELETE /api/patients/:patientId/purge
+// @access  Private/Admin
+const purgePatientRecord = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId }).populate('user', 'firstName lastName');
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    if (!patient.archivedAt) {
+      return res.status(400).json({ message: 'Only archived patients can be purged' });
+    }
+
+    const purgeableFrom = await retentionEndsAt(patient);
+    if (purgeableFrom > new Date()) {
+      return res.status(409).json({
+        message: `Records must be kept for ${RECORD_RETENTION_YEARS} years after the patient's last activity`,
+        purgeableFrom,
+      });
+    }
+
+    await purgePatient({ patient, actor: req.user, ip: req.ip });
+
+    res.json({ message: 'Patient and all associated data permanently deleted' });
+  } catch (error) {
+    console.error('Error purging patient:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  archivePatientRecord,
+  restorePatientRecord,
+  getArchivedPatients,
+  purgePatientRecord,
+};
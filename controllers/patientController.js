@@ -1,9 +1,23 @@
+const mongoose = require('mongoose');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
 const Appointment = require('../models/Appointment');
 const Prescription = require('../models/Prescription');
 const LabReport = require('../models/LabReport');
 const Document = require('../models/Document');
+const { hasPermission } = require('../config/permissions');
+const { generatePatientId } = require('../utils/patientIds');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+const escapeRegex = require('../utils/escapeRegex');
+const { findLikelyDuplicates } = require('../utils/patientDuplicates');
+const { readableScopes, canReadChart, canWriteChart, grantedPatientIds, facilityFilter } = require('../utils/accessGrants');
+const { HISTORY_RECORDER_PATHS, formatHistoryEntry, formatMedicalHistory } = require('../utils/medicalHistory');
+const { toAllergyEntries } = require('../utils/allergies');
+const { notArchived } = require('../utils/patientArchive');
+const { TIMELINE_TYPES, pageHistoryTimeline } = require('../utils/patientTimeline');
+const { runInTransaction } = require('../utils/transactions');
+const { mergedAwayError } = require('../utils/patientMerge');
+const { missingProfileFields, profileCompleteness } = require('../config/patientProfile');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -38,7 +52,10 @@ const upload = multer({
   }
 }).single('document');
 
-// @desc    Create patient profile for self-registration
+const validationMessage = (error) => Object.values(error.errors).map((err) => err.message).join(', ');
+
+// @desc    Create the signed-in patient's own profile, the last step of
+//          self-registration. Tells the client which fields are missing.
 // @route   POST /api/patients/profile
 // @access  Private (Patient only)
 const createPatientProfile = async (req, res) => {
@@ -48,7 +65,12 @@ const createPatientProfile = async (req, res) => {
     // Check if patient profile already exists
     const existingPatient = await Patient.findOne({ user: userId });
     if (existingPatient) {
-      return res.status(400).json({ message: 'Patient profile already exists' });
+      return res.status(400).json({ message: 'Patient profile already exists', id: existingPatient.patientId });
+    }
+
+    const missing = missingProfileFields(req.body);
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `Missing required profile fields: ${missing.join(', ')}`, missing });
     }
 
     const {
@@ -56,37 +78,49 @@ const createPatientProfile = async (req, res) => {
       gender,
       bloodGroup,
       contact,
+      cnic,
       address,
       emergencyContact,
       condition,
       allergies,
     } = req.body;
 
-    // Generate patient ID
-    const patientId = 'P-' + Math.floor(1000 + Math.random() * 9000);
-
-    // Create patient
-    const patient = await Patient.create({
-      user: userId,
-      patientId,
-      age,
-      gender,
-      bloodGroup,
-      contact,
-      address: address || '',
-      emergencyContact: emergencyContact || '',
-      condition: condition || '',
-      allergies: allergies || [],
-    });
+    // One ID for both the account and the patient record. A patient can't
+    // attach themselves to a facility, so no hospital here.
+    const patientId = await generatePatientId();
 
-    // Update user with patientId
-    const user = req.user;
-    user.patientId = patientId;
-    await user.save();
+    // The profile and the account's link to it are saved together
+    let patient;
+    try {
+      patient = await runInTransaction(async (session, created) => {
+        const record = new Patient({
+          user: userId,
+          patientId,
+          age,
+          gender,
+          bloodGroup,
+          contact,
+          cnic,
+          address,
+          emergencyContact,
+          condition: condition || '',
+          allergies: toAllergyEntries(allergies || [], req.user._id),
+        });
+        record.setSearchFields(req.user);
+        created(await record.save({ session }));
+
+        await User.updateOne({ _id: userId }, { patientId }, { session });
+        return record;
+      });
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({ message: validationMessage(error) });
+    }
 
     res.status(201).json({
       id: patient.patientId,
       message: 'Patient profile created successfully',
+      completeness: profileCompleteness(patient),
     });
   } catch (error) {
     console.error('Error creating patient profile:', error);
@@ -94,6 +128,42 @@ const createPatientProfile = async (req, res) => {
   }
 };
 
+// @desc    The signed-in patient's own profile and how complete it is.
+//          `profile` is null until onboarding has created one.
+// @route   GET /api/patients/me
+// @access  Private (Patient only)
+const getMyPatientProfile = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ user: req.user._id })
+      .populate('user', 'firstName lastName email')
+      .populate(HISTORY_RECORDER_PATHS);
+
+    res.json({
+      profile: patient ? {
+        id: patient.patientId,
+        firstName: patient.user.firstName,
+        lastName: patient.user.lastName,
+        email: patient.user.email,
+        age: patient.age,
+        gender: patient.gender,
+        bloodGroup: patient.bloodGroup,
+        contact: patient.contact,
+        cnic: patient.cnic,
+        address: patient.address,
+        emergencyContact: patient.emergencyContact,
+        condition: patient.condition,
+        allergies: patient.allergies.map(formatHistoryEntry),
+        medicalHistory: formatMedicalHistory(patient),
+        registeredAt: patient.createdAt,
+      } : null,
+      completeness: profileCompleteness(patient),
+    });
+  } catch (error) {
+    console.error('Error getting own patient profile:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Get recent patients
 // @route   GET /api/patients/recent
 // @access  Private/Doctor/Admin
@@ -102,10 +172,15 @@ const createPatientProfile = async (req, res) => {
 // @access  Private/Doctor/Admin
 const getRecentPatients = async (req, res) => {
   try {
-    // Find recent appointments for this doctor
-    const recentAppointments = await Appointment.find({
-      doctor: req.user._id,
-    })
+    // Find recent appointments for this doctor, on charts they still have
+    // access to
+    const query = { doctor: req.user._id, ...notArchived(), ...facilityFilter(req.user) };
+    const grantedPatients = await grantedPatientIds(req.user, 'profile');
+    if (grantedPatients) {
+      query.patient = { $in: grantedPatients };
+    }
+
+    const recentAppointments = await Appointment.find(query)
       .populate({
         path: 'patient',
         populate: { path: 'user', select: 'firstName lastName' },
@@ -150,16 +225,93 @@ const getRecentPatients = async (req, res) => {
   }
 };
 
-// @desc    Get all patients
+// Sortable fields for the patient list, with their default direction
+const PATIENT_SORTS = {
+  createdAt: -1,
+  name: 1,
+  age: 1,
+  patientId: 1,
+};
+
+// Latest completed appointment date for each of the given patients
+const lastVisitsFor = async (patientIds) => {
+  const visits = await Appointment.aggregate([
+    { $match: { patient: { $in: patientIds }, status: 'Completed' } },
+    { $group: { _id: '$patient', lastVisit: { $max: '$date' } } },
+  ]);
+
+  return new Map(visits.map((visit) => [visit._id.toString(), visit.lastVisit]));
+};
+
+// @desc    Get all patients with search, filters and cursor pagination
 // @route   GET /api/patients
 // @access  Private/Doctor/Admin
 const getAllPatients = async (req, res) => {
   try {
-    const patients = await Patient.find({})
+    const { search, gender, bloodGroup, condition, ageMin, ageMax } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const sort = PATIENT_SORTS[req.query.sort] ? req.query.sort : 'createdAt';
+    const field = sort === 'name' ? 'sortName' : sort;
+    let direction = PATIENT_SORTS[sort];
+    if (req.query.order === 'asc') direction = 1;
+    if (req.query.order === 'desc') direction = -1;
+
+    // Merged-away duplicates and archived patients are hidden
+    const conditions = [{ mergedInto: null }, notArchived()];
+
+    // Hospital-scoped API keys only see their own facility's patients
+    conditions.push(facilityFilter(req.user, 'hospital'));
+
+    // Doctors only see patients whose charts they have access to
+    const grantedPatients = await grantedPatientIds(req.user, 'profile');
+    if (grantedPatients) {
+      conditions.push({ _id: { $in: grantedPatients } });
+    }
+
+    if (search) {
+      // Every word must prefix-match a name word, the ID, or contact/CNIC digits
+      const terms = String(search).toLowerCase().split(/\s+/).filter(Boolean).map((term) => {
+        const digits = term.replace(/[\s()+-]/g, '');
+        return new RegExp(`^${escapeRegex(/^\d+$/.test(digits) ? digits : term)}`);
+      });
+      if (terms.length > 0) {
+        conditions.push({ searchTokens: { $all: terms } });
+      }
+    }
+
+    if (gender) conditions.push({ gender });
+    if (bloodGroup) conditions.push({ bloodGroup });
+    if (condition) {
+      conditions.push({ condition: { $regex: escapeRegex(condition), $options: 'i' } });
+    }
+
+    const age = {};
+    if (ageMin !== undefined && !isNaN(parseInt(ageMin))) age.$gte = parseInt(ageMin);
+    if (ageMax !== undefined && !isNaN(parseInt(ageMax))) age.$lte = parseInt(ageMax);
+    if (Object.keys(age).length > 0) conditions.push({ age });
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      conditions.push(afterCursor(field, direction, cursor));
+    }
+
+    const query = { $and: conditions };
+
+    // Fetch one extra row to learn whether another page exists
+    const patients = await Patient.find(query)
       .populate('user', 'firstName lastName email')
-      .sort({ createdAt: -1 });
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1);
+
+    const hasMore = patients.length > limit;
+    const page = patients.slice(0, limit);
+    const lastVisits = await lastVisitsFor(page.map((patient) => patient._id));
 
-    const formattedPatients = patients.map(patient => {
+    const formattedPatients = page.map(patient => {
       // Check if patient.user exists before trying to access its properties
       const firstName = patient.user ? patient.user.firstName : '';
       const lastName = patient.user ? patient.user.lastName : '';
@@ -170,14 +322,22 @@ const getAllPatients = async (req, res) => {
         name: patient.user ? `${firstName} ${lastName}` : 'Unknown Patient',
         age: patient.age || '',
         gender: patient.gender || '',
+        bloodGroup: patient.bloodGroup || '',
         contact: patient.contact || '',
         email: email,
         condition: patient.condition || '',
-        lastVisit: patient.lastVisit || 'No visits yet'
+        lastVisit: lastVisits.get(patient._id.toString()) || null
       };
     });
 
-    res.json(formattedPatients);
+    const last = page[page.length - 1];
+
+    res.json({
+      patients: formattedPatients,
+      nextCursor: hasMore ? encodeCursor(last[field], last._id) : null,
+      hasMore,
+      limit,
+    });
   } catch (error) {
     console.error('Error getting all patients:', error);
     res.status(500).json({ message: 'Server error' });
@@ -192,32 +352,39 @@ const getPatient = async (req, res) => {
     const { patientId } = req.params;
 
     // Find patient
-    const patient = await Patient.findOne({ patientId }).populate('user', 'firstName lastName email');
+    const patient = await Patient.findOne({ patientId })
+      .populate('user', 'firstName lastName email')
+      .populate(HISTORY_RECORDER_PATHS);
 
     if (!patient) {
       return res.status(404).json({ message: 'Patient not found' });
     }
 
-    // Check if user has permission
-    const isDoctor = req.user.role === 'doctor';
-    const isAdmin = req.user.role === 'admin';
-    const isPatient = req.user.role === 'patient' && 
-                      req.user._id.toString() === patient.user._id.toString();
-
-    if (!isDoctor && !isPatient && !isAdmin) {
+    // Check which parts of the chart the user may see
+    const scopes = await readableScopes(req.user, patient);
+    if (!scopes.includes('profile')) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    // Get patient data
-    const appointments = await Appointment.find({ patient: patient._id })
+    // Point callers at the record a duplicate was merged into
+    if (patient.mergedInto) {
+      const survivor = await Patient.findById(patient.mergedInto).select('patientId');
+      return res.status(404).json({
+        message: 'Patient record was merged into another',
+        mergedInto: survivor ? survivor.patientId : null,
+      });
+    }
+
+    // Get patient data, for the scopes the user may read
+    const appointments = !scopes.includes('appointments') ? [] : await Appointment.find({ patient: patient._id })
       .populate('doctor', 'firstName lastName specialty')
       .sort({ date: -1 });
 
-    const prescriptions = await Prescription.find({ patient: patient._id })
+    const prescriptions = !scopes.includes('prescriptions') ? [] : await Prescription.find({ patient: patient._id })
       .populate('doctor', 'firstName lastName specialty')
       .sort({ date: -1 });
 
-    const labReports = await LabReport.find({ patient: patient._id })
+    const labReports = !scopes.includes('labReports') ? [] : await LabReport.find({ patient: patient._id })
       .populate('requestedBy', 'firstName lastName')
       .sort({ date: -1 });
 
@@ -267,16 +434,21 @@ const getPatient = async (req, res) => {
       gender: patient.gender,
       bloodGroup: patient.bloodGroup,
       contact: patient.contact,
+      cnic: patient.cnic,
       email: patient.user.email,
       address: patient.address,
       emergencyContact: patient.emergencyContact,
       condition: patient.condition,
-      allergies: patient.allergies,
-      appointments: formattedAppointments,
-      prescriptions: formattedPrescriptions,
-      labReports: formattedLabReports,
+      allergies: patient.allergies.map(formatHistoryEntry),
+      medicalHistory: formatMedicalHistory(patient),
+      accessScopes: scopes,
     };
 
+    // Sections outside the user's grant are left out rather than sent empty
+    if (scopes.includes('appointments')) response.appointments = formattedAppointments;
+    if (scopes.includes('prescriptions')) response.prescriptions = formattedPrescriptions;
+    if (scopes.includes('labReports')) response.labReports = formattedLabReports;
+
     res.json(response);
   } catch (error) {
     console.error('Error getting patient:', error);
@@ -298,10 +470,13 @@ const createPatient = async (req, res) => {
       gender,
       bloodGroup,
       contact,
+      cnic,
       address,
       emergencyContact,
       condition,
       allergies,
+      hospitalId,
+      allowDuplicate,
     } = req.body;
 
     // Check if email already exists
@@ -311,35 +486,58 @@ const createPatient = async (req, res) => {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Create user
-    const user = await User.create({
-      firstName,
-      lastName,
-      email,
-      password,
-      role: 'patient',
-    });
+    // Stop on likely duplicates unless the caller has reviewed them
+    if (!allowDuplicate) {
+      const duplicates = await findLikelyDuplicates({ firstName, lastName, contact, age, cnic });
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          message: 'Possible duplicate patient. Resubmit with allowDuplicate to create anyway',
+          duplicates,
+        });
+      }
+    }
 
-    // Generate patient ID
-    const patientId = 'P-' + Math.floor(1000 + Math.random() * 9000);
+    // One ID for both the account and the patient record
+    const patientId = await generatePatientId({ hospitalId });
 
-    // Create patient
-    const patient = await Patient.create({
-      user: user._id,
-      patientId,
-      age,
-      gender,
-      bloodGroup,
-      contact,
-      address,
-      emergencyContact,
-      condition: condition || '',
-      allergies: allergies || [],
-    });
-
-    // Update user with patientId
-    user.patientId = patientId;
-    await user.save();
+    // Account and patient record are created together or not at all
+    let user;
+    let patient;
+    try {
+      ({ user, patient } = await runInTransaction(async (session, created) => {
+        const [account] = await User.create([{
+          firstName,
+          lastName,
+          email,
+          password,
+          role: 'patient',
+          patientId,
+        }], { session });
+        created(account);
+
+        const record = new Patient({
+          user: account._id,
+          patientId,
+          hospital: hospitalId || undefined,
+          age,
+          gender,
+          bloodGroup,
+          contact,
+          cnic,
+          address,
+          emergencyContact,
+          condition: condition || '',
+          allergies: toAllergyEntries(allergies || [], req.user._id),
+        });
+        record.setSearchFields(account);
+        created(await record.save({ session }));
+
+        return { user: account, patient: record };
+      }));
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({ message: validationMessage(error) });
+    }
 
     res.status(201).json({
       id: patient.patientId,
@@ -368,13 +566,18 @@ const updatePatient = async (req, res) => {
       gender,
       bloodGroup,
       contact,
+      cnic,
       email,
       address,
       emergencyContact,
       condition,
-      allergies,
     } = req.body;
 
+    // Allergies are edited one entry at a time, with who changed what
+    if (req.body.allergies !== undefined) {
+      return res.status(400).json({ message: `Update allergies through /api/patients/${patientId}/allergies` });
+    }
+
     // Find patient
     const patient = await Patient.findOne({ patientId }).populate('user');
 
@@ -382,13 +585,9 @@ const updatePatient = async (req, res) => {
       return res.status(404).json({ message: 'Patient not found' });
     }
 
-    // Check if user has permission
-    const isDoctor = req.user.role === 'doctor';
-    const isAdmin = req.user.role === 'admin';
-    const isPatient = req.user.role === 'patient' && 
-                      req.user._id.toString() === patient.user._id.toString();
-
-    if (!isDoctor && !isPatient && !isAdmin) {
+    // Check if user has permission, and for grant-scoped staff a grant on this chart
+    if (!hasPermission(req.user, 'patient:update', { ownerId: patient.user._id }) ||
+        !(await canWriteChart(req.user, patient, 'profile'))) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -397,19 +596,21 @@ const updatePatient = async (req, res) => {
     if (gender) patient.gender = gender;
     if (bloodGroup) patient.bloodGroup = bloodGroup;
     if (contact) patient.contact = contact;
+    if (cnic) patient.cnic = cnic;
     if (address) patient.address = address;
     if (emergencyContact) patient.emergencyContact = emergencyContact;
     if (condition) patient.condition = condition;
-    if (allergies) patient.allergies = allergies;
 
+    // Update user info if provided
+    const user = patient.user;
+    if (firstName) user.firstName = firstName;
+    if (lastName) user.lastName = lastName;
+    if (email) user.email = email;
+
+    patient.setSearchFields(user);
     await patient.save();
 
-    // Update user info if provided
     if (firstName || lastName || email) {
-      const user = patient.user;
-      if (firstName) user.firstName = firstName;
-      if (lastName) user.lastName = lastName;
-      if (email) user.email = email;
       await user.save();
     }
 
@@ -429,12 +630,41 @@ const updatePatient = async (req, res) => {
   }
 };
 
-// @desc    Get patient history (timeline of all medical events)
+// @desc    Get patient history (timeline of all medical events), newest
+//          first. Filter with ?type=appointment,lab&doctor=&from=&to= and
+//          page with ?cursor=&limit=
 // @route   GET /api/patients/:patientId/history
 // @access  Private
 const getPatientHistory = async (req, res) => {
   try {
     const { patientId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const types = req.query.type ? String(req.query.type).split(',').map((type) => type.trim()).filter(Boolean) : [];
+    const unknown = types.filter((type) => !Object.keys(TIMELINE_TYPES).includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `type must be one of: ${Object.keys(TIMELINE_TYPES).join(', ')}` });
+    }
+
+    const { doctor } = req.query;
+    if (doctor && !mongoose.isValidObjectId(doctor)) {
+      return res.status(400).json({ message: 'Invalid doctor id' });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime())) || (from && to && from > to)) {
+      return res.status(400).json({ message: 'from and to must be valid dates with from before to' });
+    }
+    // A bare date includes the whole of that day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    const cursor = decodeCursor(req.query.cursor);
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
 
     // Find patient
     const patient = await Patient.findOne({ patientId }).populate('user', 'firstName lastName');
@@ -444,97 +674,18 @@ const getPatientHistory = async (req, res) => {
     }
 
     // Check permissions
-    const isDoctor = req.user.role === 'doctor';
-    const isAdmin = req.user.role === 'admin';
-    const isPatient = req.user.role === 'patient' && 
-                      patient.user._id.toString() === req.user._id.toString();
-
-    if (!isDoctor && !isPatient && !isAdmin) {
+    const scopes = await readableScopes(req.user, patient);
+    if (!scopes.includes('profile')) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    // Get all medical events
-    const appointments = await Appointment.find({ patient: patient._id })
-      .populate('doctor', 'firstName lastName specialty')
-      .select('date time purpose status notes doctor');
-
-    const prescriptions = await Prescription.find({ patient: patient._id })
-      .populate('doctor', 'firstName lastName specialty')
-      .select('date medications notes status doctor');
-
-    const labReports = await LabReport.find({ patient: patient._id })
-      .populate('requestedBy', 'firstName lastName')
-      .select('date type lab results status notes requestedBy');
-
-    // Get doctor notes
-    const doctorNotes = await Document.find({ 
-      patient: patient._id,
-      type: 'doctor-note'
-    })
-    .populate('uploadedBy', 'firstName lastName role')
-    .select('date title uploadedBy notes');
-
-    // Format all events into a unified timeline
-    const history = [
-      ...appointments.map(apt => ({
-        id: `HIST-APT-${apt._id}`,
-        type: 'appointment',
-        date: apt.date,
-        time: apt.time || '09:00 AM', // Default if time not provided
-        title: `${apt.purpose} Appointment`,
-        doctor: `Dr. ${apt.doctor.firstName} ${apt.doctor.lastName}`,
-        details: apt.notes || 'No notes provided',
-        status: apt.status
-      })),
-      ...prescriptions.map(rx => ({
-        id: `HIST-RX-${rx._id}`,
-        type: 'prescription',
-        date: rx.date,
-        time: '09:30 AM', // Default time for prescriptions
-        title: `Prescription Update`,
-        doctor: `Dr. ${rx.doctor.firstName} ${rx.doctor.lastName}`,
-        details: rx.medications.map(med => 
-          `${med.name} (${med.dosage}) - ${med.frequency} for ${med.duration}`
-        ).join('; '),
-        status: rx.status
-      })),
-      ...labReports.map(report => ({
-        id: `HIST-LAB-${report._id}`,
-        type: 'lab',
-        date: report.date,
-        time: '11:00 AM', // Default time for lab reports
-        title: report.type,
-        doctor: `Dr. ${report.requestedBy.firstName} ${report.requestedBy.lastName}`,
-        details: report.results.length > 0 
-          ? report.results.map(r => `${r.test}: ${r.value} (${r.status})`).join('; ')
-          : report.notes || 'No details provided',
-        status: report.status
-      })),
-      ...doctorNotes.map(note => ({
-        id: `HIST-NOTE-${note._id}`,
-        type: 'note',
-        date: note.date,
-        time: '11:45 AM', // Default time for notes
-        title: note.title || 'Doctor\'s Note',
-        doctor: note.uploadedBy.role === 'doctor' 
-          ? `Dr. ${note.uploadedBy.firstName} ${note.uploadedBy.lastName}`
-          : note.uploadedBy.firstName,
-        details: note.notes || 'No details provided',
-        status: 'N/A'
-      }))
-    ];
-
-    // Sort by date and time
-    history.sort((a, b) => {
-      const dateA = new Date(`${a.date}T${a.time}`);
-      const dateB = new Date(`${b.date}T${b.time}`);
-      return dateB - dateA; // Recent first
-    });
+    const page = await pageHistoryTimeline(patient, scopes, { types, doctor, from, to, cursor, limit });
 
     res.json({
       id: patient.patientId,
       name: `${patient.user.firstName} ${patient.user.lastName}`,
-      history
+      accessScopes: scopes,
+      ...page,
     });
   } catch (error) {
     console.error('Error getting patient history:', error);
@@ -557,12 +708,7 @@ const getPatientDocuments = async (req, res) => {
     }
 
     // Check permissions
-    const isDoctor = req.user.role === 'doctor';
-    const isAdmin = req.user.role === 'admin';
-    const isPatient = req.user.role === 'patient' && 
-                      patient.user.toString() === req.user._id.toString();
-
-    if (!isDoctor && !isPatient && !isAdmin) {
+    if (!(await canReadChart(req.user, patient, 'documents'))) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -609,13 +755,33 @@ const uploadPatientDocument = async (req, res) => {
       if (!req.file) {
         return res.status(400).json({ message: 'Please upload a file' });
       }
+
+      // Refused uploads don't keep their file
+      const discard = () => fs.promises.unlink(req.file.path).catch(() => {});
   
       // Find patient
       const patient = await Patient.findOne({ patientId });
   
       if (!patient) {
+        discard();
         return res.status(404).json({ message: 'Patient not found' });
       }
+
+      if (!(await canWriteChart(req.user, patient, 'documents'))) {
+        discard();
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+
+      if (patient.archivedAt) {
+        discard();
+        return res.status(409).json({ message: 'Patient is archived. Restore them before adding records' });
+      }
+
+      const merged = await mergedAwayError(patient);
+      if (merged) {
+        discard();
+        return res.status(409).json(merged);
+      }
   
       // Create document entry
       const document = await Document.create({
@@ -676,11 +842,9 @@ const deletePatientDocument = async (req, res) => {
     }
 
     // Check if user has permission
-    const isDoctor = req.user.role === 'doctor';
-    const isAdmin = req.user.role === 'admin';
     const isUploader = document.uploadedBy.toString() === req.user._id.toString();
 
-    if (!isDoctor && !isAdmin && !isUploader) {
+    if (!hasPermission(req.user, 'document:delete') && !isUploader) {
       return res.status(403).json({ message: 'Not authorized to delete this document' });
     }
 
@@ -721,10 +885,7 @@ const processPatientDocument = async (req, res) => {
     }
 
     // Check if user has permission
-    const isDoctor = req.user.role === 'doctor';
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isDoctor && !isAdmin) {
+    if (!hasPermission(req.user, 'document:process')) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -823,85 +984,17 @@ const processPatientDocument = async (req, res) => {
     res.status(500).json({ message: 'Server error' });
   }
 };
-// @desc    Delete a patient
-// @route   DELETE /api/patients/:patientId
-// @access  Private/Admin/Doctor
-const deletePatient = async (req, res) => {
-  try {
-    const { patientId } = req.params;
-    console.log('Received patientId for deletion:', patientId)
-
-    // Find patient
-    const patient = await Patient.findOne({ patientId }).populate('user');
-
-    if (!patient) {
-      console.log(`Patient not found with ID: ${patientId}`)
-      return res.status(404).json({ message: 'Patient not found' });
-    }
-
-    console.log('Found patient:', patient.patientId)
-
-    // Check if user has permission (admin or doctor)
-    const isAdmin = req.user.role === 'admin';
-    const isDoctor = req.user.role === 'doctor';
-
-    if (!isAdmin && !isDoctor) {
-      console.log(`User ${req.user.email} is not authorized to delete patients`)
-      return res.status(403).json({ message: 'Not authorized - admin or doctor access required' });
-    }
-
-    console.log('User has permission to delete patient')
-
-    // Delete associated documents (this needs to handle files on disk)
-    const documents = await Document.find({ patient: patient._id });
-    for (const doc of documents) {
-      try {
-        if (doc.url && fs.existsSync(doc.url)) {
-          fs.unlinkSync(doc.url);
-        }
-      } catch (fileError) {
-        console.error(`Error deleting file ${doc.url}:`, fileError);
-        // Continue with deletion even if file deletion fails
-      }
-      await doc.deleteOne(); // Use deleteOne instead of remove
-    }
-
-    // Delete associated appointments
-    await Appointment.deleteMany({ patient: patient._id });
-
-    // Delete associated prescriptions
-    await Prescription.deleteMany({ patient: patient._id });
-
-    // Delete associated lab reports
-    await LabReport.deleteMany({ patient: patient._id });
-
-    // Delete the patient document
-    await patient.deleteOne(); // Use deleteOne instead of remove
-
-    // Delete the user account
-    if (patient.user && patient.user._id) {
-      await User.deleteOne({ _id: patient.user._id });
-    }
-
-    console.log('Successfully deleted patient and associated data')
-    res.json({ message: 'Patient and all associated data deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting patient:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-};
-
 module.exports = {
   getRecentPatients,
   getAllPatients,
   getPatient,
   createPatient,
   updatePatient,
-  deletePatient,
   getPatientHistory,
   getPatientDocuments,
   uploadPatientDocument,
   deletePatientDocument,
   processPatientDocument,
-  createPatientProfile  // Add this new function
+  createPatientProfile,
+  getMyPatientProfile,
 };
\ No newline at end of file
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const ExportJob = require('../models/ExportJob');
+const { hasPermission } = require('../config/permissions');
+const { readableScopes } = require('../utils/accessGrants');
+const { logSecurityEvent } = require('../utils/securityLog');
+const {
+  EXPORT_LINK_HOURS,
+  shouldExportInBackground,
+  writePatientExport,
+  exportFileName,
+  queueExportJob,
+  findExportByToken,
+} = require('../utils/patientExport');
+
+const formatJob = (job) => ({
+  id: job._id,
+  status: job.status,
+  scopes: job.scopes,
+  fileSize: job.fileSize || null,
+  requestedAt: job.createdAt,
+  completedAt: job.completedAt || null,
+  expiresAt: job.expiresAt || null,
+  error: job.status === 'failed' ? job.error : undefined,
+});
+
+// @desc    Export a patient's complete record as a ZIP archive. Small
+//          exports download directly; large ones (or ?background=true) are
+//          built in the background and fetched from an expiring link.
+// @route   GET /api/patients/:patientId/export
+// @access  Private (Patient themselves/Guardian/Doctor/Admin)
+const exportPatient = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId });
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    // The export holds exactly what the requester could read in the chart
+    const scopes = await readableScopes(req.user, patient);
+    if (!scopes.includes('profile')) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const background = req.query.background === 'true' || (await shouldExportInBackground(patient, scopes));
+
+    await logSecurityEvent('patient.exported', {
+      user: patient.user,
+      ip: req.ip,
+      actor: req.user._id,
+      details: { patientId: patient.patientId, scopes, background },
+    });
+
+    if (background) {
+      const { job, downloadUrl } = await queueExportJob({
+        patient,
+        scopes,
+        requestedBy: req.user,
+        linkFor: (token) => `${req.protocol}://${req.get('host')}/api/patients/exports/download/${token}`,
+      });
+
+      return res.status(202).json({
+        message: `Export is being prepared. The download link works for ${EXPORT_LINK_HOURS} hours once it is ready`,
+        job: formatJob(job),
+        statusUrl: `/api/patients/exports/${job._id}`,
+        downloadUrl,
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(patient)}"`);
+    await writePatientExport({ patient, scopes, requestedBy: req.user }, res);
+    res.end();
+  } catch (error) {
+    console.error('Error exporting patient:', error);
+    // Once the archive has started streaming the status can't change
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Status of a background export
+// @route   GET /api/patients/exports/:jobId
+// @access  Private (Requester/Admin)
+const getExportJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = mongoose.isValidObjectId(jobId) ? await ExportJob.findById(jobId) : null;
+
+    // Other people's exports are reported as missing
+    if (!job || (job.requestedBy.toString() !== req.user._id.toString() && !hasPermission(req.user, 'export:manage'))) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    res.json(formatJob(job));
+  } catch (error) {
+    console.error('Error getting export job:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Download a finished export; the token in the link is the credential
+// @route   GET /api/patients/exports/download/:token
+// @access  Public (link holder)
+const downloadExport = async (req, res) => {
+  try {
+    const job = await findExportByToken(req.params.token);
+
+    if (!job || !job.filePath || !fs.existsSync(job.filePath)) {
+      return res.status(404).json({ message: 'Export not found, not ready yet, or the link has expired' });
+    }
+
+    job.downloads += 1;
+    await job.save();
+
+    res.download(job.filePath, exportFileName(job.patient));
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  exportPatient,
+  getExportJob,
+  downloadExport,
+};
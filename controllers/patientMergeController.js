@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const PatientMerge = require('../models/PatientMerge');
+const { findLikelyDuplicates } = require('../utils/patientDuplicates');
+const { mergePatients, undoPatientMerge } = require('../utils/patientMerge');
+const { logSecurityEvent } = require('../utils/securityLog');
+
+const formatMerge = (merge) => ({
+  id: merge._id,
+  survivorPatientId: merge.survivorPatientId,
+  sourcePatientId: merge.sourcePatientId,
+  reason: merge.reason,
+  moved: {
+    appointments: merge.moved.appointments.length,
+    prescriptions: merge.moved.prescriptions.length,
+    labReports: merge.moved.labReports.length,
+    vitals: merge.moved.vitals.length,
+    documents: merge.moved.documents.length,
+    accessGrants: merge.moved.accessGrants.length,
+    guardianships: merge.moved.guardianships.length,
+    emergencyAccess: merge.moved.emergencyAccess.length,
+  },
+  allergiesAdded: merge.survivorChanges.allergiesAdded,
+  mergedBy: merge.mergedBy && merge.mergedBy.firstName
+    ? `${merge.mergedBy.firstName} ${merge.mergedBy.lastName}`
+    : merge.mergedBy,
+  mergedAt: merge.createdAt,
+  undoneAt: merge.undoneAt || null,
+});
+
+const logMergeEvent = (event, req, merge) => logSecurityEvent(event, {
+  ip: req.ip,
+  actor: req.user._id,
+  details: {
+    merge: merge._id,
+    survivor: merge.survivorPatientId,
+    source: merge.sourcePatientId,
+  },
+});
+
+// @desc    Find existing patients that look like the given details
+// @route   POST /api/patients/duplicates
+// @access  Private/Doctor/Receptionist/Admin
+const checkDuplicatePatients = async (req, res) => {
+  try {
+    const { firstName, lastName, contact, age, cnic } = req.body;
+
+    const duplicates = await findLikelyDuplicates({ firstName, lastName, contact, age, cnic });
+
+    res.json({ duplicates });
+  } catch (error) {
+    console.error('Error checking duplicate patients:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Merge a duplicate patient into this one
+// @route   POST /api/patients/:patientId/merge
+// @access  Private/Admin
+const mergePatient = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { sourcePatientId, reason } = req.body;
+
+    if (!sourcePatientId) {
+      return res.status(400).json({ message: 'sourcePatientId is required' });
+    }
+
+    if (sourcePatientId === patientId) {
+      return res.status(400).json({ message: 'Cannot merge a patient into itself' });
+    }
+
+    const survivor = await Patient.findOne({ patientId }).populate('user');
+    const source = await Patient.findOne({ patientId: sourcePatientId }).populate('user');
+
+    if (!survivor || !source) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    if (survivor.mergedInto || source.mergedInto) {
+      return res.status(409).json({ message: 'Patient has already been merged into another record' });
+    }
+
+    if (survivor.archivedAt || source.archivedAt) {
+      return res.status(409).json({ message: 'Restore archived patients before merging them' });
+    }
+
+    const merge = await mergePatients({ survivor, source, actor: req.user, reason });
+
+    await logMergeEvent('patient.merged', req, merge);
+
+    res.status(201).json({
+      message: 'Patients merged successfully',
+      merge: formatMerge(merge),
+    });
+  } catch (error) {
+    console.error('Error merging patients:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    List merges a patient took part in
+// @route   GET /api/patients/:patientId/merges
+// @access  Private/Admin
+const getPatientMerges = async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId }).select('_id');
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const merges = await PatientMerge.find({
+      $or: [{ survivor: patient._id }, { source: patient._id }],
+    })
+      .populate('mergedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json(merges.map(formatMerge));
+  } catch (error) {
+    console.error('Error getting patient merges:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Undo a patient merge
+// @route   POST /api/patients/merges/:mergeId/undo
+// @access  Private/Admin
+const undoMerge = async (req, res) => {
+  try {
+    const { mergeId } = req.params;
+
+    if (!mongoose.isValidObjectId(mergeId)) {
+      return res.status(404).json({ message: 'Merge not found' });
+    }
+
+    const merge = await PatientMerge.findById(mergeId);
+
+    if (!merge) {
+      return res.status(404).json({ message: 'Merge not found' });
+    }
+
+    if (merge.undoneAt) {
+      return res.status(409).json({ message: 'Merge has already been undone' });
+    }
+
+    const survivor = await Patient.findById(merge.survivor).select('mergedInto');
+    const source = await Patient.findById(merge.source).select('_id');
+
+    if (!survivor || !source) {
+      return res.status(409).json({ message: 'A patient in this merge no longer exists' });
+    }
+
+    // Later merges build on this one and have to be undone first
+    if (survivor.mergedInto) {
+      return res.status(409).json({ message: 'The surviving patient has since been merged; undo that merge first' });
+    }
+
+    await undoPatientMerge(merge, req.user);
+
+    await logMergeEvent('patient.merge-undone', req, merge);
+
+    res.json({ message: 'Merge undone', merge: formatMerge(merge) });
+  } catch (error) {
+    console.error('Error undoing patient merge:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  checkDuplicatePatients,
+  mergePatient,
+  getPatientMerges,
+  undoMerge,
+};
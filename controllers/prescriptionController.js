@@ -3,6 +3,60 @@
 const Prescription = require('../models/Prescription');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
+const { canWriteChart, canReadRecord, grantedPatientIds, facilityFilter } = require('../utils/accessGrants');
+const { resolveActingPatient } = require('../utils/guardianships');
+const { findAllergyConflicts } = require('../utils/allergies');
+const { notArchived } = require('../utils/patientArchive');
+const { mergedAwayError } = require('../utils/patientMerge');
+
+const MIN_OVERRIDE_REASON_LENGTH = 10;
+
+// Check medications against the patient's recorded allergies. Mild and
+// moderate conflicts come back as warnings; serious ones block the
+// prescription unless a doctor overrides them with a reason. Returns
+// { warnings, override } or { status, body } to answer with.
+const checkAllergies = async (req, patient, medications) => {
+  const conflicts = await findAllergyConflicts(patient, medications);
+  const blocking = conflicts.filter((conflict) => conflict.blocking);
+  const warnings = conflicts.filter((conflict) => !conflict.blocking);
+
+  if (blocking.length === 0) return { warnings };
+
+  const { allergyOverride } = req.body;
+  const reason = allergyOverride && allergyOverride.reason ? String(allergyOverride.reason).trim() : '';
+
+  if (!reason) {
+    return {
+      status: 409,
+      body: {
+        message: 'Medication conflicts with a recorded allergy. Resubmit with allergyOverride.reason to prescribe anyway',
+        conflicts,
+      },
+    };
+  }
+
+  if (!hasPermission(req.user, 'prescription:overrideAllergy')) {
+    return { status: 403, body: { message: 'Only a doctor can override an allergy conflict', conflicts } };
+  }
+
+  if (reason.length < MIN_OVERRIDE_REASON_LENGTH) {
+    return {
+      status: 400,
+      body: { message: `Override reason must be at least ${MIN_OVERRIDE_REASON_LENGTH} characters` },
+    };
+  }
+
+  return {
+    warnings,
+    override: {
+      reason,
+      by: req.user._id,
+      at: new Date(),
+      conflicts: blocking.map(({ medication, substance, severity }) => ({ medication, substance, severity })),
+    },
+  };
+};
 
 // @desc    Create a new prescription
 // @route   POST /api/prescriptions
@@ -19,6 +73,25 @@ const createPrescription = async (req, res) => {
       return res.status(404).json({ message: 'Patient not found' });
     }
 
+    // The allergy check and the response both reveal the chart
+    if (!(await canWriteChart(req.user, patient, 'prescriptions'))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (patient.archivedAt) {
+      return res.status(409).json({ message: 'Patient is archived. Restore them before adding records' });
+    }
+
+    const merged = await mergedAwayError(patient);
+    if (merged) {
+      return res.status(409).json(merged);
+    }
+
+    const allergyCheck = await checkAllergies(req, patient, medications);
+    if (allergyCheck.status) {
+      return res.status(allergyCheck.status).json(allergyCheck.body);
+    }
+
     // Create prescription
     const prescription = await Prescription.create({
       patient: patient._id,
@@ -27,6 +100,7 @@ const createPrescription = async (req, res) => {
       medications,
       notes: notes || '',
       status: 'Active',
+      allergyOverride: allergyCheck.override,
     });
 
     // Populate the prescription for response
@@ -43,7 +117,9 @@ const createPrescription = async (req, res) => {
       medications: populatedPrescription.medications,
       status: populatedPrescription.status,
       notes: populatedPrescription.notes,
-      doctor: `Dr. ${populatedPrescription.doctor.firstName} ${populatedPrescription.doctor.lastName}`
+      doctor: `Dr. ${populatedPrescription.doctor.firstName} ${populatedPrescription.doctor.lastName}`,
+      allergyWarnings: allergyCheck.warnings,
+      allergyOverride: populatedPrescription.allergyOverride || null,
     });
   } catch (error) {
     console.error('Error creating prescription:', error);
@@ -66,16 +142,29 @@ const updatePrescription = async (req, res) => {
       return res.status(404).json({ message: 'Prescription not found' });
     }
 
-    // Check if user is the doctor of this prescription or admin
-    if (req.user.role !== 'admin' && req.user._id.toString() !== prescription.doctor.toString()) {
+    // Check if user is the doctor of this prescription or may edit any
+    if (!hasPermission(req.user, 'prescription:update', { ownerId: prescription.doctor })) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
+    // New medications are checked against allergies as on creation
+    let allergyWarnings = [];
+    if (medications) {
+      const patient = await Patient.findById(prescription.patient);
+      const allergyCheck = await checkAllergies(req, patient, medications);
+      if (allergyCheck.status) {
+        return res.status(allergyCheck.status).json(allergyCheck.body);
+      }
+      allergyWarnings = allergyCheck.warnings;
+      prescription.allergyOverride = allergyCheck.override;
+    }
+
     // Update fields
     if (status) prescription.status = status;
     if (notes) prescription.notes = notes;
     if (medications) prescription.medications = medications;
 
+    prescription.$locals.changedBy = req.user._id;
     const updatedPrescription = await prescription.save();
 
     res.json({
@@ -83,6 +172,8 @@ const updatePrescription = async (req, res) => {
       status: updatedPrescription.status,
       notes: updatedPrescription.notes,
       medications: updatedPrescription.medications,
+      allergyWarnings,
+      allergyOverride: updatedPrescription.allergyOverride || null,
     });
   } catch (error) {
     console.error('Error updating prescription:', error);
@@ -107,12 +198,7 @@ const getPrescription = async (req, res) => {
     }
 
     // Check if user has permission
-    const isDoctor = req.user.role === 'doctor';
-    const isAdmin = req.user.role === 'admin';
-    const isPatient = req.user.role === 'patient' && 
-                      req.user.patientId === prescription.patient.patientId;
-
-    if (!isDoctor && !isPatient && !isAdmin) {
+    if (!(await canReadRecord(req.user, prescription.patient, 'prescriptions', prescription.doctor))) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -126,6 +212,7 @@ const getPrescription = async (req, res) => {
       medications: prescription.medications,
       notes: prescription.notes,
       status: prescription.status,
+      allergyOverride: prescription.allergyOverride || null,
     };
 
     res.json(response);
@@ -142,15 +229,26 @@ const getAllPrescriptions = async (req, res) => {
   try {
     let query = {};
     
-    // If user is a patient, only show their prescriptions
-    if (req.user.role === 'patient') {
-      const patient = await Patient.findOne({ user: req.user._id });
+    // Users who may only read their own prescriptions only see those, or a
+    // dependent's when a guardian passes ?patientId=
+    if (!hasPermission(req.user, 'prescription:read')) {
+      const patient = await resolveActingPatient(req);
       if (!patient) {
         return res.status(404).json({ message: 'Patient profile not found' });
       }
       query = { patient: patient._id };
     }
 
+    // Doctors see what they prescribed and the charts they have access to
+    const grantedPatients = await grantedPatientIds(req.user, 'prescriptions');
+    if (grantedPatients) {
+      query = { $or: [{ doctor: req.user._id }, { patient: { $in: grantedPatients } }] };
+    }
+
+    // Archived patients' prescriptions stay out of the list, and hospital-bound
+    // API keys only see their facility's
+    query = { ...query, ...notArchived(), ...facilityFilter(req.user) };
+
     const prescriptions = await Prescription.find(query)
       .populate({
         path: 'patient',
@@ -189,8 +287,8 @@ const deletePrescription = async (req, res) => {
       return res.status(404).json({ message: 'Prescription not found' });
     }
 
-    // Check if user is the doctor of this prescription or admin
-    if (req.user.role !== 'admin' && req.user._id.toString() !== prescription.doctor.toString()) {
+    // Check if user is the doctor of this prescription or may delete any
+    if (!hasPermission(req.user, 'prescription:delete', { ownerId: prescription.doctor })) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -220,12 +318,7 @@ const downloadPrescriptionPDF = async (req, res) => {
     }
 
     // Check if user has permission
-    const isDoctor = req.user.role === 'doctor';
-    const isAdmin = req.user.role === 'admin';
-    const isPatient = req.user.role === 'patient' && 
-                      req.user.patientId === prescription.patient.patientId;
-
-    if (!isDoctor && !isPatient && !isAdmin) {
+    if (!(await canReadRecord(req.user, prescription.patient, 'prescriptions', prescription.doctor))) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { revokeFamily } = require('../utils/refreshTokens');
+const { logSecurityEvent } = require('../utils/securityLog');
+
+const activeSessionsQuery = (userId) => ({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+const formatSession = (session, currentFamily) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: session.family === currentFamily,
+});
+
+// Find an active session by id that belongs to `userId`
+const findUserSession = async (userId, sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return Session.findOne({ _id: sessionId, ...activeSessionsQuery(userId) });
+};
+
+// @desc    List my active sessions
+// @route   GET /api/users/sessions
+// @access  Private
+const getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find(activeSessionsQuery(req.user._id)).sort({ lastSeenAt: -1 });
+
+    res.json(sessions.map((session) => formatSession(session, req.sessionId)));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    End one of my sessions
+// @route   DELETE /api/users/sessions/:id
+// @access  Private
+const revokeMySession = async (req, res) => {
+  try {
+    const session = await findUserSession(req.user._id, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeFamily(session.family, 'user-terminated');
+
+    await logSecurityEvent('session.terminated', {
+      user: req.user._id,
+      email: req.user.email,
+      ip: req.ip,
+      actor: req.user._id,
+      details: { session: session._id, current: session.family === req.sessionId },
+    });
+
+    res.json({ message: 'Session ended' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    List a user's active sessions
+// @route   GET /api/admin/users/:id/sessions
+// @access  Private (user:manage)
+const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await Session.find(activeSessionsQuery(user._id)).sort({ lastSeenAt: -1 });
+
+    res.json(sessions.map((session) => formatSession(session)));
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    End one of a user's sessions
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @access  Private (user:manage)
+const revokeUserSession = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const session = await findUserSession(user._id, req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeFamily(session.family, 'admin-terminated');
+
+    await logSecurityEvent('session.terminated', {
+      user: user._id,
+      email: user.email,
+      ip: req.ip,
+      actor: req.user._id,
+      details: { session: session._id, userAgent: session.userAgent },
+    });
+
+    res.json({ message: 'Session ended' });
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getMySessions,
+  revokeMySession,
+  getUserSessions,
+  revokeUserSession,
+};
@@ -0,0 +1,167 @@
+const User = require('../models/User');
+const { generateSecret, verifyCode, provisioningUri } = require('../utils/totp');
+const { generateRecoveryCodes, verifySecondFactor } = require('../utils/twoFactor');
+
+// @desc    Get two-factor status
+// @route   GET /api/users/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      required: user.requiresTwoFactor(),
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Start TOTP enrollment
+// @route   POST /api/users/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: provisioningUri(secret, user.email),
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Confirm TOTP enrollment with a code from the app
+// @route   POST /api/users/2fa/confirm
+// @access  Private
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/users/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(req.user._id, { code }))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { 'twoFactor.recoveryCodes': hashes });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/users/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    if (!(await verifySecondFactor(user._id, { code }))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1,
+        },
+      }
+    );
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
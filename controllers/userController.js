@@ -1,21 +1,112 @@
 // controllers/userController.js
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
 const User = require('../models/User');
+const generateToken = require('../utils/generateToken');
+const {
+  REFRESH_COOKIE,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeFamily,
+  setRefreshCookie,
+  clearRefreshCookie,
+  revokeUserSessions,
+  hashToken,
+} = require('../utils/refreshTokens');
+const { consumeUserToken } = require('../utils/userTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const {
+  generateChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+} = require('../utils/twoFactor');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require('../utils/loginThrottle');
+const { findPendingInvitation } = require('../utils/invitations');
+const { logSecurityEvent } = require('../utils/securityLog');
+const {
+  wantsCookieMode,
+  isCookieSession,
+  setSessionCookies,
+  clearSessionCookies,
+  verifyCsrf,
+} = require('../utils/sessionCookies');
+const RefreshToken = require('../models/RefreshToken');
+const Patient = require('../models/Patient');
+const { generatePatientId } = require('../utils/patientIds');
+const { toAllergyEntries } = require('../utils/allergies');
+const { runInTransaction } = require('../utils/transactions');
+const { missingProfileFields, profileCompleteness } = require('../config/patientProfile');
 
-// Generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+// Hand out an access token for the session `refresh` belongs to: in the body
+// for bearer clients, or as an httpOnly cookie plus CSRF token for
+// cookie-mode clients
+const deliverAccessToken = (res, accessToken, refresh) => {
+  if (refresh.sessionMode === 'cookie') {
+    return { sessionMode: 'cookie', csrfToken: setSessionCookies(res, accessToken, refresh.expiresAt) };
+  }
+  return { token: accessToken };
+};
+
+// Start a new session: set the refresh cookie and deliver an access token
+const startSession = async (user, req, res) => {
+  const refresh = await issueRefreshToken(user._id, req, undefined, wantsCookieMode(req) ? 'cookie' : 'bearer');
+  setRefreshCookie(res, refresh);
+  return deliverAccessToken(res, generateToken(user._id, refresh.family), refresh);
+};
+
+// Response body shared by every successful login
+const authResponse = (user, session) => ({
+  _id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.role,
+  patientId: user.patientId,
+  specialty: user.specialty,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor.enabled,
+  // Staff get a session that can only enroll in 2FA
+  twoFactorSetupRequired: user.requiresTwoFactor() && !user.twoFactor.enabled,
+  ...session,
+});
+
+// Reason a correctly authenticated user still may not log in, if any
+const loginBlockedReason = (user) => {
+  if (!user.active) {
+    return 'Account deactivated, please contact an administrator';
+  }
+  if (user.passwordResetRequired) {
+    return 'A password reset is required, please use the link sent to your email';
+  }
+  return null;
+};
+
+// 429 with Retry-After for a throttled or locked login
+const rejectThrottled = (res, { retryAfter, locked }) => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    message: locked
+      ? 'Too many failed attempts, account temporarily locked'
+      : 'Too many failed attempts, please wait before trying again',
+    retryAfter,
   });
 };
 
-// @desc    Register a new user
+// @desc    Register a new patient. A `profile` sent along is created in the
+//          same transaction as the account; without one the patient
+//          completes it later at POST /api/patients/profile.
 // @route   POST /api/users/register
 // @access  Public
 const registerUser = async (req, res) => {
   try {
-    const { firstName, lastName, email, password, role, specialty } = req.body;
+    const { firstName, lastName, email, password, role, profile } = req.body;
+
+    // Staff accounts only come from admin invitations
+    if (role && role !== 'patient') {
+      return res.status(403).json({ message: 'Only patient accounts can be registered, staff accounts are created by invitation' });
+    }
 
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -24,30 +115,69 @@ const registerUser = async (req, res) => {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Create user
-    const user = await User.create({
-      firstName,
-      lastName,
-      email,
-      password,
-      role,
-      specialty: role === 'doctor' ? specialty : undefined,
-    });
+    if (profile) {
+      const missing = missingProfileFields(profile);
+      if (missing.length > 0) {
+        return res.status(400).json({ message: `Missing required profile fields: ${missing.join(', ')}`, missing });
+      }
+    }
 
-    if (user) {
-      res.status(201).json({
-        _id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        patientId: user.patientId,
-        specialty: user.specialty,
-        token: generateToken(user._id),
-      });
-    } else {
-      res.status(400).json({ message: 'Invalid user data' });
+    // Minted outside the transaction; a rolled-back registration only
+    // leaves a gap in the sequence. Self-registered patients aren't tied to
+    // a facility; staff set that when they take them on.
+    const patientId = profile ? await generatePatientId() : undefined;
+
+    let user;
+    let patient;
+    try {
+      ({ user, patient } = await runInTransaction(async (session, created) => {
+        const [account] = await User.create([{
+          firstName,
+          lastName,
+          email,
+          password,
+          role: 'patient',
+          patientId,
+        }], { session });
+        created(account);
+
+        if (!profile) return { user: account, patient: null };
+
+        const record = new Patient({
+          user: account._id,
+          patientId,
+          age: profile.age,
+          gender: profile.gender,
+          bloodGroup: profile.bloodGroup,
+          contact: profile.contact,
+          cnic: profile.cnic,
+          address: profile.address,
+          emergencyContact: profile.emergencyContact,
+          condition: profile.condition || '',
+          allergies: toAllergyEntries(profile.allergies || [], account._id),
+        });
+        record.setSearchFields(account);
+        created(await record.save({ session }));
+
+        return { user: account, patient: record };
+      }));
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({ message: Object.values(error.errors).map((err) => err.message).join(', ') });
+    }
+
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
     }
+
+    const session = await startSession(user, req, res);
+
+    res.status(201).json({
+      ...authResponse(user, session),
+      profile: profileCompleteness(patient),
+    });
   } catch (error) {
     console.error('Register error:', error);
     res.status(500).json({ message: 'Server error during registration' });
@@ -61,21 +191,38 @@ const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      return rejectThrottled(res, throttle);
+    }
+
     // Check for user email
     const user = await User.findOne({ email });
 
     if (user && (await user.matchPassword(password))) {
-      res.json({
-        _id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        patientId: user.patientId,
-        specialty: user.specialty,
-        token: generateToken(user._id),
-      });
+      const blocked = loginBlockedReason(user);
+      if (blocked) {
+        return res.status(403).json({ message: blocked });
+      }
+
+      // With 2FA on, the password alone only earns a challenge token
+      if (user.twoFactor.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id),
+        });
+      }
+
+      await recordLoginSuccess(email);
+      const session = await startSession(user, req, res);
+
+      res.json(authResponse(user, session));
     } else {
+      await recordLoginFailure(email, req.ip, user);
       res.status(401).json({ message: 'Invalid email or password' });
     }
   } catch (error) {
@@ -84,6 +231,111 @@ const loginUser = async (req, res) => {
   }
 };
 
+// @desc    Accept a staff invitation and create the account
+// @route   POST /api/users/accept-invite
+// @access  Public (invitation token)
+const acceptInvite = async (req, res) => {
+  try {
+    const { token, firstName, lastName, password } = req.body;
+
+    if (!token || !firstName || !lastName || !password) {
+      return res.status(400).json({ message: 'Token, first name, last name and password are required' });
+    }
+
+    const invitation = await findPendingInvitation(token);
+
+    if (!invitation) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    const userExists = await User.findOne({ email: invitation.email });
+
+    if (userExists) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    // The invitation arrived by email, so the address is already proven
+    const user = await User.create({
+      firstName,
+      lastName,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      specialty: invitation.role === 'doctor' ? invitation.specialty : undefined,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+
+    invitation.status = 'accepted';
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+
+    await logSecurityEvent('invitation.accepted', {
+      user: user._id,
+      email: user.email,
+      ip: req.ip,
+      details: { invitation: invitation._id, role: user.role },
+    });
+
+    const session = await startSession(user, req, res);
+
+    res.status(201).json(authResponse(user, session));
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ message: 'Server error while accepting invitation' });
+  }
+};
+
+// @desc    Complete a 2FA login with a TOTP or recovery code
+// @route   POST /api/users/login/2fa
+// @access  Public (challenge token)
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyChallengeToken(challengeToken);
+
+    if (!userId) {
+      return res.status(401).json({ message: 'Login challenge expired, please log in again' });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    const blocked = loginBlockedReason(user);
+    if (blocked) {
+      return res.status(403).json({ message: blocked });
+    }
+
+    // Codes are guessable too, so they count against the same limits
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      return rejectThrottled(res, throttle);
+    }
+
+    if (!(await verifySecondFactor(userId, { code, recoveryCode }))) {
+      await recordLoginFailure(user.email, req.ip, user);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await recordLoginSuccess(user.email);
+    const session = await startSession(user, req, res);
+
+    res.json(authResponse(user, session));
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+};
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -100,6 +352,7 @@ const getUserProfile = async (req, res) => {
         role: user.role,
         patientId: user.patientId,
         specialty: user.specialty,
+        emailVerified: user.emailVerified,
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -110,4 +363,211 @@ const getUserProfile = async (req, res) => {
   }
 };
 
-module.exports = { registerUser, loginUser, getUserProfile };
\ No newline at end of file
+// @desc    Rotate refresh token & get a new access token
+// @route   POST /api/users/refresh
+// @access  Public (refresh cookie)
+const refreshSession = async (req, res) => {
+  try {
+    const presented = req.cookies[REFRESH_COOKIE];
+
+    if (!presented) {
+      return res.status(401).json({ message: 'No refresh token' });
+    }
+
+    // The session remembers its mode; tokens from before that was recorded
+    // fall back to whether the CSRF cookie came along
+    const record = await RefreshToken.findOne({ tokenHash: hashToken(presented) }).select('sessionMode');
+    const cookieMode = record && record.sessionMode ? record.sessionMode === 'cookie' : isCookieSession(req);
+
+    if (cookieMode && !verifyCsrf(req)) {
+      return res.status(403).json({ message: 'Invalid or missing CSRF token' });
+    }
+
+    const refresh = await rotateRefreshToken(presented, req, cookieMode ? 'cookie' : 'bearer');
+
+    if (!refresh) {
+      clearRefreshCookie(res);
+      clearSessionCookies(res);
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(refresh.userId);
+
+    if (!user || !user.active) {
+      await revokeFamily(refresh.family, user ? 'user-deactivated' : 'user-missing');
+      clearRefreshCookie(res);
+      clearSessionCookies(res);
+      return res.status(401).json({ message: user ? 'Account deactivated' : 'User not found' });
+    }
+
+    setRefreshCookie(res, refresh);
+
+    res.json(deliverAccessToken(res, generateToken(user._id, refresh.family), refresh));
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+};
+
+// @desc    Logout & revoke the current session
+// @route   POST /api/users/logout
+// @access  Public (refresh cookie)
+const logoutUser = async (req, res) => {
+  try {
+    const presented = req.cookies[REFRESH_COOKIE];
+
+    if (isCookieSession(req) && !verifyCsrf(req)) {
+      return res.status(403).json({ message: 'Invalid or missing CSRF token' });
+    }
+
+    if (presented) {
+      const record = await RefreshToken.findOne({ tokenHash: hashToken(presented) });
+      if (record) {
+        await revokeFamily(record.family, 'logout');
+      }
+    }
+
+    clearRefreshCookie(res);
+    clearSessionCookies(res);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+// @desc    Request a password reset link
+// @route   POST /api/users/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    // Same answer whether or not the account exists, so emails can't be probed
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reset password with a reset token
+// @route   POST /api/users/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    }
+
+    const resetToken = await consumeUserToken(token, 'password-reset');
+
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(resetToken.user);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    user.passwordResetRequired = false;
+    // Receiving the reset email proves the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Log out everywhere, including whoever may have had the old password
+    await revokeUserSessions(user._id, 'password-reset');
+    clearRefreshCookie(res);
+    clearSessionCookies(res);
+
+    res.json({ message: 'Password has been reset, please log in' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/users/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const verificationToken = await consumeUserToken(req.params.token, 'email-verification');
+
+    if (!verificationToken) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    const user = await User.findById(verificationToken.user);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/users/verify-email/resend
+// @access  Private (unverified allowed)
+const resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user, req);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  registerUser,
+  loginUser,
+  loginTwoFactor,
+  acceptInvite,
+  getUserProfile,
+  refreshSession,
+  logoutUser,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+};
\ No newline at end of file
@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const Vitals = require('../models/Vitals');
+const Appointment = require('../models/Appointment');
+const { VITAL_METRICS, TREND_METRICS, referenceRange, flagReading } = require('../config/vitals');
+
+// Fields clients may set on a reading
+const EDITABLE = [
+  'recordedAt',
+  'systolic',
+  'diastolic',
+  'pulse',
+  'temperature',
+  'weight',
+  'height',
+  'spo2',
+  'bloodGlucose',
+  'glucoseContext',
+  'notes',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatVitals = (vitals) => ({
+  id: vitals._id,
+  recordedAt: vitals.recordedAt,
+  appointmentId: vitals.appointment || null,
+  recordedBy: vitals.recordedBy && vitals.recordedBy.firstName
+    ? `${vitals.recordedBy.firstName} ${vitals.recordedBy.lastName}`
+    : vitals.recordedBy,
+  bloodPressure: vitals.systolic && vitals.diastolic ? `${vitals.systolic}/${vitals.diastolic}` : null,
+  systolic: vitals.systolic,
+  diastolic: vitals.diastolic,
+  pulse: vitals.pulse,
+  temperature: vitals.temperature,
+  weight: vitals.weight,
+  height: vitals.height,
+  bmi: vitals.bmi,
+  spo2: vitals.spo2,
+  bloodGlucose: vitals.bloodGlucose,
+  glucoseContext: vitals.glucoseContext,
+  flags: vitals.flags,
+  notes: vitals.notes,
+});
+
+const validationMessage = (error) => Object.values(error.errors).map((err) => err.message).join(', ');
+
+// Start of the day, ISO week (Monday) or month containing `date`, in UTC
+const bucketStart = (date, bucket) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (bucket === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (bucket === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+// Day buckets up to a month, weeks up to a year, months beyond
+const defaultBucket = (from, to) => {
+  const days = (to - from) / DAY_MS;
+  if (days <= 31) return 'day';
+  if (days <= 366) return 'week';
+  return 'month';
+};
+
+// The patient's appointment named by `appointmentId`, or null
+const findPatientAppointment = async (patient, appointmentId) => {
+  if (!mongoose.isValidObjectId(appointmentId)) return null;
+  return Appointment.findOne({ _id: appointmentId, patient: patient._id }).select('_id date');
+};
+
+// @desc    List a patient's vital signs, newest first
+// @route   GET /api/patients/:patientId/vitals
+// @access  Private
+const getVitals = async (req, res) => {
+  try {
+    const { from, to, appointmentId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime())) || (fromDate && toDate && fromDate > toDate)) {
+      return res.status(400).json({ message: 'from and to must be valid dates with from before to' });
+    }
+
+    const query = { patient: req.patient._id };
+    if (appointmentId && mongoose.isValidObjectId(appointmentId)) query.appointment = appointmentId;
+    if (fromDate || toDate) {
+      query.recordedAt = {};
+      if (fromDate) query.recordedAt.$gte = fromDate;
+      if (toDate) query.recordedAt.$lte = toDate;
+    }
+
+    const [total, vitals] = await Promise.all([
+      Vitals.countDocuments(query),
+      Vitals.find(query)
+        .populate('recordedBy', 'firstName lastName')
+        .sort({ recordedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    res.json({
+      vitals: vitals.map(formatVitals),
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Error getting vitals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Record vital signs, optionally for an appointment
+// @route   POST /api/patients/:patientId/vitals
+// @access  Private/Doctor/Nurse
+const recordVitals = async (req, res) => {
+  try {
+    const { appointmentId } = req.body;
+    const vitals = new Vitals({ patient: req.patient._id, recordedBy: req.user._id });
+
+    EDITABLE.forEach((key) => {
+      if (req.body[key] !== undefined) vitals[key] = req.body[key];
+    });
+
+    if (appointmentId) {
+      const appointment = await findPatientAppointment(req.patient, appointmentId);
+      if (!appointment) {
+        return res.status(404).json({ message: 'Appointment not found for this patient' });
+      }
+      vitals.appointment = appointment._id;
+    }
+
+    // Adults' height rarely changes, so BMI can use the last one measured
+    if (vitals.weight && !vitals.height) {
+      const lastHeight = await Vitals.findOne({ patient: req.patient._id, height: { $exists: true } })
+        .sort({ recordedAt: -1 })
+        .select('height');
+      if (lastHeight && req.patient.age >= 18) vitals.height = lastHeight.height;
+    }
+
+    try {
+      await vitals.save();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+
+    res.status(201).json({ message: 'Vitals recorded', vitals: formatVitals(vitals) });
+  } catch (error) {
+    console.error('Error recording vitals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Correct a vital signs reading
+// @route   PUT /api/patients/:patientId/vitals/:vitalsId
+// @access  Private/Doctor/Nurse
+const updateVitals = async (req, res) => {
+  try {
+    const { vitalsId } = req.params;
+
+    const vitals = mongoose.isValidObjectId(vitalsId)
+      ? await Vitals.findOne({ _id: vitalsId, patient: req.patient._id })
+      : null;
+
+    if (!vitals) {
+      return res.status(404).json({ message: 'Vitals not found' });
+    }
+
+    EDITABLE.forEach((key) => {
+      if (req.body[key] !== undefined) vitals[key] = req.body[key];
+    });
+
+    if (req.body.appointmentId !== undefined) {
+      const appointment = req.body.appointmentId
+        ? await findPatientAppointment(req.patient, req.body.appointmentId)
+        : null;
+      if (req.body.appointmentId && !appointment) {
+        return res.status(404).json({ message: 'Appointment not found for this patient' });
+      }
+      vitals.appointment = appointment ? appointment._id : undefined;
+    }
+
+    try {
+      await vitals.save();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+
+    res.json({ message: 'Vitals updated', vitals: formatVitals(vitals) });
+  } catch (error) {
+    console.error('Error updating vitals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a vital signs reading entered in error
+// @route   DELETE /api/patients/:patientId/vitals/:vitalsId
+// @access  Private/Doctor/Nurse
+const deleteVitals = async (req, res) => {
+  try {
+    const { vitalsId } = req.params;
+
+    const vitals = mongoose.isValidObjectId(vitalsId)
+      ? await Vitals.findOneAndDelete({ _id: vitalsId, patient: req.patient._id })
+      : null;
+
+    if (!vitals) {
+      return res.status(404).json({ message: 'Vitals not found' });
+    }
+
+    res.json({ message: 'Vitals deleted' });
+  } catch (error) {
+    console.error('Error deleting vitals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Bucketed time series of one metric for charting
+// @route   GET /api/patients/:patientId/vitals/trends?metric=bp&from=&to=&bucket=
+// @access  Private
+const getVitalsTrends = async (req, res) => {
+  try {
+    const { metric } = req.query;
+    const fields = TREND_METRICS[metric];
+
+    if (!fields) {
+      return res.status(400).json({ message: `metric must be one of ${Object.keys(TREND_METRICS).join(', ')}` });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 365 * DAY_MS);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ message: 'from and to must be valid dates with from before to' });
+    }
+
+    const bucket = ['day', 'week', 'month'].includes(req.query.bucket)
+      ? req.query.bucket
+      : defaultBucket(from, to);
+
+    const readings = await Vitals.find({
+      patient: req.patient._id,
+      recordedAt: { $gte: from, $lte: to },
+      $or: fields.map((field) => ({ [field]: { $ne: null } })),
+    })
+      .select([...fields, 'recordedAt', 'glucoseContext'].join(' '))
+      .sort({ recordedAt: 1 });
+
+    const series = fields.map((field) => {
+      const buckets = new Map();
+
+      readings.forEach((reading) => {
+        const value = reading[field];
+        if (value === undefined || value === null) return;
+
+        const key = bucketStart(reading.recordedAt, bucket).toISOString();
+        if (!buckets.has(key)) buckets.set(key, { start: key, values: [], flagged: 0 });
+
+        const entry = buckets.get(key);
+        entry.values.push(value);
+        if (flagReading(field, value, { glucoseContext: reading.glucoseContext })) entry.flagged++;
+      });
+
+      const points = [...buckets.values()].map(({ start, values, flagged }) => {
+        const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+        return {
+          start,
+          count: values.length,
+          average: Math.round(average * 10) / 10,
+          min: Math.min(...values),
+          max: Math.max(...values),
+          outOfRange: flagged,
+        };
+      });
+
+      return {
+        metric: field,
+        label: VITAL_METRICS[field].label,
+        unit: VITAL_METRICS[field].unit,
+        referenceRange: referenceRange(field),
+        points,
+      };
+    });
+
+    res.json({ metric, bucket, from, to, series });
+  } catch (error) {
+    console.error('Error getting vitals trends:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getVitals,
+  recordVitals,
+  updateVitals,
+  deleteVitals,
+  getVitalsTrends,
+};
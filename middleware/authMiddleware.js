@@ -1,57 +1,105 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive, touchSession } = require('../utils/refreshTokens');
+const { ACCESS_COOKIE, verifyCsrf } = require('../utils/sessionCookies');
+const { apiKeyPrincipal } = require('../utils/apiKeys');
+const { managedUserIdsFor } = require('../utils/guardianships');
 
-const protect = async (req, res, next) => {
+// Build the authentication middleware. Accounts that haven't verified their
+// email, or staff who haven't enrolled in 2FA, are refused unless
+// `accountSetup` is set. That is meant for the few routes they need to
+// finish setting up (profile, resend link, 2FA enrollment).
+//
+// Integrations may send `X-API-Key` instead of logging in; the key then acts
+// as the principal in `req.user`.
+const authenticate = ({ accountSetup = false } = {}) => async (req, res, next) => {
   let token;
+  let fromCookie = false;
 
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith('Bearer')
-  ) {
+  const apiKey = req.get('x-api-key');
+  if (apiKey) {
     try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
-
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from the token
-      req.user = await User.findById(decoded.id).select('-password');
-
-      next();
+      req.user = await apiKeyPrincipal(apiKey, req);
     } catch (error) {
       console.error(error);
-      res.status(401).json({ message: 'Not authorized, token failed' });
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authorized, invalid API key' });
     }
+
+    req.apiKey = req.user.apiKey;
+    req.authMode = 'apiKey';
+    return next();
   }
 
-  if (!token) {
-    res.status(401).json({ message: 'Not authorized, no token' });
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    // Get token from header (mobile clients)
+    token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies && req.cookies[ACCESS_COOKIE]) {
+    // Get token from the session cookie (web frontend)
+    token = req.cookies[ACCESS_COOKIE];
+    fromCookie = true;
   }
-};
 
-const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(401).json({ message: 'Not authorized as an admin' });
+  if (!token) {
+    return res.status(401).json({ message: 'Not authorized, no token' });
   }
-};
 
-const doctor = (req, res, next) => {
-  if (req.user && req.user.role === 'doctor') {
-    next();
-  } else {
-    res.status(401).json({ message: 'Not authorized as a doctor' });
+  // Browsers attach cookies on their own, so cookie sessions need CSRF protection
+  if (fromCookie && !verifyCsrf(req)) {
+    return res.status(403).json({ message: 'Invalid or missing CSRF token' });
   }
-};
 
-const patient = (req, res, next) => {
-  if (req.user && req.user.role === 'patient') {
-    next();
-  } else {
-    res.status(401).json({ message: 'Not authorized as a patient' });
+  try {
+    // Verify token
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Reject tokens whose session was logged out or revoked
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Not authorized, session revoked' });
+    }
+
+    // Get user from the token
+    req.user = await User.findById(decoded.id).select('-password');
+    req.sessionId = decoded.sid;
+    req.authMode = fromCookie ? 'cookie' : 'bearer';
+
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authorized, user not found' });
+    }
+
+    if (!req.user.active) {
+      return res.status(401).json({ message: 'Not authorized, account deactivated' });
+    }
+
+    if (!accountSetup && !req.user.emailVerified) {
+      return res.status(403).json({ message: 'Please verify your email address to continue' });
+    }
+
+    if (!accountSetup && req.user.requiresTwoFactor() && !req.user.twoFactor.enabled) {
+      return res.status(403).json({ message: 'Two-factor authentication must be enabled for your account' });
+    }
+
+    // Let guardians act for their dependents
+    if (req.user.role === 'patient') {
+      req.user.managedUserIds = await managedUserIdsFor(req.user._id);
+    }
+
+    touchSession(decoded.sid, req);
+  } catch (error) {
+    console.error(error);
+    return res.status(401).json({ message: 'Not authorized, token failed' });
   }
+
+  next();
 };
 
-module.exports = { protect, admin, doctor, patient };
\ No newline at end of file
+const protect = authenticate();
+const protectAccountSetup = authenticate({ accountSetup: true });
+
+module.exports = { protect, protectAccountSetup };
\ No newline at end of file
@@ -0,0 +1,69 @@
+const Patient = require('../models/Patient');
+const { hasPermission } = require('../config/permissions');
+const { canReadChart } = require('../utils/accessGrants');
+const { mergedAwayError } = require('../utils/patientMerge');
+
+// Route-level authorization: `can('patient:list')`.
+//
+// For `:own` grants pass `resource`, an async `(req) => ownerId` resolver
+// (see utils/resourceOwners.js), e.g. `can('appointment:read', appointmentOwner)`.
+const can = (permission, resource) => async (req, res, next) => {
+  try {
+    const ownerId = resource ? await resource(req) : undefined;
+
+    if (!hasPermission(req.user, permission, { ownerId })) {
+      return res.status(403).json({ message: `Not authorized, requires ${permission}` });
+    }
+
+    next();
+  } catch (error) {
+    console.error(`Permission check ${permission} failed:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Chart-level authorization for routes under /api/patients/:patientId.
+// Loads the patient into `req.patient` and checks the user may read `scope`
+// of the chart: permissions, plus an access grant for grant-scoped roles.
+const canAccessChart = (scope) => async (req, res, next) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId });
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    if (!(await canReadChart(req.user, patient, scope))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    req.patient = patient;
+    next();
+  } catch (error) {
+    console.error(`Chart access check ${scope} failed:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// For chart routes that add or change records, after canAccessChart: an
+// archived chart, or a duplicate merged into another patient, takes no more
+// records.
+const acceptsRecords = async (req, res, next) => {
+  try {
+    if (req.patient.archivedAt) {
+      return res.status(409).json({ message: 'Patient is archived. Restore them before adding records' });
+    }
+
+    const merged = await mergedAwayError(req.patient);
+    if (merged) {
+      return res.status(409).json(merged);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Chart record check failed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { can, canAccessChart, acceptsRecords };
@@ -0,0 +1,39 @@
+const Patient = require('../models/Patient');
+const { profileCompleteness } = require('../config/patientProfile');
+
+// The patient ID a request names, if it names one: `?patientId=` for
+// guardians reading a dependent's records, `patient` when booking
+const namedPatientId = (req) => req.query.patientId || (req.body && req.body.patient);
+
+// Patient-facing routes: a patient acting for themselves needs a complete
+// profile first. The 403 lists what is missing so the client can send them
+// to onboarding. Staff, and guardians acting for a dependent, pass through.
+const requireCompleteProfile = async (req, res, next) => {
+  const named = namedPatientId(req);
+  if (req.user.role !== 'patient' || (named && named !== req.user.patientId)) {
+    return next();
+  }
+
+  try {
+    const patient = await Patient.findOne({ user: req.user._id });
+    const completeness = profileCompleteness(patient);
+
+    if (!completeness.complete) {
+      return res.status(403).json({
+        message: patient
+          ? 'Please complete your patient profile to continue'
+          : 'Please create your patient profile to continue',
+        profileIncomplete: true,
+        missing: completeness.missing,
+        profileUrl: patient ? `/api/patients/${patient.patientId}` : '/api/patients/profile',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Profile completeness check failed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { requireCompleteProfile };
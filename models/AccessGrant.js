@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { ACCESS_SCOPES } = require('../config/permissions');
+
+// A staff member's access to one patient's chart. Grants come from a
+// treating relationship (an appointment or a referral), from the patient
+// directly, or from a break-the-glass override, and only the scopes listed
+// may be read.
+const accessGrantSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    grantee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ['appointment', 'referral', 'patient', 'emergency'],
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: ACCESS_SCOPES }],
+      default: () => [...ACCESS_SCOPES],
+    },
+    // No expiry means access lasts until revoked
+    expiresAt: {
+      type: Date,
+    },
+    // Who created the grant: the patient, or the referring doctor
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    note: {
+      type: String,
+      default: '',
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One grant per source, so an appointment and a referral can coexist
+accessGrantSchema.index({ patient: 1, grantee: 1, source: 1 }, { unique: true });
+accessGrantSchema.index({ grantee: 1, revokedAt: 1 });
+
+// Whether the grant is in force right now
+accessGrantSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const AccessGrant = mongoose.model('AccessGrant', accessGrantSchema);
+
+module.exports = AccessGrant;
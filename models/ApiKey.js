@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Admin-managed key for machine-to-machine integrations (partner labs,
+// pharmacy kiosk). Only a hash of the key is stored.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+    },
+    // First characters of the key, shown in listings to tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    // When set, the key only reaches records belonging to this facility
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+    },
+    expiresAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+      default: '',
+    },
+    requestCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.methods.isUsable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
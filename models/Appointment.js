@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { trackStatusHistory } = require('./statusHistory');
+const { trackPatientHospital } = require('./patientHospital');
 
 const appointmentSchema = mongoose.Schema(
   {
@@ -44,7 +46,17 @@ const appointmentSchema = mongoose.Schema(
     manualEntry: {
       type: Boolean,
       default: false
-    }
+    },
+    // Stamped by utils/patientArchive.js while the patient is archived
+    archivedAt: {
+      type: Date,
+    },
+    // Set on imported appointments; see models/ImportJob.js
+    importKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
   },
   {
     timestamps: true,
@@ -53,6 +65,15 @@ const appointmentSchema = mongoose.Schema(
   }
 );
 
+appointmentSchema.plugin(trackStatusHistory);
+appointmentSchema.plugin(trackPatientHospital);
+
+// Latest completed visit per patient
+appointmentSchema.index({ patient: 1, status: 1, date: -1 });
+// A patient's history timeline, newest first
+appointmentSchema.index({ patient: 1, date: -1 });
+appointmentSchema.index({ patient: 1, 'statusHistory.changedAt': -1 });
+
 // Add virtual getter for 'id' property
 appointmentSchema.virtual('id').get(function() {
   return this._id.toHexString();
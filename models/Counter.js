@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Named monotonic sequences, incremented atomically with $inc
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -1,5 +1,6 @@
 // models/Document.js
 const mongoose = require('mongoose');
+const { trackPatientHospital } = require('./patientHospital');
 
 const documentSchema = mongoose.Schema(
   {
@@ -51,10 +52,19 @@ const documentSchema = mongoose.Schema(
       type: String,
       required: true,
     },
+    // Archived along with the patient
+    archivedAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
+documentSchema.plugin(trackPatientHospital);
+
+// A patient's history timeline, newest first
+documentSchema.index({ patient: 1, createdAt: -1 });
+
 const Document = mongoose.model('Document', documentSchema);
 
 module.exports = Document;
\ No newline at end of file
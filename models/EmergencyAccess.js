@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One break-the-glass override of a patient's access grants, kept for
+// compliance review
+const emergencyAccessSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    patientNotifiedAt: {
+      type: Date,
+    },
+    review: {
+      status: {
+        type: String,
+        enum: ['pending', 'justified', 'unjustified'],
+        default: 'pending',
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reviewedAt: {
+        type: Date,
+      },
+      notes: {
+        type: String,
+        default: '',
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emergencyAccessSchema.index({ 'review.status': 1, createdAt: -1 });
+emergencyAccessSchema.index({ createdAt: -1 });
+
+const EmergencyAccess = mongoose.model('EmergencyAccess', emergencyAccessSchema);
+
+module.exports = EmergencyAccess;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A patient data export built in the background. The archive is written to
+// `filePath` and downloaded with a link token until `expiresAt`.
+const exportJobSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+      index: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Chart scopes the requester could read when they asked
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'ready', 'failed', 'expired'],
+      default: 'queued',
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    filePath: {
+      type: String,
+    },
+    fileSize: {
+      type: Number,
+    },
+    error: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // Set when the archive is ready; the link stops working after it
+    expiresAt: {
+      type: Date,
+    },
+    downloads: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+
+module.exports = ExportJob;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const RELATIONSHIPS = ['parent', 'legal-guardian', 'child', 'spouse', 'sibling', 'caregiver', 'other'];
+
+// A user account managing another patient's profile, e.g. a parent for a
+// child or an adult child for an elderly parent. The guardian acts as the
+// patient's owner while the relationship is in force.
+const guardianshipSchema = new mongoose.Schema(
+  {
+    guardian: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+      index: true,
+    },
+    // How the guardian is related to the patient
+    relationship: {
+      type: String,
+      enum: RELATIONSHIPS,
+      required: [true, 'Relationship is required'],
+    },
+    consentDate: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // How the patient agreed: they added the guardian themselves, an admin
+    // recorded their documented consent, or the guardian created the profile
+    consentSource: {
+      type: String,
+      enum: ['patient', 'documented', 'dependent'],
+    },
+    // For documented consent, e.g. the signed form's reference
+    consentNote: {
+      type: String,
+      default: '',
+    },
+    // E.g. the date a child reaches majority; none means open-ended
+    endsAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+guardianshipSchema.index({ guardian: 1, patient: 1 }, { unique: true });
+
+// Whether the guardian may act for the patient right now
+guardianshipSchema.methods.isActive = function() {
+  const now = new Date();
+  return !this.revokedAt && this.consentDate <= now && (!this.endsAt || this.endsAt > now);
+};
+
+const Guardianship = mongoose.model('Guardianship', guardianshipSchema);
+
+module.exports = Guardianship;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A bulk import of patients and their history from a FHIR Bundle or a CSV
+// file. The file is validated into ImportRow documents first (the dry run);
+// running the import then works through the valid rows in order, so an
+// interrupted run picks up where it stopped.
+const importJobSchema = new mongoose.Schema(
+  {
+    format: {
+      type: String,
+      enum: ['fhir', 'csv'],
+      required: true,
+    },
+    // Names the system the data comes from. Records are keyed by
+    // "<source>:<external ID>", which is what makes re-imports idempotent.
+    source: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    fileName: {
+      type: String,
+    },
+    filePath: {
+      type: String,
+    },
+    // CSV only: our field name -> column header in the file
+    mapping: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    // Imported patients are registered at this hospital
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+    },
+    // Used for history rows that don't name a doctor
+    defaultDoctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['validating', 'validated', 'importing', 'completed', 'failed'],
+      default: 'validating',
+    },
+    error: {
+      type: String,
+    },
+    validatedAt: {
+      type: Date,
+    },
+    startedAt: {
+      type: Date,
+    },
+    // Touched while a run is working; a run whose heartbeat has gone stale
+    // was interrupted and can be resumed
+    heartbeatAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importJobSchema.index({ createdAt: -1 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = ImportJob;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// One record from an import file: a patient, appointment, prescription or
+// lab report, with what validation and the run made of it
+const importRowSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportJob',
+      required: true,
+    },
+    // Processing order: patients come before the history that refers to them
+    index: {
+      type: Number,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ['patient', 'appointment', 'prescription', 'labReport', 'unsupported'],
+      required: true,
+    },
+    // Where the record is in the file, e.g. "line 12" or "entry 3"
+    location: {
+      type: String,
+    },
+    externalId: {
+      type: String,
+    },
+    // History rows: the external ID of the patient they belong to
+    patientRef: {
+      type: String,
+    },
+    doctorEmail: {
+      type: String,
+    },
+    // The record's fields, already mapped to our model
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['valid', 'invalid', 'imported', 'skipped', 'failed'],
+      required: true,
+    },
+    errorMessages: {
+      type: [String],
+      default: [],
+    },
+    warningMessages: {
+      type: [String],
+      default: [],
+    },
+    // Patient rows: the ID minted for the patient, saved before the account
+    // is created so a resumed run finishes that patient instead of minting
+    // another
+    patientId: {
+      type: String,
+    },
+    // What the row created, or matched when skipped as already imported
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    importedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importRowSchema.index({ job: 1, status: 1, index: 1 });
+importRowSchema.index({ job: 1, index: 1 }, { unique: true });
+
+const ImportRow = mongoose.model('ImportRow', importRowSchema);
+
+module.exports = ImportRow;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { STAFF_ROLES } = require('../config/permissions');
+
+// Admin-issued invitation for a staff account with a preset role
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email'],
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: [true, 'Role is required'],
+    },
+    specialty: {
+      type: String,
+      trim: true,
+      required: function() {
+        return this.role === 'doctor';
+      },
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    lastSentAt: {
+      type: Date,
+    },
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invitationSchema.index({ email: 1, status: 1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { trackStatusHistory } = require('./statusHistory');
+const { trackPatientHospital } = require('./patientHospital');
 
 const resultSchema = new mongoose.Schema({
   test: {
@@ -44,6 +46,10 @@ const labReportSchema = new mongoose.Schema(
       type: String,
       required: true
     },
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital'
+    },
     date: {
       type: Date,
       required: true,
@@ -58,7 +64,17 @@ const labReportSchema = new mongoose.Schema(
     notes: {
       type: String,
       default: ''
-    }
+    },
+    // The patient's archive time, while archived
+    archivedAt: {
+      type: Date,
+    },
+    // Bulk-imported reports keep their source ID here
+    importKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
   },
   {
     timestamps: true,
@@ -72,6 +88,13 @@ labReportSchema.virtual('id').get(function() {
   return this._id.toHexString();
 });
 
+labReportSchema.plugin(trackStatusHistory);
+labReportSchema.plugin(trackPatientHospital);
+
+// A patient's history timeline, newest first
+labReportSchema.index({ patient: 1, date: -1 });
+labReportSchema.index({ patient: 1, 'statusHistory.changedAt': -1 });
+
 const LabReport = mongoose.model('LabReport', labReportSchema);
 
 module.exports = LabReport;
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Failed-login counters, kept in Mongo so every server instance sees them.
+// `key` is `account:<email>` or `ip:<address>`.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Counters reset after a quiet period
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
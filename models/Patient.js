@@ -1,4 +1,241 @@
 const mongoose = require('mongoose');
+const { missingProfileFields } = require('../config/patientProfile');
+
+// ICD-10 code, e.g. E11, E11.9, S52.521A
+const ICD10_PATTERN = /^[A-TV-Z][0-9][0-9AB](\.[0-9A-TV-Z]{1,4})?$/;
+
+// Who recorded a history entry and when, shared by every entry type
+const recordedFields = {
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedAt: {
+    type: Date,
+  },
+};
+
+const problemSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [ICD10_PATTERN, 'Please enter a valid ICD-10 code'],
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+  },
+  onset: {
+    type: Date,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive', 'resolved'],
+    default: 'active',
+  },
+  resolvedAt: {
+    type: Date,
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+  ...recordedFields,
+});
+
+const surgerySchema = new mongoose.Schema({
+  procedure: {
+    type: String,
+    required: [true, 'Procedure is required'],
+    trim: true,
+  },
+  date: {
+    type: Date,
+  },
+  hospital: {
+    type: String,
+    default: '',
+  },
+  surgeon: {
+    type: String,
+    default: '',
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+  ...recordedFields,
+});
+
+const familyHistorySchema = new mongoose.Schema({
+  relation: {
+    type: String,
+    required: [true, 'Relation is required'],
+    enum: ['mother', 'father', 'sibling', 'child', 'grandparent', 'aunt', 'uncle', 'cousin', 'other'],
+  },
+  condition: {
+    type: String,
+    required: [true, 'Condition is required'],
+    trim: true,
+  },
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [ICD10_PATTERN, 'Please enter a valid ICD-10 code'],
+  },
+  ageAtOnset: {
+    type: Number,
+    min: 0,
+  },
+  deceased: {
+    type: Boolean,
+    default: false,
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+  ...recordedFields,
+});
+
+const immunizationSchema = new mongoose.Schema({
+  vaccine: {
+    type: String,
+    required: [true, 'Vaccine is required'],
+    trim: true,
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+  },
+  dose: {
+    type: String,
+    default: '',
+  },
+  lotNumber: {
+    type: String,
+    default: '',
+  },
+  site: {
+    type: String,
+    default: '',
+  },
+  administeredBy: {
+    type: String,
+    default: '',
+  },
+  nextDueDate: {
+    type: Date,
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+  ...recordedFields,
+});
+
+// A recorded allergy or intolerance. `medicine` and `drugClass` link the
+// substance to the formulary so prescriptions can be checked against it.
+const allergySchema = new mongoose.Schema({
+  substance: {
+    type: String,
+    required: [true, 'Substance is required'],
+    trim: true,
+  },
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+  },
+  drugClass: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  category: {
+    type: String,
+    enum: ['drug', 'food', 'environmental', 'other'],
+    default: 'other',
+  },
+  type: {
+    type: String,
+    enum: ['allergy', 'intolerance'],
+    default: 'allergy',
+  },
+  reaction: {
+    type: String,
+    default: '',
+  },
+  severity: {
+    type: String,
+    enum: ['mild', 'moderate', 'severe', 'life-threatening', 'unknown'],
+    default: 'unknown',
+  },
+  verificationStatus: {
+    type: String,
+    enum: ['unconfirmed', 'confirmed', 'refuted', 'entered-in-error'],
+    default: 'unconfirmed',
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+  ...recordedFields,
+  // Entries migrated from the old free-text list have no recorder
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+});
+
+// Current social history, one per patient rather than a list
+const socialHistorySchema = new mongoose.Schema({
+  smoking: {
+    status: {
+      type: String,
+      enum: ['never', 'former', 'current', 'unknown'],
+      default: 'unknown',
+    },
+    packsPerDay: {
+      type: Number,
+      min: 0,
+    },
+    quitDate: {
+      type: Date,
+    },
+  },
+  alcohol: {
+    status: {
+      type: String,
+      enum: ['none', 'occasional', 'moderate', 'heavy', 'unknown'],
+      default: 'unknown',
+    },
+    unitsPerWeek: {
+      type: Number,
+      min: 0,
+    },
+  },
+  occupation: {
+    type: String,
+    default: '',
+  },
+  notes: {
+    type: String,
+    default: '',
+  },
+  ...recordedFields,
+}, { _id: false });
 
 const patientSchema = new mongoose.Schema(
   {
@@ -7,11 +244,17 @@ const patientSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Shared with User.patientId, minted by utils/patientIds.js
     patientId: {
       type: String,
       unique: true,
       required: true,
     },
+    // Facility the patient was registered at
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+    },
     age: {
       type: Number,
       required: true,
@@ -37,20 +280,117 @@ const patientSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // National identity card number, e.g. 42101-1234567-1
+    cnic: {
+      type: String,
+      trim: true,
+      match: [/^\d{5}-?\d{7}-?\d$/, 'Please enter a valid CNIC'],
+    },
     condition: {
       type: String,
       default: '',
     },
-    allergies: {
+    allergies: [allergySchema],
+    // Structured history, managed through /api/patients/:patientId/<section>
+    problems: [problemSchema],
+    surgeries: [surgerySchema],
+    familyHistory: [familyHistorySchema],
+    immunizations: [immunizationSchema],
+    socialHistory: socialHistorySchema,
+    // Denormalized for the patient list, kept current by setSearchFields():
+    // lowercase "last first" for sorting, and lowercase name words, ID and
+    // contact/CNIC digits for indexed prefix search
+    sortName: {
+      type: String,
+      default: '',
+    },
+    searchTokens: {
       type: [String],
       default: [],
     },
+    // Set when this record was merged into another as a duplicate
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+    },
+    mergedAt: {
+      type: Date,
+    },
+    // Set while archived: hidden from lists but kept intact until purged
+    archivedAt: {
+      type: Date,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    archiveReason: {
+      type: String,
+    },
+    // First time every required profile field was filled in, see
+    // config/patientProfile.js
+    profileCompletedAt: {
+      type: Date,
+    },
+    // "<source>:<external ID>" for patients brought in by a bulk import
+    importKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+patientSchema.index({ searchTokens: 1 });
+patientSchema.index({ createdAt: -1, _id: -1 });
+patientSchema.index({ sortName: 1, _id: 1 });
+patientSchema.index({ age: 1, _id: 1 });
+patientSchema.index({ gender: 1, bloodGroup: 1 });
+
+// Lowercase words a patient can be found by
+const buildSearchTokens = (values) => {
+  const tokens = new Set();
+
+  values.names.forEach((name) => {
+    String(name || '').toLowerCase().split(/\s+/).filter(Boolean).forEach((word) => tokens.add(word));
+  });
+  values.codes.forEach((code) => {
+    if (code) tokens.add(String(code).toLowerCase());
+  });
+  values.numbers.forEach((number) => {
+    const digits = String(number || '').replace(/\D/g, '');
+    if (digits) tokens.add(digits);
+  });
+
+  return [...tokens];
+};
+
+// Refresh the denormalized search fields from the patient and its user
+patientSchema.methods.setSearchFields = function(user) {
+  // Merged-away duplicates stay out of search
+  if (this.mergedInto) {
+    this.searchTokens = [];
+    return;
+  }
+
+  this.sortName = `${user.lastName || ''} ${user.firstName || ''}`.trim().toLowerCase();
+  this.searchTokens = buildSearchTokens({
+    names: [user.firstName, user.lastName],
+    codes: [this.patientId],
+    numbers: [this.patientId, this.contact, this.cnic],
+  });
+};
+
+patientSchema.pre('save', function(next) {
+  if (!this.profileCompletedAt && missingProfileFields(this).length === 0) {
+    this.profileCompletedAt = new Date();
+  }
+  next();
+});
+
 const Patient = mongoose.model('Patient', patientSchema);
 
 module.exports = Patient;
\ No newline at end of file
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Audit record of one patient merge, holding everything needed to undo it
+const patientMergeSchema = new mongoose.Schema(
+  {
+    // Record that was kept and now holds the merged clinical data
+    survivor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+      index: true,
+    },
+    // Duplicate record that was merged away
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+      index: true,
+    },
+    survivorPatientId: {
+      type: String,
+      required: true,
+    },
+    sourcePatientId: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+    // Records moved from source to survivor
+    moved: {
+      appointments: [{
+        _id: false,
+        id: mongoose.Schema.Types.ObjectId,
+        patientName: String,
+      }],
+      prescriptions: [mongoose.Schema.Types.ObjectId],
+      labReports: [mongoose.Schema.Types.ObjectId],
+      vitals: [mongoose.Schema.Types.ObjectId],
+      documents: [{
+        _id: false,
+        id: mongoose.Schema.Types.ObjectId,
+        url: String,
+      }],
+      // Who could see the source, so they can see the survivor
+      accessGrants: [mongoose.Schema.Types.ObjectId],
+      guardianships: [mongoose.Schema.Types.ObjectId],
+      emergencyAccess: [mongoose.Schema.Types.ObjectId],
+    },
+    // Survivor fields the merge filled in from the source
+    survivorChanges: {
+      // Substances of the allergy entries copied over
+      allergiesAdded: {
+        type: [String],
+        default: [],
+      },
+      cnic: {
+        type: String,
+      },
+      // Ids of the structured history entries copied over, by Patient field
+      historyAdded: {
+        problems: [mongoose.Schema.Types.ObjectId],
+        surgeries: [mongoose.Schema.Types.ObjectId],
+        familyHistory: [mongoose.Schema.Types.ObjectId],
+        immunizations: [mongoose.Schema.Types.ObjectId],
+      },
+      // Whether the source's social history filled an empty one
+      socialHistory: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // Whether the source patient's account was active before it was disabled
+    sourceUserWasActive: {
+      type: Boolean,
+      default: false,
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    undoneAt: {
+      type: Date,
+    },
+    undoneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PatientMerge = mongoose.model('PatientMerge', patientMergeSchema);
+
+module.exports = PatientMerge;
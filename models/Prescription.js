@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { trackStatusHistory } = require('./statusHistory');
+const { trackPatientHospital } = require('./patientHospital');
 
 const medicationSchema = new mongoose.Schema({
   name: {
@@ -19,6 +21,29 @@ const medicationSchema = new mongoose.Schema({
   },
 });
 
+const allergyOverrideSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    required: true,
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  // The conflicts the override was given for
+  conflicts: [{
+    _id: false,
+    medication: String,
+    substance: String,
+    severity: String,
+  }],
+}, { _id: false });
+
 const prescriptionSchema = new mongoose.Schema(
   {
     patient: {
@@ -46,12 +71,31 @@ const prescriptionSchema = new mongoose.Schema(
       enum: ['Active', 'Completed', 'Cancelled'],
       default: 'Active',
     },
+    // Set when a doctor prescribed despite a serious allergy conflict
+    allergyOverride: allergyOverrideSchema,
+    // The patient's archive time, while archived
+    archivedAt: {
+      type: Date,
+    },
+    // Identifies a prescription that came from another system's import
+    importKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+prescriptionSchema.plugin(trackStatusHistory);
+prescriptionSchema.plugin(trackPatientHospital);
+
+// A patient's history timeline, newest first
+prescriptionSchema.index({ patient: 1, date: -1 });
+prescriptionSchema.index({ patient: 1, 'statusHistory.changedAt': -1 });
+
 const Prescription = mongoose.model('Prescription', prescriptionSchema);
 
 module.exports = Prescription;
\ No newline at end of file
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the raw token; the raw value only ever lives in the cookie
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every token minted from one login shares a family id. Access tokens
+    // carry it as `sid`, so revoking the family ends the whole session.
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: '',
+    },
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+    // How the session's access tokens are delivered, kept across rotations
+    // so a refresh answers the way the login did. Unset on tokens issued
+    // before it was recorded.
+    sessionMode: {
+      type: String,
+      enum: ['bearer', 'cookie'],
+    },
+    createdByIp: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let Mongo clean up expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const securityLogSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Account the event is about, if any
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    email: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    // Who caused the event, e.g. the admin who unlocked an account
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+securityLogSchema.index({ createdAt: -1 });
+
+const SecurityLog = mongoose.model('SecurityLog', securityLogSchema);
+
+module.exports = SecurityLog;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One login on one device. `family` is the refresh-token family id, which
+// access tokens carry as `sid`.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Follows the newest refresh token; the session is dead after this
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
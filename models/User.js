@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema(
   {
@@ -15,22 +16,41 @@ const userSchema = new mongoose.Schema(
     },
     email: {
       type: String,
-      required: [true, 'Email is required'],
+      required: [
+        function() {
+          return !this.managed;
+        },
+        'Email is required',
+      ],
+      // Sparse so managed profiles can go without one
       unique: true,
+      sparse: true,
       lowercase: true,
       trim: true,
       match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email'],
     },
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      required: [
+        function() {
+          return !this.managed;
+        },
+        'Password is required',
+      ],
       minlength: [8, 'Password must be at least 8 characters'],
     },
     role: {
       type: String,
-      enum: ['patient', 'doctor', 'admin'],
+      enum: ROLES,
       default: 'patient',
     },
+    // Profile-only account for a dependent (see models/Guardianship.js). It
+    // has no email or password and can't log in; guardians act for it.
+    managed: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when the patient profile is created, always equal to Patient.patientId
     patientId: {
       type: String,
       unique: true,
@@ -43,6 +63,60 @@ const userSchema = new mongoose.Schema(
         return this.role === 'doctor';
       },
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Set by an admin; blocks login until the password is reset by email
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    deactivatedAt: {
+      type: Date,
+    },
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Base32 TOTP secrets, never returned unless explicitly selected
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP step, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
   },
   {
     timestamps: true,
@@ -58,14 +132,14 @@ userSchema.pre('save', async function(next) {
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
   
-  // Generate patientId for patients
-  if (this.role === 'patient' && !this.patientId) {
-    this.patientId = 'P-' + Math.floor(1000 + Math.random() * 9000);
-  }
-  
   next();
 });
 
+// Staff can read patient records, so they must use 2FA
+userSchema.methods.requiresTwoFactor = function() {
+  return this.role !== 'patient';
+};
+
 // Method to compare password
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Single-use, time-limited tokens sent to users by email
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ['password-reset', 'email-verification'],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+module.exports = UserToken;
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { VITAL_METRICS, flagReading } = require('../config/vitals');
+const { trackPatientHospital } = require('./patientHospital');
+
+// Metrics a reading can carry, each optional
+const READING_METRICS = ['systolic', 'diastolic', 'pulse', 'temperature', 'weight', 'height', 'spo2', 'bloodGlucose'];
+
+// One set of vital signs taken for a patient, usually at a visit
+const vitalsSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    recordedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    systolic: {
+      type: Number,
+      min: [VITAL_METRICS.systolic.limits[0], `${VITAL_METRICS.systolic.label} must be at least {MIN} ${VITAL_METRICS.systolic.unit}`],
+      max: [VITAL_METRICS.systolic.limits[1], `${VITAL_METRICS.systolic.label} must be at most {MAX} ${VITAL_METRICS.systolic.unit}`],
+    },
+    diastolic: {
+      type: Number,
+      min: [VITAL_METRICS.diastolic.limits[0], `${VITAL_METRICS.diastolic.label} must be at least {MIN} ${VITAL_METRICS.diastolic.unit}`],
+      max: [VITAL_METRICS.diastolic.limits[1], `${VITAL_METRICS.diastolic.label} must be at most {MAX} ${VITAL_METRICS.diastolic.unit}`],
+    },
+    pulse: {
+      type: Number,
+      min: [VITAL_METRICS.pulse.limits[0], `${VITAL_METRICS.pulse.label} must be at least {MIN} ${VITAL_METRICS.pulse.unit}`],
+      max: [VITAL_METRICS.pulse.limits[1], `${VITAL_METRICS.pulse.label} must be at most {MAX} ${VITAL_METRICS.pulse.unit}`],
+    },
+    temperature: {
+      type: Number,
+      min: [VITAL_METRICS.temperature.limits[0], `${VITAL_METRICS.temperature.label} must be at least {MIN} ${VITAL_METRICS.temperature.unit}`],
+      max: [VITAL_METRICS.temperature.limits[1], `${VITAL_METRICS.temperature.label} must be at most {MAX} ${VITAL_METRICS.temperature.unit}`],
+    },
+    weight: {
+      type: Number,
+      min: [VITAL_METRICS.weight.limits[0], `${VITAL_METRICS.weight.label} must be at least {MIN} ${VITAL_METRICS.weight.unit}`],
+      max: [VITAL_METRICS.weight.limits[1], `${VITAL_METRICS.weight.label} must be at most {MAX} ${VITAL_METRICS.weight.unit}`],
+    },
+    height: {
+      type: Number,
+      min: [VITAL_METRICS.height.limits[0], `${VITAL_METRICS.height.label} must be at least {MIN} ${VITAL_METRICS.height.unit}`],
+      max: [VITAL_METRICS.height.limits[1], `${VITAL_METRICS.height.label} must be at most {MAX} ${VITAL_METRICS.height.unit}`],
+    },
+    spo2: {
+      type: Number,
+      min: [VITAL_METRICS.spo2.limits[0], `${VITAL_METRICS.spo2.label} must be at least {MIN} ${VITAL_METRICS.spo2.unit}`],
+      max: [VITAL_METRICS.spo2.limits[1], `${VITAL_METRICS.spo2.label} must be at most {MAX} ${VITAL_METRICS.spo2.unit}`],
+    },
+    bloodGlucose: {
+      type: Number,
+      min: [VITAL_METRICS.bloodGlucose.limits[0], `${VITAL_METRICS.bloodGlucose.label} must be at least {MIN} ${VITAL_METRICS.bloodGlucose.unit}`],
+      max: [VITAL_METRICS.bloodGlucose.limits[1], `${VITAL_METRICS.bloodGlucose.label} must be at most {MAX} ${VITAL_METRICS.bloodGlucose.unit}`],
+    },
+    glucoseContext: {
+      type: String,
+      enum: ['fasting', 'random', 'postprandial'],
+    },
+    // Derived from weight and height on save
+    bmi: {
+      type: Number,
+    },
+    // Readings outside the reference range, derived on save
+    flags: [{
+      _id: false,
+      metric: String,
+      value: Number,
+      level: {
+        type: String,
+        enum: ['low', 'high', 'critical-low', 'critical-high'],
+      },
+    }],
+    notes: {
+      type: String,
+      default: '',
+    },
+    // Archived along with the patient
+    archivedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+vitalsSchema.index({ patient: 1, recordedAt: -1 });
+
+vitalsSchema.plugin(trackPatientHospital);
+
+vitalsSchema.pre('validate', function(next) {
+  if (!READING_METRICS.some((metric) => this[metric] !== undefined && this[metric] !== null)) {
+    this.invalidate('systolic', 'At least one vital sign is required');
+  }
+
+  if (this.systolic && this.diastolic && this.diastolic >= this.systolic) {
+    this.invalidate('diastolic', 'Diastolic blood pressure must be lower than systolic');
+  }
+
+  this.bmi = this.weight && this.height
+    ? Math.round((this.weight / Math.pow(this.height / 100, 2)) * 10) / 10
+    : undefined;
+
+  this.flags = [...READING_METRICS, 'bmi']
+    .map((metric) => ({
+      metric,
+      value: this[metric],
+      level: flagReading(metric, this[metric], { glucoseContext: this.glucoseContext }),
+    }))
+    .filter((flag) => flag.level);
+
+  next();
+});
+
+const Vitals = mongoose.model('Vitals', vitalsSchema);
+
+module.exports = Vitals;
@@ -7,6 +7,15 @@ const hospitalSchema = mongoose.Schema(
       required: [true, 'Please add a hospital/lab name'],
       trim: true
     },
+    // Short code used as the patient ID prefix, e.g. "KHI"
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      unique: true,
+      sparse: true,
+      match: [/^[A-Z0-9]{1,8}$/, 'Code must be 1-8 letters or digits']
+    },
     type: {
       type: String,
       required: [true, 'Please specify the facility type'],
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Schema plugin for records that belong to a patient: keeps a copy of the
+// patient's facility in `patientHospital`, so hospital-bound API keys can
+// list their facility's records without loading every patient there.
+// Filled in when a record is saved with a new patient; bulk updates that
+// move records between patients (merges) set it themselves.
+const trackPatientHospital = (schema) => {
+  schema.add({
+    patientHospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      index: true,
+    },
+  });
+
+  schema.pre('save', async function() {
+    if (!this.isNew && !this.isModified('patient')) return;
+
+    const patient = this.patient
+      ? await mongoose.model('Patient').findById(this.patient).select('hospital')
+      : null;
+    this.patientHospital = patient ? patient.hospital : undefined;
+  });
+};
+
+module.exports = { trackPatientHospital };
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+});
+
+// Schema plugin for records with a `status`: each change after creation is
+// appended to `statusHistory` when the record is saved. Set
+// `doc.$locals.changedBy` before saving to record who made it.
+const trackStatusHistory = (schema) => {
+  schema.add({
+    statusHistory: {
+      type: [statusChangeSchema],
+      default: [],
+    },
+  });
+
+  schema.post('init', function() {
+    this.$locals.loadedStatus = this.status;
+  });
+
+  schema.pre('save', function(next) {
+    if (!this.isNew && this.isModified('status') && this.status !== this.$locals.loadedStatus) {
+      this.statusHistory.push({
+        from: this.$locals.loadedStatus,
+        to: this.status,
+        changedBy: this.$locals.changedBy,
+      });
+      this.$locals.loadedStatus = this.status;
+    }
+    next();
+  });
+};
+
+module.exports = { trackStatusHistory };
@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/permissionMiddleware');
+const {
+  getUsers,
+  getUser,
+  updateUserStatus,
+  updateUserRole,
+  forceLogoutUser,
+  forcePasswordReset,
+  unlockUser,
+  getUserActivity,
+} = require('../controllers/adminController');
+const {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+} = require('../controllers/invitationController');
+const {
+  createApiKey,
+  getApiKeys,
+  getApiKey,
+  revokeApiKey,
+} = require('../controllers/apiKeyController');
+const { getUserSessions, revokeUserSession } = require('../controllers/sessionController');
+const {
+  getEmergencyAccessReport,
+  reviewEmergencyAccess,
+} = require('../controllers/emergencyAccessController');
+const {
+  createImport,
+  getImports,
+  getImport,
+  getImportRows,
+  downloadImportReport,
+  runImport,
+} = require('../controllers/importController');
+
+router.use(protect);
+
+router.get('/users', can('user:manage'), getUsers);
+router.get('/users/:id', can('user:manage'), getUser);
+router.get('/users/:id/activity', can('user:manage'), getUserActivity);
+router.put('/users/:id/status', can('user:manage'), updateUserStatus);
+router.put('/users/:id/role', can('user:manage'), updateUserRole);
+router.post('/users/:id/logout', can('user:manage'), forceLogoutUser);
+router.post('/users/:id/force-password-reset', can('user:manage'), forcePasswordReset);
+router.post('/users/:id/unlock', can('user:manage'), unlockUser);
+router.get('/users/:id/sessions', can('user:manage'), getUserSessions);
+router.delete('/users/:id/sessions/:sessionId', can('user:manage'), revokeUserSession);
+
+router.route('/invitations')
+  .get(can('invitation:manage'), getInvitations)
+  .post(can('invitation:manage'), createInvitation);
+
+router.route('/invitations/:id')
+  .delete(can('invitation:manage'), revokeInvitation);
+
+router.post('/invitations/:id/resend', can('invitation:manage'), resendInvitation);
+
+router.route('/api-keys')
+  .get(can('apiKey:manage'), getApiKeys)
+  .post(can('apiKey:manage'), createApiKey);
+
+router.route('/api-keys/:id')
+  .get(can('apiKey:manage'), getApiKey)
+  .delete(can('apiKey:manage'), revokeApiKey);
+
+router.get('/emergency-access', can('emergencyAccess:review'), getEmergencyAccessReport);
+router.put('/emergency-access/:id/review', can('emergencyAccess:review'), reviewEmergencyAccess);
+
+router.route('/imports')
+  .get(can('patient:import'), getImports)
+  .post(can('patient:import'), createImport);
+
+router.get('/imports/:id', can('patient:import'), getImport);
+router.get('/imports/:id/rows', can('patient:import'), getImportRows);
+router.get('/imports/:id/report', can('patient:import'), downloadImportReport);
+router.post('/imports/:id/run', can('patient:import'), runImport);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { protect, doctor, admin } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/permissionMiddleware');
+const { requireCompleteProfile } = require('../middleware/profileMiddleware');
+const { appointmentOwner, patientOwner } = require('../utils/resourceOwners');
 const {
   getAllAppointments,
   getTodayAppointments,
@@ -19,31 +22,31 @@ const {
 // PROTECTED ROUTES
 // Base route: /api/appointments
 
-// Get all appointments (admin only) and create appointment (all users)
+// Get all appointments and create appointment (patients only for themselves)
 router.route('/')
-  .get(protect, admin, getAllAppointments)
-  .post(protect, createAppointment);
+  .get(protect, can('appointment:listAll'), getAllAppointments)
+  .post(protect, requireCompleteProfile, createAppointment);
 
-// Get today's appointments (doctor/admin only)
+// Get today's appointments (staff only)
 router.route('/today')
-  .get(protect, doctor, getTodayAppointments);
+  .get(protect, can('appointment:read'), getTodayAppointments);
 
 // Get appointments by date
 router.route('/date/:date')
-  .get(protect, getAppointmentsByDate);
+  .get(protect, can('appointment:read'), getAppointmentsByDate);
 
 // Search appointments
 router.route('/search')
-  .get(protect, searchAppointments);
+  .get(protect, can('appointment:read'), searchAppointments);
 
 // Get appointments for a specific patient
 router.route('/patients/:patientId/appointments')
-  .get(protect, getPatientAppointments);
+  .get(protect, can('appointment:read', patientOwner), getPatientAppointments);
 
 // Get, update, or delete a specific appointment
 router.route('/:id')
-  .get(protect, getAppointment)
-  .put(protect, updateAppointment)
-  .delete(protect, deleteAppointment);
+  .get(protect, can('appointment:read', appointmentOwner), getAppointment)
+  .put(protect, can('appointment:update'), updateAppointment)
+  .delete(protect, can('appointment:delete'), deleteAppointment);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { protect, doctor, admin } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/permissionMiddleware');
 const { getDashboardStats } = require('../controllers/dashboardController');
 
-router.route('/stats').get(protect, getDashboardStats);
+router.route('/stats').get(protect, can('dashboard:view'), getDashboardStats);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+  FHIR_RESOURCES,
+  searchResources,
+  readResource,
+  getCapabilityStatement,
+} = require('../controllers/fhirController');
+
+// FHIR R4 read API. Reads and searches go through the same permission and
+// access grant checks as the rest of the API.
+router.get('/metadata', getCapabilityStatement);
+
+Object.keys(FHIR_RESOURCES).forEach((resourceType) => {
+  router.get(`/${resourceType}`, protect, searchResources(resourceType));
+  router.get(`/${resourceType}/:id`, protect, readResource(resourceType));
+});
+
+module.exports = router;
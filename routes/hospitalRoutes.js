@@ -7,15 +7,17 @@ const {
   updateHospital,
   deleteHospital
 } = require('../controllers/hospitalController');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/permissionMiddleware');
 
-// Routes without auth middleware
+// Reads stay public; changes need hospital:manage
 router.route('/')
   .get(getHospitals)
-  .post(createHospital);
+  .post(protect, can('hospital:manage'), createHospital);
 
 router.route('/:id')
   .get(getHospital)
-  .put(updateHospital)
-  .delete(deleteHospital);
+  .put(protect, can('hospital:manage'), updateHospital)
+  .delete(protect, can('hospital:manage'), deleteHospital);
 
 module.exports = router;
\ No newline at end of file
@@ -1,26 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { protect, doctor, admin } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/permissionMiddleware');
+const { requireCompleteProfile } = require('../middleware/profileMiddleware');
 const {
   getAllLabReports,
   getLabReport,
   createLabReport,
   updateLabReport,
+  enterLabResults,
   deleteLabReport,
   downloadLabReport,
 } = require('../controllers/labReportController');
 
 // Lab report routes
 router.route('/')
-  .get(protect, getAllLabReports)
-  .post(protect, doctor, createLabReport);
+  .get(protect, requireCompleteProfile, getAllLabReports)
+  .post(protect, can('labReport:create'), createLabReport);
 
 router.route('/:id')
   .get(protect, getLabReport)
-  .put(protect, doctor, updateLabReport)
-  .delete(protect, admin, deleteLabReport);
+  .put(protect, updateLabReport)
+  .delete(protect, can('labReport:delete'), deleteLabReport);
+
+router.route('/:id/results')
+  .put(protect, can('labReport:enterResults'), enterLabResults);
 
 router.route('/:id/download')
   .get(protect, downloadLabReport);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
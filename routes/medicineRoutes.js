@@ -11,9 +11,9 @@ const {
   searchMedicines
 } = require('../controllers/medicineController');
 const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/permissionMiddleware');
 
-// Use auth middleware if you have it
-// router.use(protect);
+// Reads stay public; changing the inventory needs medicine:manage
 
 // Search and filter routes
 router.get('/search', searchMedicines);
@@ -23,11 +23,11 @@ router.get('/out-of-stock', getOutOfStockMedicines);
 // Main routes
 router.route('/')
   .get(getMedicines)
-  .post(createMedicine);
+  .post(protect, can('medicine:manage'), createMedicine);
 
 router.route('/:id')
   .get(getMedicineById)
-  .put(updateMedicine)
-  .delete(deleteMedicine);
+  .put(protect, can('medicine:manage'), updateMedicine)
+  .delete(protect, can('medicine:manage'), deleteMedicine);
 
 module.exports = router;
\ No newline at end of file
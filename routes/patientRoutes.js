@@ -1,13 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { protect, doctor, admin } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { can, canAccessChart, acceptsRecords } = require('../middleware/permissionMiddleware');
+const { patientOwner } = require('../utils/resourceOwners');
 const {
   getRecentPatients,
   getAllPatients,
   getPatient,
   createPatient,
+  createPatientProfile,
+  getMyPatientProfile,
   updatePatient,
-  deletePatient,
   getPatientHistory,
   getPatientDocuments,
   uploadPatientDocument,
@@ -15,34 +18,175 @@ const {
   processPatientDocument
 } = require('../controllers/patientController');
 const { getPatientAppointments } = require('../controllers/appointmentController');
+const {
+  checkDuplicatePatients,
+  mergePatient,
+  getPatientMerges,
+  undoMerge,
+} = require('../controllers/patientMergeController');
+const {
+  getPatientAccess,
+  grantPatientAccess,
+  updatePatientAccess,
+  revokePatientAccess,
+  referPatient,
+} = require('../controllers/accessGrantController');
+const { requestEmergencyAccess } = require('../controllers/emergencyAccessController');
+const {
+  getDependents,
+  createDependent,
+  getGuardians,
+  addGuardian,
+  endGuardianship,
+} = require('../controllers/guardianshipController');
+const {
+  listHistory,
+  addHistoryEntry,
+  updateHistoryEntry,
+  deleteHistoryEntry,
+  getSocialHistory,
+  updateSocialHistory,
+  deleteSocialHistory,
+} = require('../controllers/medicalHistoryController');
+const {
+  archivePatientRecord,
+  restorePatientRecord,
+  getArchivedPatients,
+  purgePatientRecord,
+} = require('../controllers/patientArchiveController');
+const {
+  exportPatient,
+  getExportJob,
+  downloadExport,
+} = require('../controllers/patientExportController');
+const { HISTORY_SECTIONS } = require('../utils/medicalHistory');
+const {
+  getVitals,
+  recordVitals,
+  updateVitals,
+  deleteVitals,
+  getVitalsTrends,
+} = require('../controllers/vitalsController');
 
 // Patient routes
 router.route('/')
-  .get(protect, doctor, getAllPatients)
-  .post(protect, doctor, createPatient);
+  .get(protect, can('patient:list'), getAllPatients)
+  .post(protect, can('patient:create'), createPatient);
+
+// Self-onboarding for patients who registered without a profile
+router.route('/profile')
+  .post(protect, can('patient:onboard'), createPatientProfile);
+
+router.route('/me')
+  .get(protect, can('patient:onboard'), getMyPatientProfile);
 
 router.route('/recent')
-  .get(protect, doctor, getRecentPatients);
+  .get(protect, can('patient:list'), getRecentPatients);
+
+router.route('/dependents')
+  .get(protect, getDependents)
+  .post(protect, can('dependent:create'), createDependent);
+
+router.route('/duplicates')
+  .post(protect, can('patient:create'), checkDuplicatePatients);
+
+router.route('/merges/:mergeId/undo')
+  .post(protect, can('patient:merge'), undoMerge);
+
+router.route('/archived')
+  .get(protect, can('patient:archive'), getArchivedPatients);
+
+router.route('/exports/download/:token')
+  .get(downloadExport);
+
+router.route('/exports/:jobId')
+  .get(protect, getExportJob);
 
 router.route('/:patientId')
   .get(protect, getPatient)
   .put(protect, updatePatient)
-  .delete(protect, deletePatient);
+  .delete(protect, can('patient:archive'), archivePatientRecord);
+
+router.route('/:patientId/restore')
+  .post(protect, can('patient:archive'), restorePatientRecord);
+
+router.route('/:patientId/purge')
+  .delete(protect, can('patient:purge'), purgePatientRecord);
+
+router.route('/:patientId/export')
+  .get(protect, can('patient:export', patientOwner), exportPatient);
+
+router.route('/:patientId/merge')
+  .post(protect, can('patient:merge'), mergePatient);
+
+router.route('/:patientId/merges')
+  .get(protect, can('patient:merge'), getPatientMerges);
+
+router.route('/:patientId/access')
+  .get(protect, can('patient:manageAccess', patientOwner), getPatientAccess)
+  .post(protect, can('patient:manageAccess', patientOwner), grantPatientAccess);
+
+router.route('/:patientId/access/:grantId')
+  .put(protect, can('patient:manageAccess', patientOwner), updatePatientAccess)
+  .delete(protect, can('patient:manageAccess', patientOwner), revokePatientAccess);
+
+router.route('/:patientId/referrals')
+  .post(protect, can('patient:refer'), referPatient);
+
+router.route('/:patientId/emergency-access')
+  .post(protect, can('patient:emergencyAccess'), requestEmergencyAccess);
+
+router.route('/:patientId/guardians')
+  .get(protect, can('patient:read', patientOwner), getGuardians)
+  .post(protect, addGuardian);
+
+router.route('/:patientId/guardians/:guardianshipId')
+  .delete(protect, endGuardianship);
+
+// Structured medical history: allergies, problems, surgeries, family-history, immunizations
+const chart = canAccessChart('profile');
+
+Object.keys(HISTORY_SECTIONS).forEach((section) => {
+  router.route(`/:patientId/${section}`)
+    .get(protect, chart, listHistory(section))
+    .post(protect, can('medicalHistory:write'), chart, acceptsRecords, addHistoryEntry(section));
+
+  router.route(`/:patientId/${section}/:entryId`)
+    .put(protect, can('medicalHistory:write'), chart, acceptsRecords, updateHistoryEntry(section))
+    .delete(protect, can('medicalHistory:write'), chart, deleteHistoryEntry(section));
+});
+
+router.route('/:patientId/social-history')
+  .get(protect, chart, getSocialHistory)
+  .put(protect, can('medicalHistory:write'), chart, acceptsRecords, updateSocialHistory)
+  .delete(protect, can('medicalHistory:write'), chart, deleteSocialHistory);
+
+router.route('/:patientId/vitals')
+  .get(protect, chart, getVitals)
+  .post(protect, can('vitals:record'), chart, acceptsRecords, recordVitals);
+
+router.route('/:patientId/vitals/trends')
+  .get(protect, chart, getVitalsTrends);
+
+router.route('/:patientId/vitals/:vitalsId')
+  .put(protect, can('vitals:record'), chart, acceptsRecords, updateVitals)
+  .delete(protect, can('vitals:record'), chart, deleteVitals);
 
 router.route('/:patientId/history')
   .get(protect, getPatientHistory);
 
 router.route('/:patientId/documents')
   .get(protect, getPatientDocuments)
-  .post(protect, uploadPatientDocument);
+  // Checked before multer runs, so unauthorized uploads never touch disk
+  .post(protect, can('document:upload', patientOwner), uploadPatientDocument);
 
 router.route('/:patientId/documents/:documentId')
   .delete(protect, deletePatientDocument);
 
 router.route('/:patientId/documents/:documentId/process')
-  .put(protect, doctor, processPatientDocument);
+  .put(protect, can('document:process'), processPatientDocument);
 
 router.route('/:patientId/appointments')
-  .get(protect, getPatientAppointments);
+  .get(protect, can('appointment:read', patientOwner), getPatientAppointments);
 
 module.exports = router;
\ No newline at end of file
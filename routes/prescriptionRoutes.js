@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { protect, doctor, admin } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/permissionMiddleware');
+const { requireCompleteProfile } = require('../middleware/profileMiddleware');
 const {
   createPrescription,
   updatePrescription,
@@ -12,12 +14,12 @@ const {
 
 // Add the missing route for getting all prescriptions
 router.route('/')
-  .get(protect, getAllPrescriptions)
-  .post(protect, doctor, createPrescription);
+  .get(protect, requireCompleteProfile, getAllPrescriptions)
+  .post(protect, can('prescription:create'), createPrescription);
 
 router.route('/:id')
   .get(protect, getPrescription)
-  .put(protect, doctor, updatePrescription)
+  .put(protect, updatePrescription)
   .delete(protect, deletePrescription); // Add DELETE route
 
 // Add PDF download route
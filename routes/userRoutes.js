@@ -1,13 +1,52 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser, getUserProfile } = require('../controllers/userController');
-const { protect } = require('../middleware/authMiddleware');
+const {
+  registerUser,
+  loginUser,
+  loginTwoFactor,
+  acceptInvite,
+  getUserProfile,
+  refreshSession,
+  logoutUser,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+} = require('../controllers/userController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require('../controllers/twoFactorController');
+const { getMySessions, revokeMySession } = require('../controllers/sessionController');
+const { protect, protectAccountSetup } = require('../middleware/authMiddleware');
 
 // Public routes
 router.post('/register', registerUser);
 router.post('/login', loginUser);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/accept-invite', acceptInvite);
+router.post('/refresh', refreshSession);
+router.post('/logout', logoutUser);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.get('/verify-email/:token', verifyEmail);
 
 // Protected routes
-router.get('/profile', protect, getUserProfile);
+// Accounts still being set up may reach these, so they can verify their
+// email and enroll in 2FA
+router.get('/profile', protectAccountSetup, getUserProfile);
+router.post('/verify-email/resend', protectAccountSetup, resendVerificationEmail);
+router.get('/2fa', protectAccountSetup, getTwoFactorStatus);
+router.post('/2fa/setup', protectAccountSetup, setupTwoFactor);
+router.post('/2fa/confirm', protectAccountSetup, confirmTwoFactor);
+
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+router.post('/2fa/disable', protect, disableTwoFactor);
+
+router.get('/sessions', protect, getMySessions);
+router.delete('/sessions/:id', protect, revokeMySession);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,36 @@
+// One-off migration: before access grants existed every doctor could read
+// every chart. Give each doctor the appointment grant their existing
+// appointments would have created, so treating doctors keep access.
+//
+// Usage: node scripts/backfillAccessGrants.js
+const dotenv = require('dotenv');
+
+// Before utils/accessGrants reads APPOINTMENT_ACCESS_DAYS
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Appointment = require('../models/Appointment');
+const { grantAppointmentAccess } = require('../utils/accessGrants');
+
+const run = async () => {
+  await connectDB();
+
+  // Latest non-cancelled visit per doctor and patient sets the expiry
+  const pairs = await Appointment.aggregate([
+    { $match: { manualEntry: { $ne: true }, status: { $ne: 'Cancelled' } } },
+    { $group: { _id: { patient: '$patient', doctor: '$doctor' }, date: { $max: '$date' } } },
+  ]);
+
+  for (const pair of pairs) {
+    await grantAppointmentAccess({ patient: pair._id.patient, doctor: pair._id.doctor, date: pair.date });
+  }
+
+  console.log(`Created or extended ${pairs.length} appointment access grant(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
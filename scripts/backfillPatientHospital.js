@@ -0,0 +1,50 @@
+// One-off migration: copy each patient's facility onto their appointments,
+// prescriptions, lab reports, vitals and documents (patientHospital), which
+// hospital-bound API keys now filter on, and build the new indexes. Safe to
+// re-run.
+//
+// Usage: node scripts/backfillPatientHospital.js
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const LabReport = require('../models/LabReport');
+const Vitals = require('../models/Vitals');
+const Document = require('../models/Document');
+
+const RECORD_MODELS = [Appointment, Prescription, LabReport, Vitals, Document];
+
+const run = async () => {
+  await connectDB();
+
+  for (const Model of RECORD_MODELS) {
+    await Model.syncIndexes();
+  }
+
+  let patients = 0;
+
+  const cursor = Patient.find({ hospital: { $ne: null } }).select('hospital').cursor();
+
+  for await (const patient of cursor) {
+    for (const Model of RECORD_MODELS) {
+      await Model.updateMany(
+        { patient: patient._id, patientHospital: { $ne: patient.hospital } },
+        { $set: { patientHospital: patient.hospital } }
+      );
+    }
+    patients += 1;
+  }
+
+  console.log(`Copied facility onto records of ${patients} patient(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+// One-off migration: fill the patient list's search fields (sortName,
+// searchTokens) for patients created before they existed, and build the
+// new indexes. Safe to re-run after bulk edits made outside the API.
+//
+// Usage: node scripts/backfillPatientSearch.js
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await connectDB();
+
+  await Patient.syncIndexes();
+  await Appointment.syncIndexes();
+
+  let updates = [];
+  let updated = 0;
+
+  const cursor = Patient.find({})
+    .select('patientId contact cnic user')
+    .populate('user', 'firstName lastName')
+    .cursor();
+
+  for await (const patient of cursor) {
+    if (!patient.user) continue;
+
+    patient.setSearchFields(patient.user);
+    updates.push({
+      updateOne: {
+        filter: { _id: patient._id },
+        update: { $set: { sortName: patient.sortName, searchTokens: patient.searchTokens } },
+      },
+    });
+
+    if (updates.length === BATCH_SIZE) {
+      await Patient.bulkWrite(updates);
+      updated += updates.length;
+      updates = [];
+    }
+  }
+
+  if (updates.length > 0) {
+    await Patient.bulkWrite(updates);
+    updated += updates.length;
+  }
+
+  console.log(`Updated search fields for ${updated} patient(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
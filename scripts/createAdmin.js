@@ -0,0 +1,44 @@
+// Bootstrap an admin account. Public registration only creates patients and
+// staff need an invitation from an admin, so the first admin is made here.
+//
+// Usage: node scripts/createAdmin.js <email> <password> <firstName> <lastName>
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  const [email, password, firstName, lastName] = process.argv.slice(2);
+
+  if (!email || !password || !firstName || !lastName) {
+    console.error('Usage: node scripts/createAdmin.js <email> <password> <firstName> <lastName>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  if (await User.exists({ email: email.toLowerCase() })) {
+    console.error(`User ${email} already exists`);
+    process.exit(1);
+  }
+
+  const user = await User.create({
+    firstName,
+    lastName,
+    email,
+    password,
+    role: 'admin',
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+
+  console.log(`Created admin ${user.email}. Two-factor setup is required on first login.`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Failed to create admin:', error);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+// One-off migration: accounts created before email verification existed have
+// no `emailVerified` field. Mark them verified so they are not locked out.
+//
+// Usage: node scripts/markExistingUsersVerified.js
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing user(s) as verified`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+// One-off migration: convert patients' free-text allergy lists into
+// structured allergy entries. Text like "Penicillin - rash" becomes the
+// substance and reaction; the drug class is filled in where known. Migrated
+// entries are unconfirmed, with unknown severity, until a clinician reviews
+// them. Safe to re-run: only string entries are converted.
+//
+// Usage: node scripts/migrateAllergies.js
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Patient = require('../models/Patient');
+const { toAllergyEntries } = require('../utils/allergies');
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+// Raw shape of a migrated entry, with schema defaults the driver won't apply
+const toStoredEntry = (text) => {
+  const [{ recordedBy, ...entry }] = toAllergyEntries(text);
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    category: 'other',
+    type: 'allergy',
+    reaction: '',
+    severity: 'unknown',
+    verificationStatus: 'unconfirmed',
+    notes: '',
+    ...entry,
+  };
+};
+
+const run = async () => {
+  await connectDB();
+
+  let updates = [];
+  let updated = 0;
+  let converted = 0;
+
+  // The raw collection, since the schema no longer accepts string entries
+  const cursor = Patient.collection.find(
+    { allergies: { $type: 'string' } },
+    { projection: { allergies: 1 } }
+  );
+
+  for await (const patient of cursor) {
+    const allergies = patient.allergies
+      .filter((allergy) => typeof allergy !== 'string' || allergy.trim())
+      .map((allergy) => {
+        if (typeof allergy !== 'string') return allergy;
+        converted++;
+        return toStoredEntry(allergy);
+      });
+
+    updates.push({
+      updateOne: {
+        filter: { _id: patient._id },
+        update: { $set: { allergies } },
+      },
+    });
+
+    if (updates.length === BATCH_SIZE) {
+      await Patient.collection.bulkWrite(updates);
+      updated += updates.length;
+      updates = [];
+    }
+  }
+
+  if (updates.length > 0) {
+    await Patient.collection.bulkWrite(updates);
+    updated += updates.length;
+  }
+
+  console.log(`Converted ${converted} allergy entr${converted === 1 ? 'y' : 'ies'} on ${updated} patient(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
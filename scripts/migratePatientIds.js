@@ -0,0 +1,84 @@
+// Migration for the patient ID sequence.
+//
+// Before the sequence existed, users and patients were given separate random
+// IDs. This makes every User.patientId match its Patient record and clears
+// IDs from patient accounts that never got a profile (they get one when the
+// profile is created).
+//
+// With --reissue, every patient is also given a fresh ID from the sequence,
+// and their uploaded documents are moved to the matching folder.
+//
+// Usage: node scripts/migratePatientIds.js [--reissue]
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const Document = require('../models/Document');
+const { generatePatientId } = require('../utils/patientIds');
+
+dotenv.config();
+
+const reissue = process.argv.includes('--reissue');
+
+const moveDocuments = async (patient, oldId, newId) => {
+  const oldFolder = path.join('uploads', 'documents', oldId);
+  const newFolder = path.join('uploads', 'documents', newId);
+
+  if (fs.existsSync(oldFolder)) {
+    fs.mkdirSync(path.dirname(newFolder), { recursive: true });
+    fs.renameSync(oldFolder, newFolder);
+  }
+
+  const documents = await Document.find({ patient: patient._id });
+  for (const doc of documents) {
+    doc.url = path.join(newFolder, path.basename(doc.url));
+    await doc.save();
+  }
+};
+
+const run = async () => {
+  await connectDB();
+
+  const patients = await Patient.find({}).select('user patientId hospital');
+  const patientUserIds = patients.map((patient) => patient.user);
+
+  // Patient accounts without a profile keep no ID
+  const orphaned = await User.updateMany(
+    { _id: { $nin: patientUserIds }, patientId: { $exists: true } },
+    { $unset: { patientId: 1 } }
+  );
+  console.log(`Cleared patientId from ${orphaned.modifiedCount} user(s) without a patient record`);
+
+  // Clear every linked user's ID first so reassigning can't trip the unique index
+  await User.updateMany({ _id: { $in: patientUserIds } }, { $unset: { patientId: 1 } });
+
+  let reissued = 0;
+  for (const patient of patients) {
+    let { patientId } = patient;
+
+    if (reissue) {
+      const newId = await generatePatientId({ hospitalId: patient.hospital, date: patient._id.getTimestamp() });
+      await moveDocuments(patient, patientId, newId);
+      await Patient.updateOne({ _id: patient._id }, { patientId: newId });
+      patientId = newId;
+      reissued++;
+    }
+
+    await User.updateOne({ _id: patient.user }, { patientId });
+  }
+
+  console.log(`Linked ${patients.length} patient record(s) to their user's ID`);
+  if (reissue) {
+    console.log(`Reissued ${reissued} patient ID(s) from the sequence`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// Bring the database's indexes in line with the model definitions: builds
+// missing indexes and rebuilds ones whose options changed (e.g. the user
+// email index becoming sparse for managed dependent profiles).
+//
+// Usage: node scripts/syncIndexes.js
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  const modelsDir = path.join(__dirname, '..', 'models');
+  fs.readdirSync(modelsDir)
+    .filter((file) => file.endsWith('.js'))
+    .forEach((file) => require(path.join(modelsDir, file)));
+
+  for (const name of mongoose.modelNames()) {
+    const dropped = await mongoose.model(name).syncIndexes();
+    console.log(`${name}: indexes in sync${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Index sync failed:', error);
+  process.exit(1);
+});
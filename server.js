@@ -1,5 +1,9 @@
-const express = require('express');
 const dotenv = require('dotenv');
+
+// Load env vars first: several modules read their settings when required
+dotenv.config();
+
+const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
 const userRoutes = require('./routes/userRoutes');
@@ -10,15 +14,30 @@ const labReportRoutes = require('./routes/labReportRoutes');
 const prescriptionRoutes = require('./routes/prescriptionRoutes');
 const medicineRoutes = require('./routes/medicineRoutes');
 const hospitalRoutes = require('./routes/hospitalRoutes'); // Added hospital routes
+const adminRoutes = require('./routes/adminRoutes');
+const fhirRoutes = require('./routes/fhirRoutes');
 const cookieParser = require('cookie-parser');
 const path = require('path');
 const { errorHandler } = require('./middleware/errorMiddleware');
+const { startExportMaintenance } = require('./utils/patientExport');
+const { resumeInterruptedImports } = require('./utils/patientImport');
+const { checkMailTransport } = require('./utils/mailer');
 
-// Load env vars
-dotenv.config();
+// Refuse to start without a way to send email, rather than failing on the
+// first password reset
+try {
+  checkMailTransport();
+} catch (error) {
+  console.error(`Mail error: ${error.message}`);
+  process.exit(1);
+}
 
-// Connect to database
-connectDB();
+// Connect to database, then tidy up patient exports and imports left by the
+// last run
+connectDB().then(async () => {
+  await startExportMaintenance();
+  await resumeInterruptedImports();
+});
 
 const app = express();
 
@@ -35,9 +54,12 @@ app.use(cors({
   credentials: true
 }));
 
-// Log all requests for debugging
+// Log all requests for debugging. Export download and email verification
+// links carry their credential in the path, so it is left out.
+const TOKEN_PATHS = /(\/exports\/download\/|\/verify-email\/)[^/?]+/;
+
 app.use((req, res, next) => {
-  console.log(`${req.method} ${req.originalUrl}`);
+  console.log(`${req.method} ${req.originalUrl.replace(TOKEN_PATHS, '$1[redacted]')}`);
   next();
 });
 
@@ -50,6 +72,8 @@ app.use('/api/lab-reports', labReportRoutes);
 app.use('/api/prescriptions', prescriptionRoutes);
 app.use('/api/medicines', medicineRoutes);
 app.use('/api/hospitals', hospitalRoutes); // Added hospital routes
+app.use('/api/admin', adminRoutes);
+app.use('/fhir/R4', fhirRoutes);
 
 // Basic route
 app.get('/', (req, res) => {
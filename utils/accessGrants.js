@@ -0,0 +1,172 @@
+const AccessGrant = require('../models/AccessGrant');
+const Patient = require('../models/Patient');
+const {
+  ACCESS_SCOPES,
+  SCOPE_PERMISSIONS,
+  GRANT_SCOPED_ROLES,
+  hasPermission,
+} = require('../config/permissions');
+
+// How long an appointment or referral keeps a doctor's access open
+const APPOINTMENT_ACCESS_DAYS = parseInt(process.env.APPOINTMENT_ACCESS_DAYS) || 180;
+const REFERRAL_ACCESS_DAYS = parseInt(process.env.REFERRAL_ACCESS_DAYS) || 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const activeGrantQuery = () => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+// Give a treating doctor access from an appointment, open until
+// APPOINTMENT_ACCESS_DAYS after the visit. A grant that was revoked stays
+// revoked: only the patient can give that doctor access again. Scopes the
+// patient narrowed stay narrowed.
+const grantAppointmentAccess = async (appointment) => {
+  if (appointment.manualEntry || appointment.status === 'Cancelled' || !appointment.patient || !appointment.doctor) return;
+
+  const until = new Date(new Date(appointment.date).getTime() + APPOINTMENT_ACCESS_DAYS * DAY_MS);
+  const existing = await AccessGrant.findOne({
+    patient: appointment.patient,
+    grantee: appointment.doctor,
+    source: 'appointment',
+  });
+
+  if (!existing) {
+    await AccessGrant.create({
+      patient: appointment.patient,
+      grantee: appointment.doctor,
+      source: 'appointment',
+      expiresAt: until,
+    });
+    return;
+  }
+
+  if (existing.revokedAt) return;
+
+  if (!existing.expiresAt || existing.expiresAt < until) {
+    existing.expiresAt = until;
+    await existing.save();
+  }
+};
+
+// Give the doctor a patient was referred to access, open for
+// REFERRAL_ACCESS_DAYS. Returns null when that referral was revoked; only the
+// patient can give that doctor access again.
+const grantReferralAccess = async ({ patient, grantee, referredBy, scopes, note }) => {
+  if (await AccessGrant.exists({ patient, grantee, source: 'referral', revokedAt: { $ne: null } })) {
+    return null;
+  }
+
+  return AccessGrant.findOneAndUpdate(
+    { patient, grantee, source: 'referral' },
+    {
+      $set: {
+        scopes: scopes || ACCESS_SCOPES,
+        expiresAt: new Date(Date.now() + REFERRAL_ACCESS_DAYS * DAY_MS),
+        grantedBy: referredBy,
+        note: note || '',
+      },
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+// Query clause keeping a hospital-bound API key to its own facility's
+// patients: on Patient `field` is `hospital`, on the records that belong to a
+// patient the `patientHospital` copy. Empty for everyone else.
+const facilityFilter = (user, field = 'patientHospital') => (user.hospital ? { [field]: user.hospital } : {});
+
+// True when a hospital-bound API key is used on another facility's patient
+const outsideFacility = async (user, patient) => Boolean(user.hospital) &&
+  !(await Patient.exists({ _id: patient._id, hospital: user.hospital }));
+
+const hasActiveGrant = async (user, patient, scope) => Boolean(await AccessGrant.exists({
+  patient: patient._id,
+  grantee: user._id,
+  scopes: scope,
+  ...activeGrantQuery(),
+}));
+
+// Chart scopes `user` may read for `patient` (a Patient document). Roles
+// outside GRANT_SCOPED_ROLES, the patient themselves and API keys are only
+// limited by their permissions; grant-scoped roles also need an active grant,
+// and hospital-bound API keys only reach their own facility's patients.
+const readableScopes = async (user, patient) => {
+  const ownerId = patient.user && patient.user._id ? patient.user._id : patient.user;
+  const permitted = ACCESS_SCOPES.filter((scope) =>
+    hasPermission(user, SCOPE_PERMISSIONS[scope], { ownerId })
+  );
+
+  if (permitted.length > 0 && (await outsideFacility(user, patient))) {
+    return [];
+  }
+
+  if (user.apiKey || !GRANT_SCOPED_ROLES.includes(user.role) || permitted.length === 0) {
+    return permitted;
+  }
+
+  const grants = await AccessGrant.find({
+    patient: patient._id,
+    grantee: user._id,
+    ...activeGrantQuery(),
+  }).select('scopes');
+
+  const granted = new Set(grants.flatMap((grant) => grant.scopes));
+  return permitted.filter((scope) => granted.has(scope));
+};
+
+const canReadChart = async (user, patient, scope) => {
+  const scopes = await readableScopes(user, patient);
+  return scopes.includes(scope);
+};
+
+// Whether `user` may add to or change `scope` of `patient`'s chart. The
+// caller checks the write permission itself; this adds the same grant and
+// facility limits reads have, without requiring read permissions (front
+// desk staff update demographics they can't otherwise read).
+const canWriteChart = async (user, patient, scope) => {
+  if (await outsideFacility(user, patient)) return false;
+  if (user.apiKey || !GRANT_SCOPED_ROLES.includes(user.role)) return true;
+  return hasActiveGrant(user, patient, scope);
+};
+
+// For a single record: whoever wrote it (the prescribing or requesting
+// doctor) may read it back; anyone else needs the chart scope
+const canReadRecord = async (user, patient, scope, authorId) => {
+  const author = authorId && authorId._id ? authorId._id : authorId;
+  if (author && author.toString() === user._id.toString() &&
+      hasPermission(user, SCOPE_PERMISSIONS[scope])) {
+    return true;
+  }
+
+  return canReadChart(user, patient, scope);
+};
+
+// Patients whose `scope` a grant-scoped user may read, for narrowing list
+// queries. Returns null when the user isn't limited to particular patients;
+// hospital-bound API keys are narrowed with facilityFilter instead.
+const grantedPatientIds = async (user, scope) => {
+  if (user.apiKey || !GRANT_SCOPED_ROLES.includes(user.role)) return null;
+
+  const grants = await AccessGrant.find({
+    grantee: user._id,
+    scopes: scope,
+    ...activeGrantQuery(),
+  }).select('patient');
+
+  return grants.map((grant) => grant.patient);
+};
+
+module.exports = {
+  APPOINTMENT_ACCESS_DAYS,
+  REFERRAL_ACCESS_DAYS,
+  grantAppointmentAccess,
+  grantReferralAccess,
+  facilityFilter,
+  readableScopes,
+  canReadChart,
+  canWriteChart,
+  canReadRecord,
+  grantedPatientIds,
+};
@@ -0,0 +1,33 @@
+const { createUserToken } = require('./userTokens');
+const { sendMail } = require('./mailer');
+
+// Email a fresh verification link. The link points straight at the API,
+// which marks the account verified.
+const sendVerificationEmail = async (user, req) => {
+  const token = await createUserToken(user._id, 'email-verification');
+  const link = `${req.protocol}://${req.get('host')}/api/users/verify-email/${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your SehatNama email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n${link}\n`,
+  });
+};
+
+// Email a single-use password reset link. `forced` is for resets required by an admin.
+const sendPasswordResetEmail = async (user, { forced = false } = {}) => {
+  const token = await createUserToken(user._id, 'password-reset');
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const intro = forced
+    ? 'An administrator has required you to choose a new password before you can log in again.'
+    : 'Use the link below to choose a new password.';
+  const outro = forced ? '' : '\nIf you did not ask for this, you can ignore this email.\n';
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your SehatNama password',
+    text: `Hi ${user.firstName},\n\n${intro} The link expires in 1 hour and can be used once.\n\n${clientUrl}/reset-password?token=${token}\n${outro}`,
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,125 @@
+const { drugClassOf } = require('../config/drugClasses');
+
+// Fields clients may set on an allergy entry
+const ALLERGY_EDITABLE = [
+  'substance',
+  'medicine',
+  'drugClass',
+  'category',
+  'type',
+  'reaction',
+  'severity',
+  'verificationStatus',
+  'notes',
+];
+
+// Entries that no longer describe a real allergy
+const INACTIVE_STATUSES = ['refuted', 'entered-in-error'];
+
+// Conflicts at these severities stop a prescription unless overridden; an
+// unknown severity is treated as the worst case
+const BLOCKING_SEVERITIES = ['severe', 'life-threatening', 'unknown'];
+
+const normalize = (value) => String(value || '').toLowerCase().trim();
+
+// Fill in the drug class, and the category it implies, from the substance
+const inferDrugClass = (entry) => {
+  if (!entry.drugClass) {
+    const drugClass = drugClassOf(entry.substance);
+    if (drugClass) entry.drugClass = drugClass;
+  }
+  if (entry.drugClass && (!entry.category || entry.category === 'other')) {
+    entry.category = 'drug';
+  }
+  return entry;
+};
+
+// Allergy entries from request input: either structured objects or the
+// legacy free-text strings, e.g. "Penicillin - rash"
+const toAllergyEntries = (input, userId) => {
+  const list = Array.isArray(input) ? input : [input];
+
+  return list
+    .filter((item) => item && (typeof item === 'string' || item.substance))
+    .map((item) => {
+      const entry = { recordedBy: userId, recordedAt: new Date() };
+
+      if (typeof item === 'string') {
+        const [substance, ...reaction] = item.split(/\s+[-–:]\s+/);
+        entry.substance = substance.trim();
+        if (reaction.length > 0) entry.reaction = reaction.join(' - ').trim();
+      } else {
+        ALLERGY_EDITABLE.forEach((key) => {
+          if (item[key] !== undefined) entry[key] = item[key];
+        });
+      }
+
+      return inferDrugClass(entry);
+    });
+};
+
+// True when medicine `name` is the allergen `substance` or a form of it,
+// e.g. "Amoxicillin 500mg" for "amoxicillin"
+const namesMatch = (name, substance) => {
+  const value = normalize(name);
+  const allergen = normalize(substance);
+  return Boolean(allergen) && (value === allergen || value.startsWith(`${allergen} `));
+};
+
+// How a medication conflicts with an allergy, or null
+const conflictReason = (medicationName, allergy) => {
+  if (namesMatch(medicationName, allergy.substance)) return 'substance';
+  if (allergy.medicine && allergy.medicine.name && namesMatch(medicationName, allergy.medicine.name)) {
+    return 'medicine';
+  }
+
+  const allergyClass = allergy.drugClass || drugClassOf(allergy.substance);
+  if (allergyClass && allergyClass === drugClassOf(medicationName)) return 'drugClass';
+
+  return null;
+};
+
+// Medications that conflict with the patient's recorded allergies. Each
+// conflict names the medication, the allergy and how they matched.
+const findAllergyConflicts = async (patient, medications) => {
+  if (patient.allergies.length === 0 || !Array.isArray(medications)) return [];
+
+  await patient.populate('allergies.medicine', 'name category');
+
+  const allergies = patient.allergies.filter(
+    (allergy) => !INACTIVE_STATUSES.includes(allergy.verificationStatus)
+  );
+
+  const conflicts = [];
+  medications.forEach((medication) => {
+    const name = medication && medication.name;
+    if (!name) return;
+
+    allergies.forEach((allergy) => {
+      const match = conflictReason(name, allergy);
+      if (!match) return;
+
+      conflicts.push({
+        medication: name,
+        allergyId: allergy._id,
+        substance: allergy.substance,
+        drugClass: allergy.drugClass || null,
+        reaction: allergy.reaction,
+        severity: allergy.severity,
+        verificationStatus: allergy.verificationStatus,
+        match,
+        blocking: BLOCKING_SEVERITIES.includes(allergy.severity),
+      });
+    });
+  });
+
+  return conflicts;
+};
+
+module.exports = {
+  ALLERGY_EDITABLE,
+  BLOCKING_SEVERITIES,
+  inferDrugClass,
+  toAllergyEntries,
+  findAllergyConflicts,
+};
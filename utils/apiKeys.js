@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { hashToken } = require('./refreshTokens');
+
+const KEY_PREFIX = 'snk_';
+
+// Returns the plaintext key (shown to the admin once) and what gets stored
+const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, 12), keyHash: hashToken(key) };
+};
+
+// Resolve an X-API-Key header to a request principal, or null. The principal
+// stands in for `req.user`; `hasPermission` reads its `apiKey.permissions`.
+const apiKeyPrincipal = async (key, req) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+  if (!apiKey || !apiKey.isUsable()) return null;
+
+  // Usage tracking must not hold up or fail the request
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip || '' }, $inc: { requestCount: 1 } }
+  ).catch((error) => console.error('Failed to record API key usage:', error));
+
+  return {
+    _id: apiKey._id,
+    role: 'apiKey',
+    firstName: apiKey.name,
+    lastName: '(API key)',
+    email: '',
+    apiKey,
+    hospital: apiKey.hospital,
+  };
+};
+
+module.exports = { generateApiKey, apiKeyPrincipal };
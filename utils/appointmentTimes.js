@@ -0,0 +1,24 @@
+// Appointments keep a calendar date and a separate "09:30 AM" style time.
+// This combines the two into the instant the appointment starts; a time
+// that can't be read leaves the start at the date itself.
+const appointmentStart = (appointment) => {
+  const start = new Date(appointment.date);
+  const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec(String(appointment.time || '').trim());
+  if (match) {
+    let hours = parseInt(match[1]);
+    const meridiem = match[3] && match[3].toUpperCase();
+    if (meridiem === 'PM' && hours < 12) hours += 12;
+    if (meridiem === 'AM' && hours === 12) hours = 0;
+    start.setHours(hours, parseInt(match[2]), 0, 0);
+  }
+  return start;
+};
+
+// "09:30 AM" style time of day for an instant
+const formatTimeOfDay = (date) => {
+  const hours = date.getHours();
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${String(hours % 12 || 12).padStart(2, '0')}:${minutes} ${hours < 12 ? 'AM' : 'PM'}`;
+};
+
+module.exports = { appointmentStart, formatTimeOfDay };
@@ -0,0 +1,83 @@
+// Minimal RFC 4180 CSV reading and writing: quoted fields, doubled quotes,
+// and line breaks inside quotes.
+
+// Parse CSV text into rows of strings. Each row also records the line it
+// started on, for error messages.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // A byte order mark would end up in the first header otherwise
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+
+  // Skip blank lines
+  return rows.filter(({ values }) => values.some((value) => value.trim() !== ''));
+};
+
+// Parse CSV with a header row into objects keyed by header
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { headers: [], records: [] };
+
+  const headers = header.values.map((name) => name.trim());
+  const records = rows.map(({ line, values }) => ({
+    line,
+    values: Object.fromEntries(headers.map((name, index) => [name, (values[index] || '').trim()])),
+  }));
+
+  return { headers, records };
+};
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turn an array of arrays into CSV text
+const toCsv = (rows) => rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv,
+};
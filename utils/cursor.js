@@ -0,0 +1,41 @@
+// Opaque keyset-pagination cursors: the sort value and _id of the last item
+// on a page, base64url-encoded so clients pass them back untouched
+
+const encodeCursor = (value, id) => {
+  const v = value instanceof Date ? { d: value.toISOString() } : value;
+  return Buffer.from(JSON.stringify({ v, id: String(id) })).toString('base64url');
+};
+
+// Returns { value, id } or null when the cursor is missing or malformed
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!/^[0-9a-fA-F]{24}$/.test(id)) return null;
+
+    const value = v && typeof v === 'object' && v.d ? new Date(v.d) : v;
+    return { value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query clause selecting everything after (value, id) in the given direction,
+// with _id breaking ties between equal sort values
+const afterCursor = (field, direction, { value, id }) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } },
+    ],
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+};
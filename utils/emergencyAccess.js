@@ -0,0 +1,70 @@
+const AccessGrant = require('../models/AccessGrant');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const { ACCESS_SCOPES } = require('../config/permissions');
+const { sendMail } = require('./mailer');
+const { logSecurityEvent } = require('./securityLog');
+
+const EMERGENCY_ACCESS_MINUTES = parseInt(process.env.EMERGENCY_ACCESS_MINUTES) || 60;
+const MIN_REASON_LENGTH = 20;
+
+// Tell the patient someone opened their chart in an emergency. Failure to
+// send must not hold up emergency care, so it is only logged.
+const notifyPatient = async (patient, user, event) => {
+  try {
+    if (!patient.user || !patient.user.email) return false;
+
+    await sendMail({
+      to: patient.user.email,
+      subject: 'Emergency access to your SehatNama record',
+      text: `Hi ${patient.user.firstName},\n\n${user.firstName} ${user.lastName} used emergency access to open your medical record on ${event.createdAt.toUTCString()}.\n\nReason given: ${event.reason}\n\nEvery emergency access is reviewed by our compliance team. Access ends automatically on ${event.expiresAt.toUTCString()}. You can see and revoke who has access to your record from your account.\n`,
+    });
+    return true;
+  } catch (error) {
+    console.error('Failed to notify patient of emergency access:', error);
+    return false;
+  }
+};
+
+// Open a time-boxed, full-scope override of the patient's access grants for
+// `user`, record it for review and tell the patient. `patient` needs its user
+// populated.
+const openEmergencyAccess = async ({ patient, user, reason, ip }) => {
+  const expiresAt = new Date(Date.now() + EMERGENCY_ACCESS_MINUTES * 60 * 1000);
+
+  await AccessGrant.findOneAndUpdate(
+    { patient: patient._id, grantee: user._id, source: 'emergency' },
+    {
+      $set: { scopes: ACCESS_SCOPES, expiresAt, grantedBy: user._id, note: reason },
+      $unset: { revokedAt: 1, revokedBy: 1 },
+    },
+    { upsert: true, runValidators: true }
+  );
+
+  const event = await EmergencyAccess.create({
+    patient: patient._id,
+    user: user._id,
+    reason,
+    ip,
+    expiresAt,
+  });
+
+  if (await notifyPatient(patient, user, event)) {
+    event.patientNotifiedAt = new Date();
+    await event.save();
+  }
+
+  await logSecurityEvent('patient.emergency-access', {
+    user: patient.user ? patient.user._id : undefined,
+    ip,
+    actor: user._id,
+    details: { emergencyAccess: event._id, patientId: patient.patientId, reason },
+  });
+
+  return event;
+};
+
+module.exports = {
+  EMERGENCY_ACCESS_MINUTES,
+  MIN_REASON_LENGTH,
+  openEmergencyAccess,
+};
@@ -0,0 +1,4 @@
+// Escape user input before putting it in a $regex query
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
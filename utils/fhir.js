@@ -0,0 +1,320 @@
+const path = require('path');
+const { appointmentStart } = require('./appointmentTimes');
+
+// Mapping between our records and FHIR R4 resources, plus the Bundle,
+// OperationOutcome and search parameter plumbing the /fhir/R4 API shares.
+
+const FHIR_VERSION = '4.0.1';
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+// Identifier systems for our own IDs
+const IDENTIFIER_SYSTEMS = {
+  patientId: 'urn:sehatnama:patient-id',
+  cnic: 'urn:sehatnama:cnic',
+};
+
+const DEFAULT_COUNT = 20;
+const MAX_COUNT = 100;
+
+// Internal status -> FHIR status, per resource
+const STATUS_MAPS = {
+  Appointment: {
+    Scheduled: 'booked',
+    'In Progress': 'arrived',
+    Completed: 'fulfilled',
+    Cancelled: 'cancelled',
+  },
+  MedicationRequest: {
+    Active: 'active',
+    Completed: 'completed',
+    Cancelled: 'cancelled',
+  },
+  DiagnosticReport: {
+    Pending: 'registered',
+    'In Progress': 'partial',
+    Completed: 'final',
+    Cancelled: 'cancelled',
+  },
+  Observation: {
+    Pending: 'registered',
+    'In Progress': 'preliminary',
+    Completed: 'final',
+    Cancelled: 'cancelled',
+  },
+};
+
+// Internal statuses matching a FHIR `status` search value (comma = any of)
+const internalStatuses = (resourceType, value) => {
+  const wanted = String(value).split(',').map((status) => status.trim());
+  return Object.entries(STATUS_MAPS[resourceType])
+    .filter(([, fhirStatus]) => wanted.includes(fhirStatus))
+    .map(([status]) => status);
+};
+
+const INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const INTERPRETATIONS = {
+  Normal: { code: 'N', display: 'Normal' },
+  Abnormal: { code: 'A', display: 'Abnormal' },
+  Critical: { code: 'AA', display: 'Critical abnormal' },
+};
+
+const reference = (type, id, display) => ({
+  reference: `${type}/${id}`,
+  ...(display ? { display } : {}),
+});
+
+const personName = (user) => (user && user.firstName ? `${user.firstName} ${user.lastName}` : undefined);
+
+const practitionerReference = (user) => (user && user._id
+  ? reference('Practitioner', user._id, personName(user))
+  : undefined);
+
+const patientReference = (patient) => reference('Patient', patient.patientId, personName(patient.user));
+
+const meta = (record) => (record.updatedAt ? { lastUpdated: new Date(record.updatedAt).toISOString() } : undefined);
+
+// Drop undefined keys so resources only carry the elements we have
+const compact = (resource) => JSON.parse(JSON.stringify(resource));
+
+// `patient.user` must be populated
+const toFhirPatient = (patient) => {
+  const { user } = patient;
+  const identifier = [{ use: 'usual', system: IDENTIFIER_SYSTEMS.patientId, value: patient.patientId }];
+  if (patient.cnic) identifier.push({ use: 'official', system: IDENTIFIER_SYSTEMS.cnic, value: patient.cnic });
+
+  const telecom = [];
+  if (patient.contact) telecom.push({ system: 'phone', value: patient.contact, use: 'mobile' });
+  if (user && user.email) telecom.push({ system: 'email', value: user.email });
+
+  return compact({
+    resourceType: 'Patient',
+    id: patient.patientId,
+    meta: meta(patient),
+    identifier,
+    active: !patient.archivedAt && !patient.mergedInto,
+    name: user ? [{ use: 'official', family: user.lastName, given: [user.firstName], text: personName(user) }] : undefined,
+    telecom: telecom.length > 0 ? telecom : undefined,
+    gender: patient.gender ? patient.gender.toLowerCase() : undefined,
+    address: patient.address ? [{ text: patient.address }] : undefined,
+    contact: patient.emergencyContact
+      ? [{
+        relationship: [{
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0131', code: 'C', display: 'Emergency Contact' }],
+        }],
+        name: { text: patient.emergencyContact },
+      }]
+      : undefined,
+  });
+};
+
+// `appointment.patient` (with user) and `appointment.doctor` must be populated
+const toFhirAppointment = (appointment) => compact({
+  resourceType: 'Appointment',
+  id: appointment._id.toString(),
+  meta: meta(appointment),
+  status: STATUS_MAPS.Appointment[appointment.status],
+  description: appointment.purpose,
+  start: appointmentStart(appointment).toISOString(),
+  comment: appointment.notes || undefined,
+  participant: [
+    { actor: patientReference(appointment.patient), status: 'accepted' },
+    ...(appointment.doctor
+      ? [{ actor: practitionerReference(appointment.doctor), status: 'accepted' }]
+      : []),
+  ],
+});
+
+// One MedicationRequest per medication on a prescription
+const medicationRequestId = (prescription, medication) => `${prescription._id}-${medication._id}`;
+
+const toFhirMedicationRequest = (prescription, medication) => compact({
+  resourceType: 'MedicationRequest',
+  id: medicationRequestId(prescription, medication),
+  meta: meta(prescription),
+  groupIdentifier: { value: prescription._id.toString() },
+  status: STATUS_MAPS.MedicationRequest[prescription.status],
+  intent: 'order',
+  medicationCodeableConcept: { text: medication.name },
+  subject: patientReference(prescription.patient),
+  authoredOn: new Date(prescription.date).toISOString(),
+  requester: practitionerReference(prescription.doctor),
+  note: prescription.notes ? [{ text: prescription.notes }] : undefined,
+  dosageInstruction: [{
+    text: [medication.dosage, medication.frequency, medication.duration && `for ${medication.duration}`]
+      .filter(Boolean)
+      .join(', '),
+  }],
+});
+
+// One Observation per lab result
+const observationId = (report, result) => `${report._id}-${result._id}`;
+
+// Numeric results become quantities, anything else ("Positive") a string
+const observationValue = (result) => {
+  const value = String(result.value).trim();
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return { valueQuantity: { value: Number(value), unit: result.unit || undefined } };
+  }
+  return { valueString: value };
+};
+
+const toFhirObservation = (report, result) => compact({
+  resourceType: 'Observation',
+  id: observationId(report, result),
+  meta: meta(report),
+  status: STATUS_MAPS.Observation[report.status],
+  category: [{
+    coding: [{
+      system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+      code: 'laboratory',
+      display: 'Laboratory',
+    }],
+  }],
+  code: { text: result.test },
+  subject: patientReference(report.patient),
+  effectiveDateTime: new Date(report.date).toISOString(),
+  performer: practitionerReference(report.requestedBy) ? [practitionerReference(report.requestedBy)] : undefined,
+  ...observationValue(result),
+  interpretation: INTERPRETATIONS[result.status]
+    ? [{ coding: [{ system: INTERPRETATION_SYSTEM, ...INTERPRETATIONS[result.status] }] }]
+    : undefined,
+  referenceRange: result.normalRange ? [{ text: result.normalRange }] : undefined,
+  derivedFrom: [reference('DiagnosticReport', report._id)],
+});
+
+const toFhirDiagnosticReport = (report) => compact({
+  resourceType: 'DiagnosticReport',
+  id: report._id.toString(),
+  meta: meta(report),
+  status: STATUS_MAPS.DiagnosticReport[report.status],
+  category: [{
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0074', code: 'LAB', display: 'Laboratory' }],
+  }],
+  code: { text: report.type },
+  subject: patientReference(report.patient),
+  effectiveDateTime: new Date(report.date).toISOString(),
+  issued: report.updatedAt ? new Date(report.updatedAt).toISOString() : undefined,
+  performer: [{ display: report.lab }],
+  resultsInterpreter: practitionerReference(report.requestedBy) ? [practitionerReference(report.requestedBy)] : undefined,
+  result: report.results.map((result) => reference('Observation', observationId(report, result), result.test)),
+  conclusion: report.notes || undefined,
+});
+
+const toFhirDocumentReference = (doc) => compact({
+  resourceType: 'DocumentReference',
+  id: doc._id.toString(),
+  meta: meta(doc),
+  status: 'current',
+  type: { text: doc.type },
+  category: doc.tags && doc.tags.length > 0 ? doc.tags.map((tag) => ({ text: tag })) : undefined,
+  subject: patientReference(doc.patient),
+  date: new Date(doc.date).toISOString(),
+  author: practitionerReference(doc.uploadedBy) ? [practitionerReference(doc.uploadedBy)] : undefined,
+  description: doc.title,
+  content: [{
+    attachment: {
+      contentType: doc.fileType,
+      url: `/uploads/documents/${doc.patient.patientId}/${path.basename(doc.url)}`,
+      title: doc.title,
+      creation: new Date(doc.date).toISOString(),
+    },
+  }],
+});
+
+const operationOutcome = (severity, code, diagnostics) => ({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity, code, diagnostics }],
+});
+
+// FHIR date search, e.g. date=ge2024-01-01&date=lt2024-07-01. Returns a
+// Mongo range condition or { error }. A bare date matches that whole day.
+const DATE_PREFIXES = ['eq', 'ge', 'gt', 'le', 'lt'];
+
+const parseDateParam = (param) => {
+  const values = Array.isArray(param) ? param : [param];
+  const condition = {};
+
+  for (const raw of values) {
+    const hasPrefix = DATE_PREFIXES.includes(String(raw).slice(0, 2));
+    const prefix = hasPrefix ? String(raw).slice(0, 2) : 'eq';
+    const text = hasPrefix ? String(raw).slice(2) : String(raw);
+    const date = new Date(text);
+
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid date search value "${raw}"` };
+    }
+
+    // Date-only values cover the whole day
+    const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+    const end = dayOnly ? new Date(date.getTime() + 24 * 60 * 60 * 1000) : date;
+
+    if (prefix === 'eq') {
+      condition.$gte = date;
+      if (dayOnly) condition.$lt = end;
+      else condition.$lte = date;
+    }
+    if (prefix === 'ge') condition.$gte = date;
+    if (prefix === 'gt') condition[dayOnly ? '$gte' : '$gt'] = end;
+    if (prefix === 'le') condition[dayOnly ? '$lt' : '$lte'] = end;
+    if (prefix === 'lt') condition.$lt = date;
+  }
+
+  return { condition };
+};
+
+// Paging from _count and _offset
+const pagingParams = (query) => {
+  const count = Math.min(Math.max(parseInt(query._count) || DEFAULT_COUNT, 1), MAX_COUNT);
+  const offset = Math.max(parseInt(query._offset) || 0, 0);
+  return { count, offset };
+};
+
+// searchset Bundle with self/next/previous links. `req` gives the base URL
+// and the search parameters to repeat in the links.
+const searchBundle = (req, { resources, total, count, offset }) => {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  const pageUrl = (pageOffset) => {
+    const params = new URLSearchParams();
+    Object.entries(req.query).forEach(([key, value]) => {
+      if (key === '_offset' || key === '_count') return;
+      (Array.isArray(value) ? value : [value]).forEach((item) => params.append(key, item));
+    });
+    params.set('_count', count);
+    params.set('_offset', pageOffset);
+    return `${base}${req.path}?${params.toString()}`;
+  };
+
+  const link = [{ relation: 'self', url: pageUrl(offset) }];
+  if (offset + count < total) link.push({ relation: 'next', url: pageUrl(offset + count) });
+  if (offset > 0) link.push({ relation: 'previous', url: pageUrl(Math.max(offset - count, 0)) });
+
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total,
+    link,
+    entry: resources.map((resource) => ({
+      fullUrl: `${base}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' },
+    })),
+  };
+};
+
+module.exports = {
+  FHIR_VERSION,
+  FHIR_CONTENT_TYPE,
+  IDENTIFIER_SYSTEMS,
+  STATUS_MAPS,
+  internalStatuses,
+  toFhirPatient,
+  toFhirAppointment,
+  toFhirMedicationRequest,
+  toFhirObservation,
+  toFhirDiagnosticReport,
+  toFhirDocumentReference,
+  operationOutcome,
+  parseDateParam,
+  pagingParams,
+  searchBundle,
+};
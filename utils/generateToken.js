@@ -1,9 +1,11 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+// Short-lived access token. `sid` ties it to a refresh-token family so that
+// `protect` can reject it once the session is revoked.
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
   });
 };
 
-module.exports = generateToken;
\ No newline at end of file
+module.exports = generateToken;
@@ -0,0 +1,66 @@
+const Guardianship = require('../models/Guardianship');
+const Patient = require('../models/Patient');
+
+const AGE_OF_MAJORITY = 18;
+
+const activeGuardianshipQuery = () => {
+  const now = new Date();
+  return {
+    revokedAt: null,
+    consentDate: { $lte: now },
+    $or: [{ endsAt: null }, { endsAt: { $gt: now } }],
+  };
+};
+
+// Patients `userId` currently manages as a guardian
+const managedPatientsFor = async (userId) => {
+  const guardianships = await Guardianship.find({ guardian: userId, ...activeGuardianshipQuery() })
+    .populate({ path: 'patient', populate: { path: 'user', select: 'firstName lastName' } });
+
+  return guardianships.filter((guardianship) => guardianship.patient && !guardianship.patient.archivedAt);
+};
+
+// User accounts of the patients `userId` manages. The auth middleware puts
+// these on `req.user.managedUserIds`, so `:own` permissions cover dependents.
+const managedUserIdsFor = async (userId) => {
+  const guardianships = await Guardianship.find({ guardian: userId, ...activeGuardianshipQuery() })
+    .populate('patient', 'user');
+
+  return guardianships
+    .filter((guardianship) => guardianship.patient)
+    .map((guardianship) => guardianship.patient.user);
+};
+
+// Default end of a guardianship over a minor: when they come of age
+const majorityDate = (age) => {
+  const years = AGE_OF_MAJORITY - parseInt(age);
+  if (isNaN(years) || years <= 0) return undefined;
+
+  const date = new Date();
+  date.setFullYear(date.getFullYear() + years);
+  return date;
+};
+
+// The patient a patient-facing request is about: the caller's own profile,
+// or with `?patientId=` one of the dependents they manage. Null if neither.
+const resolveActingPatient = async (req) => {
+  const { patientId } = req.query;
+
+  if (!patientId) {
+    return Patient.findOne({ user: req.user._id });
+  }
+
+  const patient = await Patient.findOne({ patientId });
+  const owners = [req.user._id, ...(req.user.managedUserIds || [])].map((id) => id.toString());
+
+  return patient && owners.includes(patient.user.toString()) ? patient : null;
+};
+
+module.exports = {
+  AGE_OF_MAJORITY,
+  activeGuardianshipQuery,
+  managedPatientsFor,
+  managedUserIdsFor,
+  majorityDate,
+  resolveActingPatient,
+};
@@ -0,0 +1,509 @@
+const { parseCsvRecords } = require('./csv');
+const { STATUS_MAPS } = require('./fhir');
+const { PROFILE_PLACEHOLDER } = require('../config/patientProfile');
+const { formatTimeOfDay } = require('./appointmentTimes');
+
+// Turn an import file into plain records the importer validates and runs:
+//   { kind, location, externalId, patientRef, doctorEmail, data, warnings }
+// `data` holds the fields of our model; dates stay as given until validation.
+
+// Fields a CSV mapping can point at a column. Every row has a recordType
+// (patient unless given) and externalId; history rows also name their
+// patient and, optionally, the doctor.
+const CSV_FIELDS = [
+  'recordType', 'externalId', 'patientExternalId', 'doctorEmail',
+  // Patients
+  'firstName', 'lastName', 'email', 'age', 'birthDate', 'gender', 'bloodGroup',
+  'contact', 'cnic', 'address', 'emergencyContact', 'condition', 'allergies',
+  // Shared by history rows
+  'date', 'status', 'notes',
+  // Appointments
+  'time', 'purpose',
+  // Prescriptions, one medication per line
+  'medication', 'dosage', 'frequency', 'duration',
+  // Lab reports, one result per line
+  'testType', 'lab', 'test', 'value', 'unit', 'normalRange', 'resultStatus',
+];
+
+const RECORD_KINDS = {
+  patient: 'patient',
+  appointment: 'appointment',
+  prescription: 'prescription',
+  labreport: 'labReport',
+  'lab report': 'labReport',
+  lab_report: 'labReport',
+};
+
+const GENDERS = { m: 'Male', male: 'Male', f: 'Female', female: 'Female', o: 'Other', other: 'Other' };
+
+const normalizeGender = (value) => GENDERS[String(value || '').trim().toLowerCase()] || value;
+
+// Whole years between a birth date and today, or undefined
+const ageFrom = (birthDate) => {
+  const born = new Date(birthDate);
+  if (!birthDate || isNaN(born.getTime())) return undefined;
+
+  const today = new Date();
+  let age = today.getFullYear() - born.getFullYear();
+  if (today.getMonth() < born.getMonth() ||
+      (today.getMonth() === born.getMonth() && today.getDate() < born.getDate())) {
+    age--;
+  }
+  return age;
+};
+
+// Required demographics legacy systems often leave blank are filled with a
+// placeholder so the patient can still be imported, with a warning. The
+// patient is asked for them when they next sign in.
+const DEMOGRAPHIC_DEFAULTS = ['bloodGroup', 'contact', 'address', 'emergencyContact'];
+
+const fillMissingDemographics = (record) => {
+  DEMOGRAPHIC_DEFAULTS.forEach((field) => {
+    if (!record.data[field]) {
+      record.data[field] = PROFILE_PLACEHOLDER;
+      record.warnings.push(`No ${field} given; recorded as "${PROFILE_PLACEHOLDER}"`);
+    }
+  });
+  return record;
+};
+
+const newRecord = (kind, location, fields = {}) => ({
+  kind,
+  location,
+  externalId: undefined,
+  patientRef: undefined,
+  doctorEmail: undefined,
+  data: {},
+  warnings: [],
+  ...fields,
+});
+
+// Records from CSV text. `mapping` maps our field names to column headers;
+// unmapped fields are read from a column of the same name.
+const csvToRecords = (text, mapping = {}) => {
+  const { headers, records: lines } = parseCsvRecords(text);
+
+  const column = (field) => mapping[field] || field;
+  if (!headers.includes(column('externalId'))) {
+    throw new Error(`The file has no "${column('externalId')}" column for external IDs`);
+  }
+
+  const records = [];
+  // Prescriptions and lab reports can span lines that share an external ID
+  const multiLine = new Map();
+
+  lines.forEach(({ line, values }) => {
+    const get = (field) => values[column(field)] || '';
+    const kindName = (get('recordType') || 'patient').toLowerCase();
+    const kind = RECORD_KINDS[kindName] || 'unsupported';
+    const externalId = get('externalId') || undefined;
+
+    if (kind === 'unsupported') {
+      records.push(newRecord(kind, `line ${line}`, { externalId, data: { recordType: kindName } }));
+      return;
+    }
+
+    if (kind === 'patient') {
+      const age = get('age') !== '' ? Number(get('age')) : ageFrom(get('birthDate'));
+      records.push(fillMissingDemographics(newRecord(kind, `line ${line}`, {
+        externalId,
+        data: {
+          firstName: get('firstName'),
+          lastName: get('lastName'),
+          email: get('email') || undefined,
+          age,
+          gender: normalizeGender(get('gender')),
+          bloodGroup: get('bloodGroup'),
+          contact: get('contact'),
+          cnic: get('cnic') || undefined,
+          address: get('address'),
+          emergencyContact: get('emergencyContact'),
+          condition: get('condition'),
+          allergies: get('allergies').split(';').map((allergy) => allergy.trim()).filter(Boolean),
+        },
+      })));
+      return;
+    }
+
+    const shared = {
+      externalId,
+      patientRef: get('patientExternalId') || undefined,
+      doctorEmail: get('doctorEmail').toLowerCase() || undefined,
+    };
+
+    if (kind === 'appointment') {
+      records.push(newRecord(kind, `line ${line}`, {
+        ...shared,
+        data: {
+          date: get('date'),
+          time: get('time'),
+          purpose: get('purpose'),
+          notes: get('notes'),
+          status: get('status') || undefined,
+        },
+      }));
+      return;
+    }
+
+    const groupKey = externalId && `${kind}:${externalId}`;
+    let record = groupKey && multiLine.get(groupKey);
+
+    if (record) {
+      record.location = `${record.location}, ${line}`;
+    } else {
+      record = newRecord(kind, `line ${line}`, {
+        ...shared,
+        data: kind === 'prescription'
+          ? { date: get('date'), notes: get('notes'), status: get('status') || undefined, medications: [] }
+          : {
+            type: get('testType'),
+            lab: get('lab'),
+            date: get('date'),
+            notes: get('notes'),
+            status: get('status') || undefined,
+            results: [],
+          },
+      });
+      if (groupKey) multiLine.set(groupKey, record);
+      records.push(record);
+    }
+
+    if (kind === 'prescription' && get('medication')) {
+      record.data.medications.push({
+        name: get('medication'),
+        dosage: get('dosage'),
+        frequency: get('frequency'),
+        duration: get('duration'),
+      });
+    }
+
+    if (kind === 'labReport' && get('test')) {
+      record.data.results.push({
+        test: get('test'),
+        value: get('value'),
+        unit: get('unit'),
+        normalRange: get('normalRange'),
+        status: get('resultStatus') || undefined,
+      });
+    }
+  });
+
+  // "line 4, 5, 6" reads better as "lines 4, 5, 6"
+  records.forEach((record) => {
+    if (record.location.includes(',')) record.location = record.location.replace(/^line /, 'lines ');
+  });
+
+  return records;
+};
+
+// FHIR status -> ours: the reverse of STATUS_MAPS, plus statuses we have no
+// exact equivalent for
+const FHIR_STATUS_ALIASES = {
+  Appointment: {
+    proposed: 'Scheduled',
+    pending: 'Scheduled',
+    'checked-in': 'In Progress',
+    noshow: 'Cancelled',
+    'entered-in-error': 'Cancelled',
+  },
+  MedicationRequest: {
+    draft: 'Active',
+    'on-hold': 'Active',
+    stopped: 'Cancelled',
+    'entered-in-error': 'Cancelled',
+  },
+  DiagnosticReport: {
+    preliminary: 'In Progress',
+    amended: 'Completed',
+    corrected: 'Completed',
+    appended: 'Completed',
+    'entered-in-error': 'Cancelled',
+  },
+};
+
+const fromFhirStatus = (resourceType, status) => {
+  if (!status) return undefined;
+  const reverse = Object.fromEntries(Object.entries(STATUS_MAPS[resourceType]).map(([ours, fhir]) => [fhir, ours]));
+  return reverse[status] || FHIR_STATUS_ALIASES[resourceType][status] || status;
+};
+
+// Observation interpretation codes -> lab result status
+const INTERPRETATION_STATUSES = {
+  N: 'Normal',
+  A: 'Abnormal',
+  H: 'Abnormal',
+  L: 'Abnormal',
+  AA: 'Critical',
+  HH: 'Critical',
+  LL: 'Critical',
+};
+
+const ALLERGY_SEVERITIES = { mild: 'mild', moderate: 'moderate', severe: 'severe' };
+const ALLERGY_CATEGORIES = { medication: 'drug', food: 'food', environment: 'environmental', biologic: 'other' };
+
+const conceptText = (concept) => {
+  if (!concept) return '';
+  if (concept.text) return concept.text;
+  const coding = (concept.coding || []).find((code) => code.display || code.code);
+  return coding ? coding.display || coding.code : '';
+};
+
+const observationValue = (observation) => {
+  if (observation.valueQuantity) return String(observation.valueQuantity.value);
+  if (observation.valueString !== undefined) return String(observation.valueString);
+  if (observation.valueCodeableConcept) return conceptText(observation.valueCodeableConcept);
+  if (observation.valueBoolean !== undefined) return String(observation.valueBoolean);
+  if (observation.valueInteger !== undefined) return String(observation.valueInteger);
+  return '';
+};
+
+const referenceRangeText = (observation) => {
+  const [range] = observation.referenceRange || [];
+  if (!range) return '';
+  if (range.text) return range.text;
+  const low = range.low && range.low.value;
+  const high = range.high && range.high.value;
+  return low !== undefined || high !== undefined ? `${low !== undefined ? low : ''}-${high !== undefined ? high : ''}` : '';
+};
+
+// "2 times per 1 d" from a dosage timing, or undefined
+const frequencyText = (dosage) => {
+  const repeat = dosage && dosage.timing && dosage.timing.repeat;
+  if (repeat && repeat.frequency && repeat.period) {
+    return `${repeat.frequency} time${repeat.frequency === 1 ? '' : 's'} per ${repeat.period} ${repeat.periodUnit || 'd'}`;
+  }
+  return (dosage && dosage.timing && conceptText(dosage.timing.code)) || undefined;
+};
+
+// Records from a FHIR Bundle (transaction, batch or collection). Patients,
+// Appointments, MedicationRequests and DiagnosticReports become records;
+// AllergyIntolerances, Observations and Practitioners are folded into the
+// records that refer to them.
+const fhirBundleToRecords = (bundle) => {
+  if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+    throw new Error('Expected a FHIR Bundle with an entry array');
+  }
+
+  const entries = bundle.entry
+    .map((entry, index) => ({ ...entry, location: `entry ${index + 1}` }))
+    .filter((entry) => entry.resource && entry.resource.resourceType);
+
+  // Look entries up by fullUrl ("urn:uuid:...") or "Type/id"
+  const byReference = new Map();
+  entries.forEach((entry) => {
+    if (entry.fullUrl) byReference.set(entry.fullUrl, entry);
+    if (entry.resource.id) byReference.set(`${entry.resource.resourceType}/${entry.resource.id}`, entry);
+  });
+  const resolve = (ref) => (ref && ref.reference ? byReference.get(ref.reference) : undefined);
+
+  // A resource's ID in the source system: its first identifier, else its id
+  const externalIdOf = (resource) => {
+    const identifier = (resource.identifier || []).find((id) => id.value);
+    return identifier ? identifier.value : resource.id;
+  };
+
+  const patientRefOf = (ref) => {
+    const entry = resolve(ref);
+    if (entry) return externalIdOf(entry.resource);
+    // Patients imported earlier can be referred to without being included
+    const match = ref && ref.reference && /^Patient\/(.+)$/.exec(ref.reference);
+    return match ? match[1] : undefined;
+  };
+
+  const doctorEmailOf = (ref) => {
+    const entry = resolve(ref);
+    if (!entry || entry.resource.resourceType !== 'Practitioner') return undefined;
+    const email = (entry.resource.telecom || []).find((telecom) => telecom.system === 'email' && telecom.value);
+    return email ? email.value.toLowerCase() : undefined;
+  };
+
+  const consumed = new Set();
+  const records = [];
+  const patientsByEntry = new Map();
+  const prescriptionGroups = new Map();
+
+  entries.filter((entry) => entry.resource.resourceType === 'Patient').forEach((entry) => {
+    const { resource } = entry;
+    const name = (resource.name || []).find((n) => n.use === 'official') || (resource.name || [])[0] || {};
+    const telecom = resource.telecom || [];
+    const phone = telecom.find((t) => t.system === 'phone' && t.value);
+    const email = telecom.find((t) => t.system === 'email' && t.value);
+    const cnic = (resource.identifier || []).find((id) => id.system === 'urn:sehatnama:cnic');
+    const [address] = resource.address || [];
+    const [contact] = resource.contact || [];
+    const bloodGroup = (resource.extension || []).find((ext) => /bloodgroup$/i.test(ext.url || ''));
+
+    const contactName = contact && contact.name
+      ? contact.name.text || [...(contact.name.given || []), contact.name.family].filter(Boolean).join(' ')
+      : '';
+    const contactPhone = contact && (contact.telecom || []).find((t) => t.value);
+
+    const record = newRecord('patient', entry.location, {
+      externalId: externalIdOf(resource),
+      data: {
+        firstName: (name.given || []).join(' ') || (name.text || '').split(' ')[0] || '',
+        lastName: name.family || (name.text || '').split(' ').slice(1).join(' ') || '',
+        email: email ? email.value : undefined,
+        age: ageFrom(resource.birthDate),
+        gender: normalizeGender(resource.gender),
+        bloodGroup: bloodGroup ? bloodGroup.valueString || conceptText(bloodGroup.valueCodeableConcept) : '',
+        contact: phone ? phone.value : '',
+        cnic: cnic ? cnic.value : undefined,
+        address: address ? address.text || [...(address.line || []), address.city, address.country].filter(Boolean).join(', ') : '',
+        emergencyContact: [contactName, contactPhone && contactPhone.value].filter(Boolean).join(', '),
+        condition: '',
+        allergies: [],
+      },
+    });
+    if (resource.birthDate === undefined) record.warnings.push('No birthDate given');
+
+    patientsByEntry.set(entry, record);
+    records.push(fillMissingDemographics(record));
+  });
+
+  entries.forEach((entry) => {
+    const { resource } = entry;
+    const { resourceType } = resource;
+
+    if (resourceType === 'AllergyIntolerance') {
+      const patientEntry = resolve(resource.patient);
+      const patient = patientEntry && patientsByEntry.get(patientEntry);
+      if (!patient) return;
+
+      const [reaction] = resource.reaction || [];
+      const [category] = resource.category || [];
+      patient.data.allergies.push({
+        substance: conceptText(resource.code),
+        reaction: reaction ? (reaction.manifestation || []).map(conceptText).filter(Boolean).join(', ') : undefined,
+        severity: (reaction && ALLERGY_SEVERITIES[reaction.severity]) ||
+          (resource.criticality === 'high' ? 'severe' : 'unknown'),
+        category: ALLERGY_CATEGORIES[category],
+        type: resource.type === 'intolerance' ? 'intolerance' : 'allergy',
+        notes: (resource.note || []).map((note) => note.text).join('\n') || undefined,
+      });
+      consumed.add(entry);
+    }
+
+    if (resourceType === 'Appointment') {
+      const actors = (resource.participant || []).map((participant) => participant.actor).filter(Boolean);
+      const patientActor = actors.find((actor) => /Patient\//.test(actor.reference || '') ||
+        (resolve(actor) && resolve(actor).resource.resourceType === 'Patient'));
+      const doctorActor = actors.find((actor) => doctorEmailOf(actor));
+      const start = new Date(resource.start);
+
+      records.push(newRecord('appointment', entry.location, {
+        externalId: externalIdOf(resource),
+        patientRef: patientRefOf(patientActor),
+        doctorEmail: doctorEmailOf(doctorActor),
+        data: {
+          date: resource.start,
+          time: isNaN(start.getTime()) ? '' : formatTimeOfDay(start),
+          purpose: resource.description || conceptText((resource.serviceType || [])[0]) || conceptText(resource.appointmentType),
+          notes: resource.comment || '',
+          status: fromFhirStatus('Appointment', resource.status),
+        },
+      }));
+    }
+
+    if (resourceType === 'MedicationRequest') {
+      // Medications ordered together share a groupIdentifier
+      const groupId = resource.groupIdentifier && resource.groupIdentifier.value;
+      let record = groupId && prescriptionGroups.get(groupId);
+
+      if (record) {
+        record.location = `${record.location}, ${entry.location.replace('entry ', '')}`;
+      } else {
+        record = newRecord('prescription', entry.location, {
+          externalId: groupId || externalIdOf(resource),
+          patientRef: patientRefOf(resource.subject),
+          doctorEmail: doctorEmailOf(resource.requester),
+          data: {
+            date: resource.authoredOn,
+            notes: (resource.note || []).map((note) => note.text).join('\n'),
+            status: fromFhirStatus('MedicationRequest', resource.status),
+            medications: [],
+          },
+        });
+        if (groupId) prescriptionGroups.set(groupId, record);
+        records.push(record);
+      }
+
+      const [dosage] = resource.dosageInstruction || [];
+      const supply = resource.dispenseRequest && resource.dispenseRequest.expectedSupplyDuration;
+      const medication = {
+        name: conceptText(resource.medicationCodeableConcept) ||
+          (resource.medicationReference && resource.medicationReference.display) || '',
+        dosage: (dosage && dosage.text) || 'As directed',
+        frequency: frequencyText(dosage) || 'As directed',
+        duration: supply ? `${supply.value} ${supply.unit || supply.code || ''}`.trim() : 'Not specified',
+      };
+      if (!dosage || !frequencyText(dosage) || !supply) {
+        record.warnings.push(`Dosing for ${medication.name || 'a medication'} was incomplete and filled with defaults`);
+      }
+      record.data.medications.push(medication);
+    }
+
+    if (resourceType === 'DiagnosticReport') {
+      const [performer] = resource.performer || [];
+      const doctorRef = [...(resource.resultsInterpreter || []), ...(resource.performer || [])]
+        .find((ref) => doctorEmailOf(ref));
+
+      const results = [];
+      (resource.result || []).forEach((ref) => {
+        const observationEntry = resolve(ref);
+        if (!observationEntry || observationEntry.resource.resourceType !== 'Observation') return;
+        const observation = observationEntry.resource;
+        const [interpretation] = observation.interpretation || [];
+        const code = interpretation && (interpretation.coding || []).map((coding) => coding.code).find(Boolean);
+
+        results.push({
+          test: conceptText(observation.code),
+          value: observationValue(observation),
+          unit: (observation.valueQuantity && observation.valueQuantity.unit) || '',
+          normalRange: referenceRangeText(observation),
+          status: INTERPRETATION_STATUSES[code] || undefined,
+        });
+        consumed.add(observationEntry);
+      });
+
+      const record = newRecord('labReport', entry.location, {
+        externalId: externalIdOf(resource),
+        patientRef: patientRefOf(resource.subject),
+        doctorEmail: doctorEmailOf(doctorRef),
+        data: {
+          type: conceptText(resource.code),
+          lab: (performer && performer.display) || '',
+          date: resource.effectiveDateTime || resource.issued,
+          notes: resource.conclusion || '',
+          status: fromFhirStatus('DiagnosticReport', resource.status),
+          results,
+        },
+      });
+      if (!record.data.lab) {
+        record.data.lab = 'Not specified';
+        record.warnings.push('No performing lab given');
+      }
+      records.push(record);
+    }
+  });
+
+  // Anything else is reported rather than silently dropped
+  entries.forEach((entry) => {
+    const { resourceType } = entry.resource;
+    const handled = ['Patient', 'Appointment', 'MedicationRequest', 'DiagnosticReport', 'Practitioner'];
+    if (handled.includes(resourceType) || consumed.has(entry)) return;
+
+    records.push(newRecord('unsupported', entry.location, {
+      externalId: externalIdOf(entry.resource),
+      data: { recordType: resourceType },
+    }));
+  });
+
+  return records;
+};
+
+module.exports = {
+  CSV_FIELDS,
+  csvToRecords,
+  fhirBundleToRecords,
+};
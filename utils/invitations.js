@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const { hashToken } = require('./refreshTokens');
+const { sendMail } = require('./mailer');
+
+const INVITE_EXPIRES_DAYS = parseInt(process.env.INVITE_EXPIRES_DAYS) || 7;
+
+// Give an invitation a fresh token and expiry, then email it.
+// Any previously sent link stops working.
+const sendInvitation = async (invitation, expiresInDays = INVITE_EXPIRES_DAYS) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+  invitation.lastSentAt = new Date();
+  invitation.sendCount += 1;
+  await invitation.save();
+
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+  await sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to SehatNama',
+    text: `Hello,\n\nYou have been invited to join SehatNama with the ${invitation.role} role. Use the link below to set up your account. It expires on ${invitation.expiresAt.toUTCString()}.\n\n${clientUrl}/accept-invite?token=${token}\n`,
+  });
+
+  return invitation;
+};
+
+const findPendingInvitation = async (token) => {
+  if (!token) return null;
+
+  return Invitation.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+module.exports = { sendInvitation, findPendingInvitation, INVITE_EXPIRES_DAYS };
@@ -0,0 +1,110 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const { logSecurityEvent } = require('./securityLog');
+
+// Per-account limits are tight; per-IP limits are looser because a whole
+// clinic can sit behind one address.
+const LIMITS = {
+  account: {
+    freeAttempts: parseInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS) || 3,
+    lockAfter: parseInt(process.env.LOGIN_ACCOUNT_LOCK_AFTER) || 10,
+  },
+  ip: {
+    freeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS) || 10,
+    lockAfter: parseInt(process.env.LOGIN_IP_LOCK_AFTER) || 50,
+  },
+};
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_DELAY_SECONDS = 60;
+const COUNTER_TTL_MS = 24 * 60 * 60 * 1000;
+
+const accountKey = (email) => `account:${String(email || '').toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+// Seconds a caller must wait after `failures` failed attempts: nothing for the
+// first few, then doubling up to MAX_DELAY_SECONDS
+const delayFor = (failures, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(2 ** (failures - freeAttempts), MAX_DELAY_SECONDS);
+};
+
+// Returns { allowed: true } or { allowed: false, retryAfter, locked }
+const checkLoginAllowed = async (email, ip) => {
+  const now = Date.now();
+  const attempts = await LoginAttempt.find({ key: { $in: [accountKey(email), ipKey(ip)] } });
+
+  let retryAfter = 0;
+  let locked = false;
+
+  for (const attempt of attempts) {
+    const limits = attempt.key.startsWith('ip:') ? LIMITS.ip : LIMITS.account;
+
+    if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+      locked = true;
+      retryAfter = Math.max(retryAfter, Math.ceil((attempt.lockedUntil.getTime() - now) / 1000));
+      continue;
+    }
+
+    const delay = delayFor(attempt.failures, limits.freeAttempts);
+    const waitUntil = attempt.lastFailureAt ? attempt.lastFailureAt.getTime() + delay * 1000 : 0;
+    if (waitUntil > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((waitUntil - now) / 1000));
+    }
+  }
+
+  return retryAfter > 0 ? { allowed: false, retryAfter, locked } : { allowed: true };
+};
+
+const bumpCounter = async (key, limits, context) => {
+  const now = new Date();
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + COUNTER_TTL_MS) },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (attempt.failures >= limits.lockAfter) {
+    const lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+    await LoginAttempt.updateOne({ key }, { lockedUntil });
+
+    await logSecurityEvent(key.startsWith('ip:') ? 'login.ip-locked' : 'login.account-locked', {
+      ...context,
+      details: { failures: attempt.failures, lockedUntil },
+    });
+  }
+};
+
+// Count a failed login against both the account and the IP
+const recordLoginFailure = async (email, ip, user) => {
+  const context = { user: user && user._id, email, ip };
+
+  await Promise.all([
+    bumpCounter(accountKey(email), LIMITS.account, context),
+    bumpCounter(ipKey(ip), LIMITS.ip, context),
+  ]);
+};
+
+// A successful login clears the account counter. The IP counter is left
+// alone so one valid account can't be used to reset it.
+const recordLoginSuccess = async (email) => {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+};
+
+const unlockAccount = async (email) => {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+};
+
+const isAccountLocked = async (email) => {
+  const attempt = await LoginAttempt.findOne({ key: accountKey(email) });
+  return !!(attempt && attempt.lockedUntil && attempt.lockedUntil > new Date());
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  isAccountLocked,
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mail transports share one interface: `send({ to, subject, text, html })`.
+// Pick one with MAIL_TRANSPORT; register a real provider (SMTP, SES, ...)
+// with `registerTransport` at startup. Outside production it defaults to the
+// console; in production it has to be set, so reset links and invitations
+// never end up in the server log.
+
+const consoleTransport = () => ({
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    return { id: `console-${Date.now()}` };
+  },
+});
+
+// Writes each message as a JSON file, handy for local runs and tests
+const fileTransport = () => {
+  const dir = process.env.MAIL_DIR || path.join('logs', 'mail');
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+      await fs.promises.writeFile(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+      );
+      return { id };
+    },
+  };
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let activeTransport;
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = undefined;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'SehatNama <no-reply@sehatnama.local>',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+// Fails at boot rather than on the first email when the transport is
+// missing or unknown. Call after any `registerTransport`.
+const checkMailTransport = () => {
+  getTransport();
+};
+
+module.exports = { sendMail, registerTransport, checkMailTransport };
@@ -0,0 +1,87 @@
+const { ALLERGY_EDITABLE, inferDrugClass } = require('./allergies');
+
+// Structured history sections on the patient chart. Each list section maps
+// its URL segment to the Patient field holding it and the fields clients may
+// set, with an optional `prepare` run on an entry before it is saved; social
+// history is a single record handled separately.
+const HISTORY_SECTIONS = {
+  allergies: {
+    field: 'allergies',
+    label: 'Allergy',
+    editable: ALLERGY_EDITABLE,
+    prepare: inferDrugClass,
+  },
+  problems: {
+    field: 'problems',
+    label: 'Problem',
+    editable: ['code', 'description', 'onset', 'status', 'resolvedAt', 'notes'],
+  },
+  surgeries: {
+    field: 'surgeries',
+    label: 'Surgery',
+    editable: ['procedure', 'date', 'hospital', 'surgeon', 'notes'],
+  },
+  'family-history': {
+    field: 'familyHistory',
+    label: 'Family history entry',
+    editable: ['relation', 'condition', 'code', 'ageAtOnset', 'deceased', 'notes'],
+  },
+  immunizations: {
+    field: 'immunizations',
+    label: 'Immunization',
+    editable: ['vaccine', 'date', 'dose', 'lotNumber', 'site', 'administeredBy', 'nextDueDate', 'notes'],
+  },
+};
+
+const SOCIAL_HISTORY_EDITABLE = ['smoking', 'alcohol', 'occupation', 'notes'];
+
+const HISTORY_FIELDS = [...Object.values(HISTORY_SECTIONS).map((section) => section.field), 'socialHistory'];
+
+// Populate paths for the users who recorded and last updated each entry
+const HISTORY_RECORDER_PATHS = HISTORY_FIELDS.flatMap((field) => [
+  { path: `${field}.recordedBy`, select: 'firstName lastName role' },
+  { path: `${field}.updatedBy`, select: 'firstName lastName role' },
+]);
+
+// Copy the allowed fields present in `body` onto `target`
+const applyEditable = (target, body, editable) => {
+  editable.forEach((key) => {
+    if (body[key] !== undefined) target[key] = body[key];
+  });
+};
+
+const recorderName = (user) => {
+  if (!user || !user.firstName) return user || null;
+  const name = `${user.firstName} ${user.lastName}`;
+  return user.role === 'doctor' ? `Dr. ${name}` : name;
+};
+
+const formatHistoryEntry = (entry) => {
+  if (!entry) return null;
+
+  const { _id, __v, recordedBy, updatedBy, ...fields } = entry.toObject();
+  return {
+    ...(_id ? { id: _id } : {}),
+    ...fields,
+    recordedBy: recorderName(entry.recordedBy),
+    updatedBy: recorderName(entry.updatedBy),
+  };
+};
+
+// All structured history for a patient, keyed by section
+const formatMedicalHistory = (patient) => ({
+  problems: patient.problems.map(formatHistoryEntry),
+  surgeries: patient.surgeries.map(formatHistoryEntry),
+  familyHistory: patient.familyHistory.map(formatHistoryEntry),
+  immunizations: patient.immunizations.map(formatHistoryEntry),
+  socialHistory: formatHistoryEntry(patient.socialHistory),
+});
+
+module.exports = {
+  HISTORY_SECTIONS,
+  SOCIAL_HISTORY_EDITABLE,
+  HISTORY_RECORDER_PATHS,
+  applyEditable,
+  formatHistoryEntry,
+  formatMedicalHistory,
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const LabReport = require('../models/LabReport');
+const Document = require('../models/Document');
+const Vitals = require('../models/Vitals');
+const AccessGrant = require('../models/AccessGrant');
+const Guardianship = require('../models/Guardianship');
+const { revokeUserSessions } = require('./refreshTokens');
+const { logSecurityEvent } = require('./securityLog');
+
+// Years a patient's records must be kept after their last activity before
+// an archived patient may be purged
+const RECORD_RETENTION_YEARS = parseInt(process.env.RECORD_RETENTION_YEARS) || 10;
+
+// Clinical records that belong to one patient and are archived, restored
+// and purged along with them
+const PATIENT_RECORD_MODELS = [Appointment, Prescription, LabReport, Document, Vitals];
+
+// Query clause every list adds so archived patients and records stay hidden
+const notArchived = () => ({ archivedAt: null });
+
+// Hide a patient and their records from every list. Nothing is deleted.
+const archivePatient = async ({ patient, actor, reason, ip }) => {
+  const archivedAt = new Date();
+
+  patient.archivedAt = archivedAt;
+  patient.archivedBy = actor._id;
+  patient.archiveReason = reason || '';
+  await patient.save();
+
+  await Promise.all(PATIENT_RECORD_MODELS.map((Model) =>
+    Model.updateMany({ patient: patient._id, archivedAt: null }, { archivedAt })
+  ));
+
+  await logSecurityEvent('patient.archived', {
+    user: patient.user ? patient.user._id : undefined,
+    ip,
+    actor: actor._id,
+    details: { patientId: patient.patientId, reason: reason || '' },
+  });
+};
+
+// Bring an archived patient and their records back into the lists
+const restorePatient = async ({ patient, actor, ip }) => {
+  patient.archivedAt = undefined;
+  patient.archivedBy = undefined;
+  patient.archiveReason = undefined;
+  await patient.save();
+
+  await Promise.all(PATIENT_RECORD_MODELS.map((Model) =>
+    Model.updateMany({ patient: patient._id, archivedAt: { $ne: null } }, { $unset: { archivedAt: 1 } })
+  ));
+
+  await logSecurityEvent('patient.restored', {
+    user: patient.user ? patient.user._id : undefined,
+    ip,
+    actor: actor._id,
+    details: { patientId: patient.patientId },
+  });
+};
+
+// Most recent change to the patient or any of their records
+const lastActivityAt = async (patient) => {
+  const latest = await Promise.all(PATIENT_RECORD_MODELS.map((Model) =>
+    Model.findOne({ patient: patient._id }).sort({ updatedAt: -1 }).select('updatedAt')
+  ));
+
+  return latest
+    .filter(Boolean)
+    .map((record) => record.updatedAt)
+    .reduce((last, date) => (date > last ? date : last), patient.archivedAt || patient.updatedAt);
+};
+
+// When the retention period for an archived patient's records ends
+const retentionEndsAt = async (patient) => {
+  const endsAt = new Date(await lastActivityAt(patient));
+  endsAt.setFullYear(endsAt.getFullYear() + RECORD_RETENTION_YEARS);
+  return endsAt;
+};
+
+// Permanently delete an archived patient: records, uploaded files, grants,
+// guardianships and the login. The audit trail (security log, merge and
+// emergency access records) is kept.
+const purgePatient = async ({ patient, actor, ip }) => {
+  const documents = await Document.find({ patient: patient._id }).select('url');
+  for (const doc of documents) {
+    try {
+      if (doc.url && fs.existsSync(doc.url)) fs.unlinkSync(doc.url);
+    } catch (fileError) {
+      // The record goes either way; a stray file can be cleaned up by hand
+      console.error(`Error deleting file ${doc.url}:`, fileError);
+    }
+  }
+
+  await Promise.all([
+    ...PATIENT_RECORD_MODELS.map((Model) => Model.deleteMany({ patient: patient._id })),
+    AccessGrant.deleteMany({ patient: patient._id }),
+    Guardianship.deleteMany({ patient: patient._id }),
+  ]);
+
+  const userId = patient.user ? patient.user._id : undefined;
+  await Patient.deleteOne({ _id: patient._id });
+
+  if (userId) {
+    await revokeUserSessions(userId, 'patient-purged');
+    await Guardianship.deleteMany({ guardian: userId });
+    await User.deleteOne({ _id: userId });
+  }
+
+  await logSecurityEvent('patient.purged', {
+    user: userId,
+    ip,
+    actor: actor._id,
+    details: { patientId: patient.patientId, archivedAt: patient.archivedAt },
+  });
+};
+
+module.exports = {
+  RECORD_RETENTION_YEARS,
+  notArchived,
+  archivePatient,
+  restorePatient,
+  retentionEndsAt,
+  purgePatient,
+};
@@ -0,0 +1,171 @@
+const Patient = require('../models/Patient');
+const escapeRegex = require('./escapeRegex');
+
+// Minimum score for a record to be reported as a likely duplicate
+const DUPLICATE_THRESHOLD = 0.6;
+const MAX_CANDIDATES = 200;
+
+const digitsOf = (value) => String(value || '').replace(/\D/g, '');
+
+// Compare phone numbers on their last 10 digits so +92 300... matches 0300...
+const samePhone = (a, b) => {
+  const left = digitsOf(a).slice(-10);
+  const right = digitsOf(b).slice(-10);
+  return left.length >= 7 && left === right;
+};
+
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z\s]/g, '').trim().split(/\s+/).filter(Boolean);
+
+// Jaro-Winkler similarity between two strings, from 0 to 1
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - range);
+    const end = Math.min(i + range + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// Name similarity, tolerating first and last name entered the other way round
+const nameSimilarity = (first, last, other) => {
+  const name = [...normalizeName(first), ...normalizeName(last)];
+  const otherName = [...normalizeName(other.firstName), ...normalizeName(other.lastName)];
+  if (name.length === 0 || otherName.length === 0) return 0;
+
+  const direct = jaroWinkler(name.join(' '), otherName.join(' '));
+  const swapped = jaroWinkler(name.join(' '), [...normalizeName(other.lastName), ...normalizeName(other.firstName)].join(' '));
+  return Math.max(direct, swapped);
+};
+
+// Score how likely `candidate` (a Patient with populated user) is the same
+// person as `details`. Returns { score, reasons }.
+const scoreCandidate = (details, candidate) => {
+  const reasons = [];
+  let score = 0;
+
+  // Unrelated names still score around 0.7 on Jaro-Winkler, so only the
+  // range above that counts
+  const name = nameSimilarity(details.firstName, details.lastName, candidate.user || {});
+  score += 0.5 * Math.max(0, (name - 0.75) / 0.25);
+  if (name >= 0.9) reasons.push('name');
+
+  if (samePhone(details.contact, candidate.contact)) {
+    score += 0.3;
+    reasons.push('contact');
+  }
+
+  const age = parseInt(details.age);
+  if (!isNaN(age) && typeof candidate.age === 'number') {
+    const difference = Math.abs(age - candidate.age);
+    if (difference <= 1) {
+      score += 0.2;
+      reasons.push('age');
+    } else if (difference <= 3) {
+      score += 0.1;
+    }
+  }
+
+  const cnic = digitsOf(details.cnic);
+  const candidateCnic = digitsOf(candidate.cnic);
+  if (cnic && candidateCnic) {
+    if (cnic === candidateCnic) {
+      // A matching national ID is close to conclusive on its own
+      score = Math.max(score, 0.95);
+      reasons.push('cnic');
+    } else {
+      // Different national IDs mean different people, however alike otherwise
+      score *= 0.5;
+    }
+  }
+
+  return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+};
+
+// Existing patients that look like the person described by `details`
+// ({ firstName, lastName, contact, age, cnic }), best match first.
+// Candidates are narrowed with the indexed search tokens before scoring.
+const findLikelyDuplicates = async (details, { excludeId, limit = 5 } = {}) => {
+  const clauses = [];
+
+  const cnic = digitsOf(details.cnic);
+  if (cnic) clauses.push({ searchTokens: cnic });
+
+  const contact = digitsOf(details.contact);
+  if (contact.length >= 7) clauses.push({ searchTokens: contact });
+
+  const nameWords = [...normalizeName(details.firstName), ...normalizeName(details.lastName)];
+  if (nameWords.length > 0) {
+    // Any name word sharing its first three letters, narrowed by age when
+    // it's known; scoring sorts out the spelling variants
+    const nameClause = {
+      searchTokens: { $in: nameWords.map((word) => new RegExp(`^${escapeRegex(word.slice(0, 3))}`)) },
+    };
+    const age = parseInt(details.age);
+    if (!isNaN(age)) nameClause.age = { $gte: age - 5, $lte: age + 5 };
+    clauses.push(nameClause);
+  }
+
+  if (clauses.length === 0) return [];
+
+  const query = { $or: clauses, mergedInto: null };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const candidates = await Patient.find(query)
+    .populate('user', 'firstName lastName email')
+    .limit(MAX_CANDIDATES);
+
+  return candidates
+    .map((candidate) => ({ candidate, ...scoreCandidate(details, candidate) }))
+    .filter((match) => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ candidate, score, reasons }) => ({
+      id: candidate.patientId,
+      name: candidate.user ? `${candidate.user.firstName} ${candidate.user.lastName}` : 'Unknown Patient',
+      age: candidate.age,
+      gender: candidate.gender,
+      contact: candidate.contact,
+      // An archived match can be restored instead of registered again
+      archived: Boolean(candidate.archivedAt),
+      score,
+      reasons,
+    }));
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  findLikelyDuplicates,
+  scoreCandidate,
+};
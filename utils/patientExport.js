@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const LabReport = require('../models/LabReport');
+const Document = require('../models/Document');
+const Vitals = require('../models/Vitals');
+const ExportJob = require('../models/ExportJob');
+const { createZipWriter } = require('./zipArchive');
+const { buildHistoryTimeline } = require('./patientTimeline');
+const { HISTORY_RECORDER_PATHS, formatHistoryEntry, formatMedicalHistory } = require('./medicalHistory');
+const { hashToken } = require('./refreshTokens');
+const { sendMail } = require('./mailer');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || 'exports';
+// Exports whose uploaded files add up to more than this are built in the background
+const EXPORT_INLINE_MAX_MB = parseInt(process.env.EXPORT_INLINE_MAX_MB) || 20;
+const EXPORT_LINK_HOURS = parseInt(process.env.EXPORT_LINK_HOURS) || 48;
+const EXPORT_CLEANUP_MINUTES = parseInt(process.env.EXPORT_CLEANUP_MINUTES) || 60;
+
+const EXPORT_FORMAT = 'sehatnama-patient-export';
+const EXPORT_FORMAT_VERSION = 1;
+
+const personName = (user) => (user && user.firstName ? `${user.firstName} ${user.lastName}` : null);
+
+// Plain JSON for a record, with populated users reduced to their names
+const plainRecord = (record, userPaths) => {
+  const { __v, archivedAt, ...fields } = record.toObject();
+  userPaths.forEach((field) => {
+    if (record[field]) fields[field] = personName(record[field]) || record[field];
+  });
+  return fields;
+};
+
+const fileSizeOf = (url) => {
+  try {
+    return url && fs.existsSync(url) ? fs.statSync(url).size : 0;
+  } catch (error) {
+    return 0;
+  }
+};
+
+// Total size of the uploaded files an export for `scopes` would include
+const exportFilesSize = async (patient, scopes) => {
+  if (!scopes.includes('documents')) return 0;
+
+  const documents = await Document.find({ patient: patient._id }).select('url');
+  return documents.reduce((total, doc) => total + fileSizeOf(doc.url), 0);
+};
+
+const shouldExportInBackground = async (patient, scopes) =>
+  (await exportFilesSize(patient, scopes)) > EXPORT_INLINE_MAX_MB * 1024 * 1024;
+
+// Write a patient's export archive to `stream`: one JSON file per section
+// the requester may read, the uploaded documents as originally stored, and
+// manifest.json describing every file.
+const writePatientExport = async ({ patient, scopes, requestedBy }, stream) => {
+  await patient.populate([{ path: 'user', select: 'firstName lastName email' }, ...HISTORY_RECORDER_PATHS]);
+
+  const zip = createZipWriter(stream);
+  const files = [];
+
+  const addJson = async (name, description, data) => {
+    const content = Buffer.from(JSON.stringify(data, null, 2));
+    await zip.addFile(name, content);
+    files.push({
+      path: name,
+      description,
+      records: Array.isArray(data) ? data.length : undefined,
+      size: content.length,
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+    });
+  };
+
+  await addJson('profile.json', 'Demographics, allergies and structured medical history', {
+    id: patient.patientId,
+    firstName: patient.user.firstName,
+    lastName: patient.user.lastName,
+    email: patient.user.email,
+    age: patient.age,
+    gender: patient.gender,
+    bloodGroup: patient.bloodGroup,
+    contact: patient.contact,
+    cnic: patient.cnic,
+    address: patient.address,
+    emergencyContact: patient.emergencyContact,
+    condition: patient.condition,
+    allergies: patient.allergies.map(formatHistoryEntry),
+    medicalHistory: formatMedicalHistory(patient),
+    registeredAt: patient.createdAt,
+  });
+
+  const vitals = await Vitals.find({ patient: patient._id })
+    .populate('recordedBy', 'firstName lastName')
+    .sort({ recordedAt: 1 });
+  await addJson('vitals.json', 'Vital sign readings, oldest first', vitals.map((reading) => plainRecord(reading, ['recordedBy'])));
+
+  if (scopes.includes('appointments')) {
+    const appointments = await Appointment.find({ patient: patient._id })
+      .populate('doctor', 'firstName lastName')
+      .sort({ date: 1 });
+    await addJson('appointments.json', 'Appointments, oldest first', appointments.map((appointment) => plainRecord(appointment, ['doctor'])));
+  }
+
+  if (scopes.includes('prescriptions')) {
+    const prescriptions = await Prescription.find({ patient: patient._id })
+      .populate('doctor', 'firstName lastName')
+      .sort({ date: 1 });
+    await addJson('prescriptions.json', 'Prescriptions, oldest first', prescriptions.map((prescription) => plainRecord(prescription, ['doctor'])));
+  }
+
+  if (scopes.includes('labReports')) {
+    const labReports = await LabReport.find({ patient: patient._id })
+      .populate('requestedBy', 'firstName lastName')
+      .sort({ date: 1 });
+    await addJson('lab-reports.json', 'Lab reports and results, oldest first', labReports.map((report) => plainRecord(report, ['requestedBy'])));
+  }
+
+  await addJson('history.json', 'Combined history timeline, newest first', await buildHistoryTimeline(patient, scopes));
+
+  if (scopes.includes('documents')) {
+    const documents = await Document.find({ patient: patient._id })
+      .populate('uploadedBy', 'firstName lastName')
+      .sort({ date: 1 });
+
+    const documentIndex = [];
+    for (const doc of documents) {
+      const entry = { ...plainRecord(doc, ['uploadedBy']), file: null };
+      delete entry.url;
+
+      if (doc.url && fs.existsSync(doc.url)) {
+        // Prefix with the record ID so two uploads with one name can't collide
+        const name = `documents/${doc._id}-${path.basename(doc.url)}`;
+        const content = await fs.promises.readFile(doc.url);
+        await zip.addFile(name, content, { date: doc.date });
+
+        entry.file = name;
+        files.push({
+          path: name,
+          description: `Uploaded document: ${doc.title}`,
+          size: content.length,
+          sha256: crypto.createHash('sha256').update(content).digest('hex'),
+        });
+      }
+      documentIndex.push(entry);
+    }
+
+    await addJson('documents.json', 'Uploaded documents and where each file is in this archive', documentIndex);
+  }
+
+  // The manifest describes every other file, so it goes in last
+  await zip.addFile('manifest.json', JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    generatedAt: new Date(),
+    patient: { id: patient.patientId, name: personName(patient.user) },
+    requestedBy: requestedBy ? { id: requestedBy._id, name: personName(requestedBy), role: requestedBy.role } : null,
+    scopes,
+    files,
+  }, null, 2));
+
+  await zip.finish();
+};
+
+const exportFileName = (patient) => `${patient.patientId}-export-${new Date().toISOString().slice(0, 10)}.zip`;
+
+// Queue a background export. `linkFor` turns the download token into a
+// URL; only the requester ever sees it, in the response and by email.
+const queueExportJob = async ({ patient, scopes, requestedBy, linkFor }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const downloadUrl = linkFor(token);
+
+  const job = await ExportJob.create({
+    patient: patient._id,
+    requestedBy: requestedBy._id,
+    scopes,
+    tokenHash: hashToken(token),
+  });
+
+  // Runs after the response; failures are recorded on the job
+  setImmediate(() => {
+    runExportJob(job._id, downloadUrl).catch((error) => console.error(`Export job ${job._id} crashed:`, error));
+  });
+
+  return { job, downloadUrl };
+};
+
+// Build a queued export's archive and tell the requester it is ready
+const runExportJob = async (jobId, downloadUrl) => {
+  await removeExpiredExports();
+
+  const job = await ExportJob.findOneAndUpdate({ _id: jobId, status: 'queued' }, { status: 'running' }, { new: true });
+  if (!job) return;
+
+  const filePath = path.join(EXPORT_DIR, `${job._id}.zip`);
+
+  try {
+    const [patient, requestedBy] = await Promise.all([
+      Patient.findById(job.patient),
+      User.findById(job.requestedBy).select('firstName lastName email role'),
+    ]);
+    if (!patient) throw new Error('Patient no longer exists');
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const stream = fs.createWriteStream(filePath);
+    await writePatientExport({ patient, scopes: job.scopes, requestedBy }, stream);
+    await new Promise((resolve, reject) => stream.end((error) => (error ? reject(error) : resolve())));
+
+    job.status = 'ready';
+    job.filePath = filePath;
+    job.fileSize = fileSizeOf(filePath);
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + EXPORT_LINK_HOURS * 60 * 60 * 1000);
+    await job.save();
+
+    if (requestedBy && requestedBy.email) {
+      await sendMail({
+        to: requestedBy.email,
+        subject: 'Your SehatNama records export is ready',
+        text: `Hi ${requestedBy.firstName},\n\nThe export of patient ${patient.patientId}'s records is ready. Download it from the link below; it expires in ${EXPORT_LINK_HOURS} hours.\n\n${downloadUrl}\n`,
+      });
+    }
+  } catch (error) {
+    console.error(`Export job ${job._id} failed:`, error);
+    fs.promises.unlink(filePath).catch(() => {});
+
+    job.status = 'failed';
+    job.error = error.message;
+    await job.save();
+  }
+};
+
+const expireExport = async (job) => {
+  await fs.promises.unlink(job.filePath).catch(() => {});
+  job.status = 'expired';
+  job.filePath = undefined;
+  await job.save();
+};
+
+// Delete archives whose links have expired
+const removeExpiredExports = async () => {
+  const expired = await ExportJob.find({ status: 'ready', expiresAt: { $lte: new Date() } });
+
+  for (const job of expired) {
+    await expireExport(job);
+  }
+};
+
+// Jobs run in this process, so any still queued or running when it starts
+// were cut off by a restart. Their link tokens are only stored hashed, so
+// they can't be rerun; the requester has to ask again.
+const failInterruptedExports = async () => {
+  const interrupted = await ExportJob.find({ status: { $in: ['queued', 'running'] } });
+
+  for (const job of interrupted) {
+    await fs.promises.unlink(path.join(EXPORT_DIR, `${job._id}.zip`)).catch(() => {});
+    job.status = 'failed';
+    job.error = 'Interrupted by a server restart, please request the export again';
+    await job.save();
+  }
+};
+
+// Clean up after a restart, then sweep expired archives every
+// EXPORT_CLEANUP_MINUTES. Call once the database is connected.
+const startExportMaintenance = async () => {
+  const sweep = () => removeExpiredExports()
+    .catch((error) => console.error('Error removing expired exports:', error));
+
+  try {
+    await failInterruptedExports();
+  } catch (error) {
+    console.error('Error recovering interrupted exports:', error);
+  }
+  await sweep();
+
+  setInterval(sweep, EXPORT_CLEANUP_MINUTES * 60 * 1000).unref();
+};
+
+// The ready export a download token belongs to, or null. An expired one has
+// its archive deleted on the spot rather than waiting for the next sweep.
+const findExportByToken = async (token) => {
+  if (!token) return null;
+
+  const job = await ExportJob.findOne({ tokenHash: hashToken(token), status: 'ready' })
+    .populate('patient', 'patientId');
+  if (!job) return null;
+
+  if (!job.expiresAt || job.expiresAt <= new Date()) {
+    await expireExport(job);
+    return null;
+  }
+  return job;
+};
+
+module.exports = {
+  EXPORT_LINK_HOURS,
+  shouldExportInBackground,
+  writePatientExport,
+  exportFileName,
+  queueExportJob,
+  startExportMaintenance,
+  findExportByToken,
+};
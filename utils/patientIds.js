@@ -0,0 +1,113 @@
+const Counter = require('../models/Counter');
+const Hospital = require('../models/hospitalModel');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+
+// Patient IDs are minted from an atomic counter using a template set in
+// PATIENT_ID_FORMAT. Tokens:
+//   {prefix}  hospital code, else PATIENT_ID_PREFIX (default "P")
+//   {year}    four-digit year, {yy} two-digit year
+//   {seq:N}   sequence number, zero-padded to N digits
+//   {check}   Luhn check digit over every digit before it
+// A separate sequence runs per prefix, and per year when the year is used.
+const DEFAULT_FORMAT = '{prefix}-{seq:6}{check}';
+const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+const MAX_ATTEMPTS = 5;
+
+const nextSequence = async (name) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  // Double every second digit counting from the right, starting with the last
+  for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+// True when an ID made with a {check} format has a valid trailing check digit
+const hasValidCheckDigit = (patientId) => {
+  const digits = String(patientId).replace(/\D/g, '');
+  return digits.length > 1 && luhnCheckDigit(digits.slice(0, -1)) === digits.slice(-1);
+};
+
+const resolvePrefix = async (hospitalId) => {
+  if (hospitalId) {
+    const hospital = await Hospital.findById(hospitalId).select('code');
+    if (hospital && hospital.code) return hospital.code;
+  }
+  return process.env.PATIENT_ID_PREFIX || 'P';
+};
+
+const renderId = (format, values) => {
+  let output = '';
+  let lastIndex = 0;
+
+  format.replace(TOKEN_PATTERN, (match, token, width, offset) => {
+    output += format.slice(lastIndex, offset);
+    lastIndex = offset + match.length;
+
+    switch (token) {
+      case 'prefix':
+        output += values.prefix;
+        break;
+      case 'year':
+        output += values.year;
+        break;
+      case 'yy':
+        output += values.year.slice(-2);
+        break;
+      case 'seq':
+        output += String(values.seq).padStart(Number(width) || 0, '0');
+        break;
+      case 'check':
+        output += luhnCheckDigit(output.replace(/\D/g, ''));
+        break;
+      default:
+        throw new Error(`Unknown patient ID token: {${token}}`);
+    }
+    return match;
+  });
+
+  return output + format.slice(lastIndex);
+};
+
+// Mint the next patient ID, optionally under a hospital's prefix
+const generatePatientId = async ({ hospitalId, date = new Date() } = {}) => {
+  const format = process.env.PATIENT_ID_FORMAT || DEFAULT_FORMAT;
+  const prefix = await resolvePrefix(hospitalId);
+  const year = String(date.getFullYear());
+
+  const usesYear = /\{(year|yy)\}/.test(format);
+  const sequenceName = `patientId:${prefix}${usesYear ? `:${year}` : ''}`;
+
+  // The counter never repeats, but IDs minted before it existed might
+  // overlap, so skip past any that are taken
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const patientId = renderId(format, { prefix, year, seq: await nextSequence(sequenceName) });
+
+    const taken = await Patient.exists({ patientId }) || await User.exists({ patientId });
+    if (!taken) return patientId;
+  }
+
+  throw new Error(`Could not find a free patient ID in sequence ${sequenceName}`);
+};
+
+module.exports = {
+  generatePatientId,
+  nextSequence,
+  luhnCheckDigit,
+  hasValidCheckDigit,
+};
@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const LabReport = require('../models/LabReport');
+const ImportJob = require('../models/ImportJob');
+const ImportRow = require('../models/ImportRow');
+const { csvToRecords, fhirBundleToRecords } = require('./importSources');
+const { toCsv } = require('./csv');
+const { generatePatientId } = require('./patientIds');
+const { toAllergyEntries } = require('./allergies');
+const { logSecurityEvent } = require('./securityLog');
+
+const IMPORT_DIR = process.env.IMPORT_DIR || 'imports';
+const IMPORT_MAX_MB = parseInt(process.env.IMPORT_MAX_MB) || 50;
+// A run that hasn't checked in for this long is treated as interrupted
+const IMPORT_STALE_MINUTES = parseInt(process.env.IMPORT_STALE_MINUTES) || 5;
+
+const HEARTBEAT_EVERY = 25;
+const INSERT_BATCH = 500;
+
+// Patients go first so the history rows after them can find them
+const KIND_ORDER = ['patient', 'appointment', 'prescription', 'labReport', 'unsupported'];
+
+const HISTORY_MODELS = {
+  appointment: { Model: Appointment, doctorField: 'doctor' },
+  prescription: { Model: Prescription, doctorField: 'doctor' },
+  labReport: { Model: LabReport, doctorField: 'requestedBy' },
+};
+
+const importKeyFor = (job, externalId) => `${job.source}:${externalId}`;
+
+// Stand-in references so documents can be validated before they exist
+const PLACEHOLDER_ID = new mongoose.Types.ObjectId();
+
+// Mongoose validation messages for a document, leaving out `skipPaths`
+// the caller has already reported on
+const validationMessages = (doc, skipPaths = []) => {
+  const error = doc.validateSync();
+  if (!error) return [];
+  return Object.entries(error.errors)
+    .filter(([path]) => !skipPaths.includes(path))
+    .map(([, err]) => err.message);
+};
+
+// Match a value case-insensitively to one of a model's enum values
+const enumValue = (values, value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  return values.find((option) => option.toLowerCase() === String(value).trim().toLowerCase()) || value;
+};
+
+const resultStatuses = LabReport.schema.path('results').schema.path('status').enumValues;
+
+// Our model's fields for a history row, with statuses matched and dates parsed
+const historyFields = (kind, data, errors) => {
+  const { Model } = HISTORY_MODELS[kind];
+  const fields = { ...data };
+
+  const date = new Date(data.date);
+  if (!data.date || isNaN(date.getTime())) {
+    errors.push(`Invalid or missing date "${data.date || ''}"`);
+    delete fields.date;
+  } else {
+    fields.date = date;
+  }
+
+  fields.status = enumValue(Model.schema.path('status').enumValues, data.status);
+  if (fields.status === undefined) delete fields.status;
+
+  if (kind === 'labReport') {
+    fields.results = data.results.map(({ status, ...result }) => {
+      const matched = enumValue(resultStatuses, status);
+      return matched ? { ...result, status: matched } : result;
+    });
+  }
+
+  if (kind === 'prescription' && data.medications.length === 0) {
+    errors.push('Prescription has no medications');
+  }
+
+  return fields;
+};
+
+const doctorFinder = (job) => {
+  const cache = new Map();
+
+  return async (email) => {
+    if (!email) return job.defaultDoctor || null;
+    if (!cache.has(email)) {
+      const doctor = await User.findOne({ email, role: 'doctor' }).select('_id firstName lastName');
+      cache.set(email, doctor ? doctor._id : null);
+    }
+    return cache.get(email);
+  };
+};
+
+// Check every record and store it as a row: valid, invalid, or skipped
+// because an earlier import already brought it in. Nothing is created.
+const validateRecords = async (job, records) => {
+  const findDoctor = doctorFinder(job);
+  const seen = new Set();
+  const emails = new Set();
+  // Patients in this file that will be importable, by external ID
+  const filePatients = new Set();
+
+  const ordered = records
+    .map((record, position) => ({ record, position }))
+    .sort((a, b) => KIND_ORDER.indexOf(a.record.kind) - KIND_ORDER.indexOf(b.record.kind) || a.position - b.position)
+    .map(({ record }) => record);
+
+  const rows = [];
+
+  for (const [index, record] of ordered.entries()) {
+    const errors = [];
+    const row = {
+      job: job._id,
+      index,
+      kind: record.kind,
+      location: record.location,
+      externalId: record.externalId,
+      patientRef: record.patientRef,
+      doctorEmail: record.doctorEmail,
+      data: record.data,
+      warningMessages: record.warnings,
+    };
+
+    if (record.kind === 'unsupported') {
+      rows.push({ ...row, status: 'skipped', warningMessages: [`${record.data.recordType} records aren't imported`] });
+      continue;
+    }
+
+    if (!record.externalId) {
+      errors.push('Missing external ID');
+    } else if (seen.has(`${record.kind}:${record.externalId}`)) {
+      errors.push(`Another ${record.kind} in this file has external ID ${record.externalId}`);
+    } else {
+      seen.add(`${record.kind}:${record.externalId}`);
+    }
+
+    const importKey = record.externalId && importKeyFor(job, record.externalId);
+
+    if (record.kind === 'patient') {
+      const { firstName, lastName, email, allergies, ...fields } = record.data;
+
+      errors.push(...validationMessages(new User({
+        firstName,
+        lastName,
+        email,
+        password: email ? crypto.randomBytes(16).toString('hex') : undefined,
+        managed: !email,
+        role: 'patient',
+      })));
+      errors.push(...validationMessages(new Patient({
+        ...fields,
+        user: PLACEHOLDER_ID,
+        patientId: 'validation',
+        allergies: toAllergyEntries(allergies, job.createdBy),
+      })));
+
+      const existing = importKey && await Patient.findOne({ importKey }).select('patientId');
+      if (existing) {
+        rows.push({ ...row, status: 'skipped', record: existing._id, warningMessages: [...row.warningMessages, `Already imported as ${existing.patientId}`] });
+        filePatients.add(record.externalId);
+        continue;
+      }
+
+      if (email && await User.exists({ email: email.toLowerCase() })) {
+        errors.push(`Email ${email} already belongs to an account`);
+      } else if (email && emails.has(email.toLowerCase())) {
+        errors.push(`Another patient in this file has email ${email}`);
+      }
+      if (email) emails.add(email.toLowerCase());
+
+      if (errors.length === 0) filePatients.add(record.externalId);
+    } else {
+      const { Model, doctorField } = HISTORY_MODELS[record.kind];
+      const fields = historyFields(record.kind, record.data, errors);
+      row.data = fields;
+
+      const doctor = await findDoctor(record.doctorEmail);
+      if (!doctor) {
+        errors.push(record.doctorEmail
+          ? `No doctor account with email ${record.doctorEmail}`
+          : 'No doctor given and the import has no default doctor');
+      }
+
+      if (!record.patientRef) {
+        errors.push('Missing patient external ID');
+      } else if (!filePatients.has(record.patientRef) &&
+                 !(await Patient.exists({ importKey: importKeyFor(job, record.patientRef) }))) {
+        errors.push(`Patient ${record.patientRef} is not in this file or an earlier import, or has errors`);
+      }
+
+      errors.push(...validationMessages(new Model({
+        ...fields,
+        patient: PLACEHOLDER_ID,
+        [doctorField]: doctor || PLACEHOLDER_ID,
+      }), ['date']));
+
+      const existing = importKey && await Model.findOne({ importKey }).select('_id');
+      if (existing && errors.length === 0) {
+        rows.push({ ...row, status: 'skipped', record: existing._id, warningMessages: [...row.warningMessages, 'Already imported'] });
+        continue;
+      }
+    }
+
+    rows.push({ ...row, status: errors.length > 0 ? 'invalid' : 'valid', errorMessages: errors });
+  }
+
+  for (let start = 0; start < rows.length; start += INSERT_BATCH) {
+    await ImportRow.insertMany(rows.slice(start, start + INSERT_BATCH), { ordered: false });
+  }
+};
+
+// The dry run: parse the uploaded file and validate every record into rows.
+// The file is deleted afterwards; the rows hold everything the run needs.
+const validateImportJob = async (jobId) => {
+  const job = await ImportJob.findById(jobId);
+  if (!job || job.status !== 'validating') return;
+
+  try {
+    const text = await fs.promises.readFile(job.filePath, 'utf8');
+
+    let records;
+    if (job.format === 'fhir') {
+      let bundle;
+      try {
+        bundle = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+      }
+      records = fhirBundleToRecords(bundle);
+    } else {
+      records = csvToRecords(text, Object.fromEntries(job.mapping));
+    }
+
+    // A retried validation starts over
+    await ImportRow.deleteMany({ job: job._id });
+    await validateRecords(job, records);
+
+    job.status = 'validated';
+    job.validatedAt = new Date();
+  } catch (error) {
+    console.error(`Import ${job._id} validation failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  await fs.promises.unlink(job.filePath).catch(() => {});
+  job.filePath = undefined;
+  await job.save();
+};
+
+const queueImportValidation = (job) => {
+  setImmediate(() => {
+    validateImportJob(job._id).catch((error) => console.error(`Import ${job._id} validation crashed:`, error));
+  });
+};
+
+// Dry runs happen in this process, so any job still validating when it
+// starts was cut off by a restart. The upload is kept until validation
+// finishes, so those are queued again; one whose file has gone is failed.
+const resumeInterruptedImports = async () => {
+  try {
+    const interrupted = await ImportJob.find({ status: 'validating' });
+
+    for (const job of interrupted) {
+      const fileExists = job.filePath && await fs.promises.access(job.filePath).then(() => true, () => false);
+      if (fileExists) {
+        queueImportValidation(job);
+        continue;
+      }
+
+      job.status = 'failed';
+      job.error = 'Interrupted by a server restart, please upload the file again';
+      job.filePath = undefined;
+      await job.save();
+    }
+  } catch (error) {
+    console.error('Error recovering interrupted imports:', error);
+  }
+};
+
+const importPatientRow = async (job, row) => {
+  const importKey = importKeyFor(job, row.externalId);
+  const { firstName, lastName, email, allergies, ...fields } = row.data;
+
+  const existing = await Patient.findOne({ importKey }).select('patientId');
+  if (existing) {
+    // Either this row got as far as saving before an interruption, or
+    // something else imported the patient since the dry run
+    row.status = existing.patientId === row.patientId ? 'imported' : 'skipped';
+    row.record = existing._id;
+    if (row.status === 'skipped') row.warningMessages.push(`Already imported as ${existing.patientId}`);
+    return;
+  }
+
+  // Reserve the ID before creating anything, so a resumed run finishes
+  // this patient instead of minting a second account
+  if (!row.patientId) {
+    row.patientId = await generatePatientId({ hospitalId: job.hospital });
+    await row.save();
+  }
+
+  let user = await User.findOne({ patientId: row.patientId });
+  if (!user) {
+    // Patients without an email get a profile-only account, like
+    // dependents; those with one can set a password with "forgot password"
+    user = await User.create({
+      firstName,
+      lastName,
+      email,
+      password: email ? crypto.randomBytes(32).toString('hex') : undefined,
+      managed: !email,
+      role: 'patient',
+      patientId: row.patientId,
+    });
+  }
+
+  const patient = new Patient({
+    ...fields,
+    user: user._id,
+    patientId: row.patientId,
+    hospital: job.hospital || undefined,
+    importKey,
+    allergies: toAllergyEntries(allergies, job.createdBy),
+  });
+  patient.setSearchFields(user);
+  await patient.save();
+
+  row.status = 'imported';
+  row.record = patient._id;
+};
+
+const importHistoryRow = async (job, row, findDoctor) => {
+  const { Model, doctorField } = HISTORY_MODELS[row.kind];
+  const importKey = importKeyFor(job, row.externalId);
+
+  const existing = await Model.findOne({ importKey }).select('createdAt');
+  if (existing) {
+    // Created by this run before an interruption, or already there
+    row.status = existing.createdAt >= job.startedAt ? 'imported' : 'skipped';
+    row.record = existing._id;
+    if (row.status === 'skipped') row.warningMessages.push('Already imported');
+    return;
+  }
+
+  const patient = await Patient.findOne({ importKey: importKeyFor(job, row.patientRef) })
+    .populate('user', 'firstName lastName');
+  if (!patient) throw new Error(`Patient ${row.patientRef} was not imported`);
+
+  const doctorId = await findDoctor(row.doctorEmail);
+  if (!doctorId) throw new Error(`No doctor account with email ${row.doctorEmail}`);
+
+  const record = { ...row.data, patient: patient._id, [doctorField]: doctorId, importKey };
+
+  if (row.kind === 'appointment') {
+    const doctor = await User.findById(doctorId).select('firstName lastName');
+    record.patientName = `${patient.user.firstName} ${patient.user.lastName}`;
+    record.doctorName = doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : '';
+  }
+  if (row.kind === 'labReport' && job.hospital) record.hospital = job.hospital;
+
+  const created = await Model.create(record);
+  row.status = 'imported';
+  row.record = created._id;
+};
+
+// Work through the job's valid rows in order. Each row is saved as soon as
+// it is done, so after an interruption only unfinished rows are left.
+const runImportJob = async (jobId) => {
+  const job = await ImportJob.findById(jobId);
+  if (!job || job.status !== 'importing') return;
+
+  const findDoctor = doctorFinder(job);
+  let processed = 0;
+
+  try {
+    const cursor = ImportRow.find({ job: job._id, status: 'valid' }).sort({ index: 1 }).cursor();
+
+    for (let row = await cursor.next(); row; row = await cursor.next()) {
+      try {
+        if (row.kind === 'patient') await importPatientRow(job, row);
+        else await importHistoryRow(job, row, findDoctor);
+        row.importedAt = new Date();
+      } catch (error) {
+        row.status = 'failed';
+        row.errorMessages.push(error.message);
+      }
+      await row.save();
+
+      processed += 1;
+      if (processed % HEARTBEAT_EVERY === 0) {
+        await ImportJob.updateOne({ _id: job._id }, { heartbeatAt: new Date() });
+      }
+    }
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.error = undefined;
+  } catch (error) {
+    console.error(`Import ${job._id} stopped:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.heartbeatAt = new Date();
+  await job.save();
+};
+
+// Claim a validated job, a failed run, or a run that stopped checking in,
+// and start working through it. Returns the job, or null when it can't run.
+const startImportJob = async (jobId, { actor, ip }) => {
+  const staleBefore = new Date(Date.now() - IMPORT_STALE_MINUTES * 60 * 1000);
+
+  const job = await ImportJob.findOneAndUpdate(
+    {
+      _id: jobId,
+      $or: [
+        { status: 'validated' },
+        { status: 'failed', validatedAt: { $ne: null } },
+        { status: 'importing', heartbeatAt: { $lt: staleBefore } },
+      ],
+    },
+    { status: 'importing', heartbeatAt: new Date() },
+    { new: true }
+  );
+  if (!job) return null;
+
+  const resumed = Boolean(job.startedAt);
+  if (!resumed) {
+    job.startedAt = new Date();
+    await job.save();
+  }
+
+  await logSecurityEvent(resumed ? 'import.resumed' : 'import.started', {
+    user: actor._id,
+    ip,
+    actor: actor._id,
+    details: { importId: job._id, source: job.source, format: job.format },
+  });
+
+  setImmediate(() => {
+    runImportJob(job._id).catch((error) => console.error(`Import ${job._id} crashed:`, error));
+  });
+
+  return job;
+};
+
+// Row counts by status, overall and per kind
+const importSummary = async (jobId) => {
+  const groups = await ImportRow.aggregate([
+    { $match: { job: new mongoose.Types.ObjectId(jobId) } },
+    { $group: { _id: { kind: '$kind', status: '$status' }, count: { $sum: 1 } } },
+  ]);
+
+  const summary = { total: 0, byStatus: {}, byKind: {} };
+  groups.forEach(({ _id: { kind, status }, count }) => {
+    summary.total += count;
+    summary.byStatus[status] = (summary.byStatus[status] || 0) + count;
+    summary.byKind[kind] = summary.byKind[kind] || {};
+    summary.byKind[kind][status] = count;
+  });
+  return summary;
+};
+
+const REPORT_HEADER = ['row', 'location', 'recordType', 'externalId', 'patientExternalId', 'status', 'errors', 'warnings'];
+
+// Write the per-row report as CSV. `onlyProblems` leaves out rows that
+// imported (or will import) cleanly.
+const writeImportReport = async (job, stream, { onlyProblems = false } = {}) => {
+  stream.write(toCsv([REPORT_HEADER]));
+
+  const query = { job: job._id };
+  if (onlyProblems) {
+    query.$or = [
+      { status: { $in: ['invalid', 'failed', 'skipped'] } },
+      { 'warningMessages.0': { $exists: true } },
+    ];
+  }
+
+  const cursor = ImportRow.find(query).sort({ index: 1 }).cursor();
+  for (let row = await cursor.next(); row; row = await cursor.next()) {
+    stream.write(toCsv([[
+      row.index + 1,
+      row.location,
+      row.kind,
+      row.externalId,
+      row.patientRef,
+      row.status,
+      row.errorMessages.join('; '),
+      row.warningMessages.join('; '),
+    ]]));
+  }
+};
+
+module.exports = {
+  IMPORT_DIR,
+  IMPORT_MAX_MB,
+  queueImportValidation,
+  resumeInterruptedImports,
+  startImportJob,
+  importSummary,
+  writeImportReport,
+};
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const LabReport = require('../models/LabReport');
+const Vitals = require('../models/Vitals');
+const Document = require('../models/Document');
+const PatientMerge = require('../models/PatientMerge');
+const AccessGrant = require('../models/AccessGrant');
+const Guardianship = require('../models/Guardianship');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const { revokeUserSessions } = require('./refreshTokens');
+
+// Move an uploaded file into another patient's folder and return its new path
+const moveDocumentFile = (url, patientId) => {
+  const folder = path.join('uploads', 'documents', patientId);
+  const target = path.join(folder, path.basename(url));
+
+  if (url && fs.existsSync(url)) {
+    fs.mkdirSync(folder, { recursive: true });
+    fs.renameSync(url, target);
+  }
+
+  return target;
+};
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : '');
+
+const day = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// What makes two structured history entries the same, so a merge doesn't
+// list a problem or vaccination twice
+const HISTORY_KEYS = {
+  problems: (entry) => [entry.code || entry.description],
+  surgeries: (entry) => [entry.procedure, day(entry.date)],
+  familyHistory: (entry) => [entry.relation, entry.condition],
+  immunizations: (entry) => [entry.vaccine, entry.dose, day(entry.date)],
+};
+
+const historyKey = (field, entry) => JSON.stringify(HISTORY_KEYS[field](entry)).toLowerCase();
+
+// Source history entries the survivor doesn't already have, by field
+const historyToCopy = (survivor, source) => Object.fromEntries(
+  Object.keys(HISTORY_KEYS).map((field) => {
+    const existing = new Set(survivor[field].map((entry) => historyKey(field, entry)));
+    return [field, source[field].filter((entry) => !existing.has(historyKey(field, entry)))];
+  })
+);
+
+// Source grants and guardianships the survivor has no counterpart for. Where
+// it already has one (same grantee and source, or same guardian), the
+// survivor's stands: the patient may have narrowed or revoked it there.
+const accessToMove = async (survivor, source) => {
+  const [grants, survivorGrants, guardianships, survivorGuardianships] = await Promise.all([
+    AccessGrant.find({ patient: source._id }).select('grantee source'),
+    AccessGrant.find({ patient: survivor._id }).select('grantee source'),
+    Guardianship.find({ patient: source._id }).select('guardian'),
+    Guardianship.find({ patient: survivor._id }).select('guardian'),
+  ]);
+
+  const grantKey = (grant) => `${grant.grantee}:${grant.source}`;
+  const heldGrants = new Set(survivorGrants.map(grantKey));
+  const heldGuardians = new Set(survivorGuardianships.map((guardianship) => String(guardianship.guardian)));
+
+  return {
+    accessGrants: grants.filter((grant) => !heldGrants.has(grantKey(grant))).map((grant) => grant._id),
+    guardianships: guardianships
+      .filter((guardianship) => !heldGuardians.has(String(guardianship.guardian)))
+      .map((guardianship) => guardianship._id),
+  };
+};
+
+// Merge `source` into `survivor` (both Patient documents, users populated).
+// Clinical records and documents are re-pointed to the survivor, along with
+// who may see them: access grants, guardianships and emergency-access
+// events. Allergies, structured history, a missing social history and a
+// missing CNIC are carried over, and the source record and its account are
+// retired. Everything changed is written to a PatientMerge record first so
+// the merge can be undone.
+const mergePatients = async ({ survivor, source, actor, reason }) => {
+  const [appointments, prescriptions, labReports, vitals, documents, emergencyAccess, access] = await Promise.all([
+    Appointment.find({ patient: source._id }).select('patientName'),
+    Prescription.find({ patient: source._id }).select('_id'),
+    LabReport.find({ patient: source._id }).select('_id'),
+    Vitals.find({ patient: source._id }).select('_id'),
+    Document.find({ patient: source._id }).select('url'),
+    EmergencyAccess.find({ patient: source._id }).distinct('_id'),
+    accessToMove(survivor, source),
+  ]);
+
+  const sameSubstance = (a, b) => a.substance.toLowerCase() === b.substance.toLowerCase();
+  const allergiesCopied = source.allergies.filter(
+    (allergy) => !survivor.allergies.some((existing) => sameSubstance(existing, allergy))
+  );
+  const allergiesAdded = allergiesCopied.map((allergy) => allergy.substance);
+  const cnic = !survivor.cnic && source.cnic ? source.cnic : undefined;
+  const historyCopied = historyToCopy(survivor, source);
+  const historyAdded = Object.fromEntries(
+    Object.entries(historyCopied).map(([field, entries]) => [field, entries.map((entry) => entry._id)])
+  );
+  const socialHistory = !survivor.socialHistory && !!source.socialHistory;
+  const historyChanged = socialHistory || Object.values(historyAdded).some((ids) => ids.length > 0);
+
+  const merge = await PatientMerge.create({
+    survivor: survivor._id,
+    source: source._id,
+    survivorPatientId: survivor.patientId,
+    sourcePatientId: source.patientId,
+    reason: reason || '',
+    moved: {
+      appointments: appointments.map((appointment) => ({ id: appointment._id, patientName: appointment.patientName })),
+      prescriptions: prescriptions.map((prescription) => prescription._id),
+      labReports: labReports.map((report) => report._id),
+      vitals: vitals.map((reading) => reading._id),
+      documents: documents.map((doc) => ({ id: doc._id, url: doc.url })),
+      accessGrants: access.accessGrants,
+      guardianships: access.guardianships,
+      emergencyAccess,
+    },
+    survivorChanges: { allergiesAdded, cnic, historyAdded, socialHistory },
+    sourceUserWasActive: !!(source.user && source.user.active !== false),
+    mergedBy: actor._id,
+  });
+
+  await Appointment.updateMany(
+    { _id: { $in: appointments.map((appointment) => appointment._id) } },
+    { patient: survivor._id, patientName: fullName(survivor.user), patientHospital: survivor.hospital }
+  );
+  const toSurvivor = { patient: survivor._id, patientHospital: survivor.hospital };
+  await Prescription.updateMany({ _id: { $in: merge.moved.prescriptions } }, toSurvivor);
+  await LabReport.updateMany({ _id: { $in: merge.moved.labReports } }, toSurvivor);
+  await Vitals.updateMany({ _id: { $in: merge.moved.vitals } }, toSurvivor);
+  await AccessGrant.updateMany({ _id: { $in: merge.moved.accessGrants } }, { patient: survivor._id });
+  await Guardianship.updateMany({ _id: { $in: merge.moved.guardianships } }, { patient: survivor._id });
+  await EmergencyAccess.updateMany({ _id: { $in: merge.moved.emergencyAccess } }, { patient: survivor._id });
+
+  for (const doc of documents) {
+    doc.url = moveDocumentFile(doc.url, survivor.patientId);
+    doc.patient = survivor._id;
+    await doc.save();
+  }
+
+  if (allergiesAdded.length > 0 || cnic || historyChanged) {
+    allergiesCopied.forEach((allergy) => survivor.allergies.push(allergy.toObject()));
+    Object.entries(historyCopied).forEach(([field, entries]) => {
+      entries.forEach((entry) => survivor[field].push(entry.toObject()));
+    });
+    if (socialHistory) survivor.socialHistory = source.socialHistory.toObject();
+    if (cnic) survivor.cnic = cnic;
+    survivor.setSearchFields(survivor.user);
+    await survivor.save();
+  }
+
+  source.mergedInto = survivor._id;
+  source.mergedAt = new Date();
+  source.setSearchFields(source.user);
+  await source.save();
+
+  // The duplicate's login would now show an empty chart
+  if (source.user && merge.sourceUserWasActive) {
+    await User.updateOne(
+      { _id: source.user._id },
+      { active: false, deactivatedAt: new Date(), deactivatedBy: actor._id }
+    );
+    await revokeUserSessions(source.user._id, 'patient-merged');
+  }
+
+  return merge;
+};
+
+// Response body refusing new records on a duplicate that was merged away,
+// naming the record they belong on; null when `patient` wasn't merged
+const mergedAwayError = async (patient) => {
+  if (!patient.mergedInto) return null;
+
+  const survivor = await Patient.findById(patient.mergedInto).select('patientId');
+  return {
+    message: 'Patient record was merged into another. Add records there instead',
+    mergedInto: survivor ? survivor.patientId : null,
+  };
+};
+
+// Reverse a merge. Only the records the merge moved go back, and only
+// while they still belong to the survivor; anything recorded against the
+// survivor since stays where it is.
+const undoPatientMerge = async (merge, actor) => {
+  const survivor = await Patient.findById(merge.survivor).populate('user');
+  const source = await Patient.findById(merge.source).populate('user');
+
+  const appointmentUpdates = merge.moved.appointments.map((appointment) => ({
+    updateOne: {
+      filter: { _id: appointment.id, patient: survivor._id },
+      update: { patient: source._id, patientName: appointment.patientName, patientHospital: source.hospital },
+    },
+  }));
+  if (appointmentUpdates.length > 0) {
+    await Appointment.bulkWrite(appointmentUpdates);
+  }
+
+  const toSource = { patient: source._id, patientHospital: source.hospital };
+  await Prescription.updateMany(
+    { _id: { $in: merge.moved.prescriptions }, patient: survivor._id },
+    toSource
+  );
+  await LabReport.updateMany(
+    { _id: { $in: merge.moved.labReports }, patient: survivor._id },
+    toSource
+  );
+  await Vitals.updateMany(
+    { _id: { $in: merge.moved.vitals }, patient: survivor._id },
+    toSource
+  );
+  await AccessGrant.updateMany(
+    { _id: { $in: merge.moved.accessGrants }, patient: survivor._id },
+    { patient: source._id }
+  );
+  await Guardianship.updateMany(
+    { _id: { $in: merge.moved.guardianships }, patient: survivor._id },
+    { patient: source._id }
+  );
+  await EmergencyAccess.updateMany(
+    { _id: { $in: merge.moved.emergencyAccess }, patient: survivor._id },
+    { patient: source._id }
+  );
+
+  for (const moved of merge.moved.documents) {
+    const doc = await Document.findOne({ _id: moved.id, patient: survivor._id });
+    if (!doc) continue;
+
+    doc.url = moveDocumentFile(doc.url, source.patientId);
+    doc.patient = source._id;
+    await doc.save();
+  }
+
+  const { allergiesAdded, cnic, historyAdded, socialHistory } = merge.survivorChanges;
+  const addedIds = (field) => ((historyAdded && historyAdded[field]) || []).map(String);
+  const historyFields = Object.keys(HISTORY_KEYS).filter((field) => addedIds(field).length > 0);
+
+  // Social history only goes if nobody has updated it since the merge
+  const social = survivor.socialHistory;
+  const removeSocial = socialHistory && social && !(social.updatedAt && social.updatedAt > merge.createdAt);
+
+  if (allergiesAdded.length > 0 || (cnic && survivor.cnic === cnic) || historyFields.length > 0 || removeSocial) {
+    survivor.allergies = survivor.allergies.filter((allergy) => !allergiesAdded.includes(allergy.substance));
+    historyFields.forEach((field) => {
+      survivor[field] = survivor[field].filter((entry) => !addedIds(field).includes(String(entry._id)));
+    });
+    if (removeSocial) survivor.socialHistory = undefined;
+    if (cnic && survivor.cnic === cnic) survivor.cnic = undefined;
+    survivor.setSearchFields(survivor.user);
+    await survivor.save();
+  }
+
+  source.mergedInto = undefined;
+  source.mergedAt = undefined;
+  source.setSearchFields(source.user);
+  await source.save();
+
+  if (source.user && merge.sourceUserWasActive) {
+    await User.updateOne(
+      { _id: source.user._id },
+      { active: true, $unset: { deactivatedAt: 1, deactivatedBy: 1 } }
+    );
+  }
+
+  merge.undoneAt = new Date();
+  merge.undoneBy = actor._id;
+  await merge.save();
+
+  return merge;
+};
+
+module.exports = {
+  mergePatients,
+  undoPatientMerge,
+  mergedAwayError,
+};
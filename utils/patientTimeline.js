@@ -0,0 +1,318 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const LabReport = require('../models/LabReport');
+const Document = require('../models/Document');
+const Vitals = require('../models/Vitals');
+const { VITAL_METRICS } = require('../config/vitals');
+const { appointmentStart, formatTimeOfDay } = require('./appointmentTimes');
+const { encodeCursor } = require('./cursor');
+
+// Event types on the timeline and the chart scope each needs. Status changes
+// follow the scope of the record that changed.
+const TIMELINE_TYPES = {
+  appointment: 'appointments',
+  prescription: 'prescriptions',
+  lab: 'labReports',
+  note: 'documents',
+  document: 'documents',
+  vitals: 'profile',
+  'status-change': null,
+};
+
+const DOCTOR_FIELDS = 'firstName lastName role';
+
+const personName = (user) => {
+  if (!user) return 'Unknown';
+  return user.role === 'doctor' ? `Dr. ${user.firstName} ${user.lastName}` : `${user.firstName} ${user.lastName}`;
+};
+
+const sameDay = (a, b) => a.getFullYear() === b.getFullYear()
+  && a.getMonth() === b.getMonth()
+  && a.getDate() === b.getDate();
+
+// Prescriptions, lab reports and documents carry a calendar date that may be
+// backdated. When they were entered on that day, creation gives the real time;
+// otherwise only the date is known.
+const recordedTime = (date, createdAt) => {
+  const day = new Date(date);
+  if (createdAt && sameDay(day, createdAt)) return { at: createdAt, timeKnown: true };
+  return { at: day, timeKnown: false };
+};
+
+const event = (fields, at, timeKnown = true) => ({
+  ...fields,
+  at,
+  date: at,
+  time: timeKnown ? formatTimeOfDay(at) : null,
+});
+
+const vitalsSummary = (reading) => {
+  const parts = [];
+  if (reading.systolic && reading.diastolic) parts.push(`BP ${reading.systolic}/${reading.diastolic} mmHg`);
+  ['pulse', 'temperature', 'weight', 'spo2', 'bloodGlucose'].forEach((metric) => {
+    if (reading[metric] !== undefined && reading[metric] !== null) {
+      parts.push(`${VITAL_METRICS[metric].label} ${reading[metric]} ${VITAL_METRICS[metric].unit}`);
+    }
+  });
+  if (reading.bmi) parts.push(`BMI ${reading.bmi}`);
+  return parts.join('; ') || reading.notes || 'No readings';
+};
+
+// Every event id ends in a unique ObjectId, which breaks ties between events
+// at the same moment
+const eventKey = (item) => item.id.slice(-24);
+
+const newestFirst = (a, b) => {
+  if (b.at - a.at !== 0) return b.at - a.at;
+  return eventKey(b) < eventKey(a) ? -1 : eventKey(b) > eventKey(a) ? 1 : 0;
+};
+
+// One event per recorded status change on an appointment, prescription or
+// lab report
+const statusChanges = (record, label, doctor) => record.statusHistory.map((change) => event({
+  id: `HIST-STATUS-${change._id}`,
+  type: 'status-change',
+  title: `${label} ${change.to}`,
+  doctor: personName(doctor),
+  doctorId: doctor ? doctor._id : null,
+  details: `Changed from ${change.from || 'new'} to ${change.to} by ${personName(change.changedBy)}`,
+  status: change.to,
+  recordId: record._id,
+}, change.changedAt));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Appointments, prescriptions and lab reports happen on the calendar day of
+// their stored date: within a day of it, or a little more across a DST change
+const SAME_DAY_SLACK = DAY_MS + 2 * 60 * 60 * 1000;
+
+const shift = (date, ms) => new Date(date.getTime() + ms);
+const later = (a, b) => (a && b ? (a > b ? a : b) : a || b);
+
+// Events from one source: at most `limit` of the newest at or before `upper`
+// (all of them without a limit), plus any that may tie with it. Records are
+// read newest first by their stored `key`, which can be up to `slack` away
+// from the event's time; margins of that size around `upper` and after the
+// last record read make sure nothing that sorts ahead of it is missed. The
+// caller puts the events in exact order and applies the exact bounds.
+const readSource = async (source, { upper, from, limit }) => {
+  const { key, slack = 0 } = source;
+  const floor = from && shift(from, -slack);
+  const between = (bounds) => {
+    if (floor) bounds.$gte = later(bounds.$gte, floor);
+    return Object.keys(bounds).length > 0 ? { [key]: bounds } : {};
+  };
+
+  const near = upper ? await source.fetch(between({ $gte: shift(upper, -slack), $lte: shift(upper, slack) })) : [];
+  const older = await source.fetch(between(upper ? { $lt: shift(upper, -slack) } : {}), limit);
+
+  const last = slack > 0 && limit && older.length === limit ? older[older.length - 1][key] : null;
+  const tail = last ? await source.fetch(between({ $gte: shift(last, -2 * slack), $lte: last })) : [];
+
+  const records = new Map();
+  [...near, ...older, ...tail].forEach((record) => {
+    const id = String(source.id ? source.id(record) : record._id);
+    if (!records.has(id)) records.set(id, record);
+  });
+  return [...records.values()].flatMap(source.events);
+};
+
+// Fill in the users aggregated status changes point to: the record's
+// `author` and who made the change
+const populateUsers = async (records, author) => {
+  const ids = records.flatMap((record) => [record[author], record.statusHistory.changedBy]).filter(Boolean);
+  const users = ids.length > 0 ? await User.find({ _id: { $in: ids } }).select(DOCTOR_FIELDS) : [];
+  const byId = new Map(users.map((user) => [String(user._id), user]));
+  const userFor = (id) => (id ? byId.get(String(id)) || null : null);
+
+  records.forEach((record) => {
+    record[author] = userFor(record[author]);
+    record.statusHistory.changedBy = userFor(record.statusHistory.changedBy);
+  });
+};
+
+// A patient's appointments, prescriptions, lab reports, documents, vitals and
+// status changes as one timeline, newest first, limited to the chart `scopes`
+// the reader has. Narrow it with `types`, `doctor` (a user id) and a `from` /
+// `to` range on when each event happened. With a `cursor` (from
+// decodeCursor) and `limit` only that page is read from each source.
+const readTimeline = async (patient, scopes, { types, doctor, from, to, cursor, limit } = {}) => {
+  const wanted = (types && types.length > 0 ? types : Object.keys(TIMELINE_TYPES))
+    .filter((type) => !TIMELINE_TYPES[type] || scopes.includes(TIMELINE_TYPES[type]));
+  const wants = (...names) => names.some((name) => wanted.includes(name));
+  const doctorId = doctor ? new mongoose.Types.ObjectId(doctor) : null;
+  const by = (field) => (doctorId ? { [field]: doctorId } : {});
+  const newest = (query, key, fetchLimit) => query.sort({ [key]: -1, _id: -1 }).limit(fetchLimit || 0);
+
+  const sources = [];
+
+  if (wants('appointment')) {
+    sources.push({
+      key: 'date',
+      slack: SAME_DAY_SLACK,
+      fetch: (range, fetchLimit) => newest(Appointment.find({ patient: patient._id, ...by('doctor'), ...range })
+        .populate('doctor', DOCTOR_FIELDS)
+        .select('date time purpose status notes doctor'), 'date', fetchLimit),
+      events: (apt) => [event({
+        id: `HIST-APT-${apt._id}`,
+        type: 'appointment',
+        title: `${apt.purpose} Appointment`,
+        doctor: personName(apt.doctor),
+        doctorId: apt.doctor ? apt.doctor._id : null,
+        details: apt.notes || 'No notes provided',
+        status: apt.status,
+        recordId: apt._id,
+      }, appointmentStart(apt), Boolean(apt.time))],
+    });
+  }
+
+  if (wants('prescription')) {
+    sources.push({
+      key: 'date',
+      slack: SAME_DAY_SLACK,
+      fetch: (range, fetchLimit) => newest(Prescription.find({ patient: patient._id, ...by('doctor'), ...range })
+        .populate('doctor', DOCTOR_FIELDS)
+        .select('date medications notes status doctor createdAt'), 'date', fetchLimit),
+      events: (rx) => {
+        const { at, timeKnown } = recordedTime(rx.date, rx.createdAt);
+        return [event({
+          id: `HIST-RX-${rx._id}`,
+          type: 'prescription',
+          title: 'Prescription Update',
+          doctor: personName(rx.doctor),
+          doctorId: rx.doctor ? rx.doctor._id : null,
+          details: rx.medications.map(med =>
+            `${med.name} (${med.dosage}) - ${med.frequency} for ${med.duration}`
+          ).join('; '),
+          status: rx.status,
+          recordId: rx._id,
+        }, at, timeKnown)];
+      },
+    });
+  }
+
+  if (wants('lab')) {
+    sources.push({
+      key: 'date',
+      slack: SAME_DAY_SLACK,
+      fetch: (range, fetchLimit) => newest(LabReport.find({ patient: patient._id, ...by('requestedBy'), ...range })
+        .populate('requestedBy', DOCTOR_FIELDS)
+        .select('date type lab results status notes requestedBy createdAt'), 'date', fetchLimit),
+      events: (report) => {
+        const { at, timeKnown } = recordedTime(report.date, report.createdAt);
+        return [event({
+          id: `HIST-LAB-${report._id}`,
+          type: 'lab',
+          title: report.type,
+          doctor: personName(report.requestedBy),
+          doctorId: report.requestedBy ? report.requestedBy._id : null,
+          details: report.results.length > 0
+            ? report.results.map(r => `${r.test}: ${r.value} (${r.status})`).join('; ')
+            : report.notes || 'No details provided',
+          status: report.status,
+          recordId: report._id,
+        }, at, timeKnown)];
+      },
+    });
+  }
+
+  if (wants('note', 'document')) {
+    // Doctor's notes are documents of their own type
+    const kind = !wants('note') ? { type: { $ne: 'doctor-note' } } : !wants('document') ? { type: 'doctor-note' } : {};
+
+    sources.push({
+      // Uploads happen when they are created; the document date is what it covers
+      key: 'createdAt',
+      fetch: (range, fetchLimit) => newest(Document.find({ patient: patient._id, ...by('uploadedBy'), ...kind, ...range })
+        .populate('uploadedBy', DOCTOR_FIELDS)
+        .select('date title type fileType uploadedBy notes createdAt'), 'createdAt', fetchLimit),
+      events: (doc) => {
+        const type = doc.type === 'doctor-note' ? 'note' : 'document';
+        return [event({
+          id: `HIST-${type === 'note' ? 'NOTE' : 'DOC'}-${doc._id}`,
+          type,
+          title: type === 'note' ? doc.title || 'Doctor\'s Note' : `Uploaded ${doc.title}`,
+          doctor: personName(doc.uploadedBy),
+          doctorId: doc.uploadedBy ? doc.uploadedBy._id : null,
+          details: doc.notes || (type === 'note' ? 'No details provided' : `${doc.type} (${doc.fileType})`),
+          status: 'N/A',
+          recordId: doc._id,
+        }, doc.createdAt || new Date(doc.date))];
+      },
+    });
+  }
+
+  if (wants('vitals')) {
+    sources.push({
+      key: 'recordedAt',
+      fetch: (range, fetchLimit) => newest(Vitals.find({ patient: patient._id, ...by('recordedBy'), ...range })
+        .populate('recordedBy', DOCTOR_FIELDS), 'recordedAt', fetchLimit),
+      events: (reading) => [event({
+        id: `HIST-VIT-${reading._id}`,
+        type: 'vitals',
+        title: reading.flags.length > 0 ? 'Vitals recorded (flagged)' : 'Vitals recorded',
+        doctor: personName(reading.recordedBy),
+        doctorId: reading.recordedBy ? reading.recordedBy._id : null,
+        details: vitalsSummary(reading),
+        status: reading.flags.length > 0 ? reading.flags.map((flag) => `${flag.metric} ${flag.level}`).join(', ') : 'normal',
+        recordId: reading._id,
+      }, reading.recordedAt)],
+    });
+  }
+
+  // Status changes are read one change at a time, with their record's
+  // fields alongside, so they page like any other source
+  const statusSource = (Model, author, label) => ({
+    key: 'statusHistory.changedAt',
+    id: (record) => record.statusHistory._id,
+    fetch: async (range, fetchLimit) => {
+      const changes = await Model.aggregate([
+        { $match: { patient: patient._id, ...by(author), ...range } },
+        { $unwind: '$statusHistory' },
+        { $match: range },
+        { $sort: { 'statusHistory.changedAt': -1, 'statusHistory._id': -1 } },
+        ...(fetchLimit ? [{ $limit: fetchLimit }] : []),
+      ]);
+      await populateUsers(changes, author);
+      return changes;
+    },
+    events: (record) => statusChanges({ ...record, statusHistory: [record.statusHistory] }, label(record), record[author]),
+  });
+
+  if (wanted.includes('status-change')) {
+    if (scopes.includes('appointments')) sources.push(statusSource(Appointment, 'doctor', (apt) => `${apt.purpose} appointment`));
+    if (scopes.includes('prescriptions')) sources.push(statusSource(Prescription, 'doctor', () => 'Prescription'));
+    if (scopes.includes('labReports')) sources.push(statusSource(LabReport, 'requestedBy', (report) => report.type));
+  }
+
+  const upper = cursor && to ? (cursor.value < to ? cursor.value : to) : (cursor && cursor.value) || to;
+  const batches = await Promise.all(sources.map((source) => readSource(source, { upper, from, limit })));
+  const history = batches.flat()
+    .filter((item) => (!from || item.at >= from) && (!to || item.at <= to))
+    .filter((item) => !cursor || newestFirst({ at: cursor.value, id: cursor.id }, item) < 0)
+    .sort(newestFirst);
+
+  return limit ? history.slice(0, limit) : history;
+};
+
+// The whole timeline, e.g. for an export
+const buildHistoryTimeline = (patient, scopes, filters = {}) => readTimeline(patient, scopes, filters);
+
+// One page of the timeline after a decoded `cursor`
+const pageHistoryTimeline = async (patient, scopes, { cursor, limit, ...filters }) => {
+  const rest = await readTimeline(patient, scopes, { ...filters, cursor, limit: limit + 1 });
+  const page = rest.slice(0, limit);
+  const hasMore = rest.length > limit;
+  const last = page[page.length - 1];
+
+  return {
+    history: page,
+    nextCursor: hasMore ? encodeCursor(last.at, eventKey(last)) : null,
+    hasMore,
+    limit,
+  };
+};
+
+module.exports = { TIMELINE_TYPES, buildHistoryTimeline, pageHistoryTimeline };
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+// How stale lastSeenAt may get before a request refreshes it
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a refresh token. Pass `family` when rotating, omit it to start a new
+// session; `sessionMode` is 'cookie' or 'bearer'.
+const issueRefreshToken = async (userId, req, family, sessionMode = 'bearer') => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const record = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    sessionMode,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip || '',
+    userAgent: req.get('user-agent') || '',
+  });
+
+  // Keep the session record in step. Upserting also covers families issued
+  // before session records existed.
+  await Session.updateOne(
+    { family: record.family },
+    {
+      $set: { ip: record.createdByIp, lastSeenAt: new Date(), expiresAt: record.expiresAt },
+      $setOnInsert: { user: userId, userAgent: record.userAgent },
+    },
+    { upsert: true }
+  );
+
+  return { token, family: record.family, sessionMode: record.sessionMode, expiresAt: record.expiresAt };
+};
+
+// Revoke a session and every live token in its family
+const revokeFamily = async (family, reason) => {
+  const now = new Date();
+
+  await Promise.all([
+    RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: now, revokedReason: reason }),
+    Session.updateOne({ family, revokedAt: null }, { revokedAt: now, revokedReason: reason }),
+  ]);
+};
+
+// Revoke every session and live token a user holds
+const revokeUserSessions = async (userId, reason) => {
+  const now = new Date();
+
+  await Promise.all([
+    RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: now, revokedReason: reason }),
+    Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: now, revokedReason: reason }),
+  ]);
+};
+
+// Exchange a refresh token for a new one in the same family and session
+// mode (`fallbackMode` for tokens that don't record one).
+// Returns null when the token is unknown, expired or has already been used;
+// presenting an already-rotated token revokes the whole family.
+const rotateRefreshToken = async (token, req, fallbackMode) => {
+  const tokenHash = hashToken(token);
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: 'rotated' }
+  );
+
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (existing && existing.revokedReason === 'rotated') {
+      console.warn(`Refresh token reuse detected for user ${existing.user}, revoking family ${existing.family}`);
+      await revokeFamily(existing.family, 'reuse-detected');
+    }
+
+    return null;
+  }
+
+  const next = await issueRefreshToken(current.user, req, current.family, current.sessionMode || fallbackMode);
+  current.replacedBy = hashToken(next.token);
+  await current.save();
+
+  return { ...next, userId: current.user };
+};
+
+// A session is active until it is revoked or its last refresh token expires
+const isSessionActive = async (family) => {
+  if (!family) return false;
+
+  const session = await Session.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return !!session;
+};
+
+// Record activity on a session, at most once per LAST_SEEN_RESOLUTION_MS.
+// Never awaited by callers, so it must not throw.
+const touchSession = (family, req) => {
+  const now = new Date();
+
+  return Session.updateOne(
+    { family, lastSeenAt: { $lt: new Date(now.getTime() - LAST_SEEN_RESOLUTION_MS) } },
+    { lastSeenAt: now, ip: req.ip || '' }
+  ).catch((error) => console.error('Failed to record session activity:', error));
+};
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/users',
+});
+
+const setRefreshCookie = (res, { token, expiresAt }) => {
+  res.cookie(REFRESH_COOKIE, token, { ...refreshCookieOptions(), expires: expiresAt });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+module.exports = {
+  REFRESH_COOKIE,
+  hashToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeUserSessions,
+  isSessionActive,
+  touchSession,
+  setRefreshCookie,
+  clearRefreshCookie,
+};
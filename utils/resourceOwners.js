@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+
+// Owner resolvers for the `can` middleware. Each returns the id of the user
+// account that owns the resource named in the request, or null.
+
+const patientOwner = async (req) => {
+  const patient = await Patient.findOne({ patientId: req.params.patientId }).select('user');
+  return patient ? patient.user : null;
+};
+
+const appointmentOwner = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+  const appointment = await Appointment.findById(req.params.id)
+    .select('patient')
+    .populate('patient', 'user');
+  return appointment && appointment.patient ? appointment.patient.user : null;
+};
+
+module.exports = { patientOwner, appointmentOwner };
@@ -0,0 +1,13 @@
+const SecurityLog = require('../models/SecurityLog');
+
+// Record a security event. Logging must never break the request that
+// triggered it, so failures are only reported to the console.
+const logSecurityEvent = async (event, { user, email, ip, actor, details } = {}) => {
+  try {
+    await SecurityLog.create({ event, user, email, ip, actor, details });
+  } catch (error) {
+    console.error(`Failed to write security event ${event}:`, error);
+  }
+};
+
+module.exports = { logSecurityEvent };
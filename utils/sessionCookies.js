@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Cookie session mode for the web frontend: the access token lives in an
+// httpOnly cookie instead of localStorage, and state-changing requests must
+// echo the readable CSRF cookie in the X-CSRF-Token header (double submit).
+
+const ACCESS_COOKIE = 'accessToken';
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const baseCookieOptions = () => ({
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.COOKIE_SAME_SITE || 'strict',
+  path: '/',
+});
+
+// Clients opt in per login with `sessionMode: 'cookie'` or the X-Session-Mode header
+const wantsCookieMode = (req) => {
+  return (req.body && req.body.sessionMode === 'cookie') || req.get('x-session-mode') === 'cookie';
+};
+
+// A request is in cookie mode once it carries the CSRF cookie
+const isCookieSession = (req) => !!(req.cookies && req.cookies[CSRF_COOKIE]);
+
+// Set the access and CSRF cookies; returns the CSRF token for the response
+// body. The CSRF cookie lives as long as the refresh cookie (`sessionExpiresAt`)
+// so a refresh after a browser restart can still pass the CSRF check.
+const setSessionCookies = (res, accessToken, sessionExpiresAt) => {
+  const { exp } = jwt.decode(accessToken);
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+
+  res.cookie(ACCESS_COOKIE, accessToken, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    expires: new Date(exp * 1000),
+  });
+
+  // Readable by the frontend so it can copy it into the header
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...baseCookieOptions(),
+    httpOnly: false,
+    expires: sessionExpiresAt,
+  });
+
+  return csrfToken;
+};
+
+const clearSessionCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE, { ...baseCookieOptions(), httpOnly: true });
+  res.clearCookie(CSRF_COOKIE, { ...baseCookieOptions(), httpOnly: false });
+};
+
+// Safe methods pass; anything else needs the header to match the cookie
+const verifyCsrf = (req) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const cookie = req.cookies && req.cookies[CSRF_COOKIE];
+  const header = req.get(CSRF_HEADER);
+
+  if (!cookie || !header || cookie.length !== header.length) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(cookie), Buffer.from(header));
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  wantsCookieMode,
+  isCookieSession,
+  setSessionCookies,
+  clearSessionCookies,
+  verifyCsrf,
+};
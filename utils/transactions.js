@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Whether the server can run multi-document transactions. Replica set
+// members and mongos routers can; a standalone mongod can't. Checked once.
+let transactionSupport;
+
+const supportsTransactions = async () => {
+  if (transactionSupport === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+  return transactionSupport;
+};
+
+// Run `work(session, created)` so its writes land together or not at all,
+// and return what it returns. Every write inside must pass the session, and
+// every document it creates is handed to `created(doc)`.
+//
+// On a replica set (a single-node one is enough for local development) this
+// is a transaction and the driver retries transient errors. On a standalone
+// server the writes run without a session and the created documents are
+// deleted again if `work` throws.
+const runInTransaction = async (work) => {
+  if (!(await supportsTransactions())) {
+    const createdDocs = [];
+
+    try {
+      return await work(null, (doc) => {
+        createdDocs.push(doc);
+        return doc;
+      });
+    } catch (error) {
+      for (const doc of createdDocs.reverse()) {
+        await doc.deleteOne().catch((undoError) => {
+          console.error(`Failed to undo ${doc.constructor.modelName} ${doc._id}:`, undoError);
+        });
+      }
+      throw error;
+    }
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session, (doc) => doc);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { supportsTransactions, runInTransaction };
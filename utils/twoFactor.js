@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyCode } = require('./totp');
+const { hashToken } = require('./refreshTokens');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Returns { codes, hashes }: show `codes` to the user once, store `hashes`
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map((code) => hashToken(code)) };
+};
+
+// Check a TOTP code or a recovery code for a user with 2FA enabled.
+// Accepted TOTP steps and recovery codes are burned so neither can be replayed.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await User.findById(userId).select(
+    '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep'
+  );
+
+  if (!user || !user.twoFactor.enabled) return false;
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+      ],
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded
+const generateChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: '2fa-login' }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+  });
+};
+
+// Returns the user id from a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa-login' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  verifySecondFactor,
+  generateChallengeToken,
+  verifyChallengeToken,
+};
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { hashToken } = require('./refreshTokens');
+
+const TOKEN_TTL = {
+  'password-reset': 60 * 60 * 1000, // 1 hour
+  'email-verification': 24 * 60 * 60 * 1000, // 24 hours
+};
+
+// Create a token of the given type, invalidating any earlier unused ones
+const createUserToken = async (userId, type) => {
+  await UserToken.updateMany({ user: userId, type, usedAt: null }, { usedAt: new Date() });
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL[type]),
+  });
+
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, expired or already used
+const consumeUserToken = async (token, type) => {
+  if (!token) return null;
+
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = { createUserToken, consumeUserToken };
@@ -0,0 +1,135 @@
+const util = require('util');
+const zlib = require('zlib');
+
+// Minimal ZIP writer for export archives: deflated entries written one at a
+// time to any writable stream, so only one file is held in memory at once.
+// No ZIP64, so archives (and entries) must stay under 4 GB. Compression runs
+// on the libuv thread pool and checksums yield between slices, so building a
+// large archive doesn't stall the requests the server is handling meanwhile.
+
+const deflateRaw = util.promisify(zlib.deflateRaw);
+
+const CRC_SLICE = 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = async (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (let start = 0; start < buffer.length; start += CRC_SLICE) {
+    if (start > 0) await new Promise((resolve) => setImmediate(resolve));
+
+    const end = Math.min(start + CRC_SLICE, buffer.length);
+    for (let i = start; i < end; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Date and time in MS-DOS format, as ZIP headers store them
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// Write `chunk`, waiting for the stream to drain when its buffer is full
+const write = (stream, chunk) => new Promise((resolve, reject) => {
+  const onError = (error) => reject(error);
+  stream.once('error', onError);
+
+  const done = () => {
+    stream.removeListener('error', onError);
+    resolve();
+  };
+  if (stream.write(chunk)) done();
+  else stream.once('drain', done);
+});
+
+const createZipWriter = (stream) => {
+  const entries = [];
+  let offset = 0;
+
+  const push = async (chunk) => {
+    await write(stream, chunk);
+    offset += chunk.length;
+  };
+
+  // Add a file to the archive. `content` is a Buffer or a string.
+  const addFile = async (name, content, { date = new Date() } = {}) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content));
+    const deflated = await deflateRaw(data);
+    // Already-compressed files (PDFs, images) are stored as they are
+    const stored = deflated.length >= data.length;
+    const body = stored ? data : deflated;
+
+    const fileName = Buffer.from(name);
+    const { time, date: day } = dosDateTime(date);
+    const entry = {
+      fileName,
+      method: stored ? 0 : 8,
+      time,
+      day,
+      crc: await crc32(data),
+      compressedSize: body.length,
+      size: data.length,
+      offset,
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    await push(header);
+    await push(fileName);
+    await push(body);
+    entries.push(entry);
+  };
+
+  // Write the central directory; the archive is complete after this
+  const finish = async () => {
+    const directoryOffset = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014B50, 0);
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.day, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+
+      await push(header);
+      await push(entry.fileName);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+
+    await push(end);
+  };
+
+  return { addFile, finish };
+};
+
+module.exports = { createZipWriter, crc32 };